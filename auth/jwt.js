@@ -0,0 +1,83 @@
+/**
+ * JWT Helpers
+ *
+ * Shared by server.js (issues tokens on login/register) and relay-server.js
+ * (verifies tokens on WebSocket connect), so both sides use one secret.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET?.trim() || 'jarvis-dev-secret-change-in-production';
+const JWT_EXPIRES_IN = '24h';
+
+// Subprotocol prefix carrying the token for browsers (which cannot set headers on upgrade)
+// Usage: new WebSocket(url, ['jarvis.v1', `bearer.${token}`])
+const BEARER_PROTOCOL_PREFIX = 'bearer.';
+
+/**
+ * Generate JWT token for a user
+ * @param {Object} user - User document ({ _id, username })
+ * @returns {string} Signed JWT
+ */
+function generateToken(user) {
+    return jwt.sign(
+        { userId: user._id, username: user.username },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+}
+
+/**
+ * Verify a JWT and return its payload
+ * @param {string} token - Raw JWT
+ * @returns {{userId: string, username: string}} Decoded payload
+ * @throws {Error} If the token is missing, malformed, expired or has no userId
+ */
+function verifyAccessToken(token) {
+    if (!token || typeof token !== 'string') {
+        throw new Error('No token provided');
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (!decoded.userId) {
+        throw new Error('Token has no userId');
+    }
+
+    return decoded;
+}
+
+/**
+ * Extract a token from a WebSocket upgrade request
+ * Checked in order: Authorization header, ?token= query param, bearer.<token> subprotocol
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {string|null} Token or null if none supplied
+ */
+function extractUpgradeToken(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.substring(7);
+    }
+
+    try {
+        const url = new URL(req.url, 'http://localhost');
+        const queryToken = url.searchParams.get('token');
+        if (queryToken) return queryToken;
+    } catch {
+        // Malformed URL - fall through to subprotocol
+    }
+
+    const protocols = (req.headers['sec-websocket-protocol'] || '')
+        .split(',')
+        .map(p => p.trim());
+    const bearer = protocols.find(p => p.startsWith(BEARER_PROTOCOL_PREFIX));
+    return bearer ? bearer.substring(BEARER_PROTOCOL_PREFIX.length) : null;
+}
+
+module.exports = {
+    JWT_SECRET,
+    JWT_EXPIRES_IN,
+    BEARER_PROTOCOL_PREFIX,
+    generateToken,
+    verifyAccessToken,
+    extractUpgradeToken
+};
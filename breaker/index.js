@@ -0,0 +1,282 @@
+/**
+ * Circuit Breaker Registry
+ *
+ * One breaker per upstream provider (keyed "<area>:<provider>", e.g.
+ * "llm:gemini", "tts:elevenlabs", "stt:openai"), shared by every caller in
+ * the process so an outage seen by one request protects the next.
+ *
+ * States:
+ * - closed:    requests flow; outcomes are recorded in a rolling window.
+ *              Once the window holds BREAKER_MIN_REQUESTS outcomes and the
+ *              failure rate reaches BREAKER_FAILURE_THRESHOLD, the breaker opens.
+ * - open:      requests are rejected immediately (error.code = 'CIRCUIT_OPEN')
+ *              until BREAKER_COOLDOWN_MS has passed.
+ * - half_open: up to BREAKER_HALF_OPEN_PROBES probe requests are let through.
+ *              A successful probe closes the breaker; a failed probe reopens it.
+ *
+ * Failures are timeouts, network errors, 429 and 5xx. Other HTTP errors
+ * (400, 401, 404...) mean the provider answered and count as successes.
+ * Calls the caller cancelled are not counted at all.
+ *
+ * Usage:
+ *   await getBreaker('stt:openai').execute(signal => fetch(url, { signal }), { timeoutMs: 15000 });
+ *
+ *   const ticket = getBreaker('realtime:openai').tryAcquire(); // null while open
+ *   ticket.succeed() | ticket.fail(error) | ticket.release()
+ */
+
+// Configuration
+const BREAKER_FAILURE_THRESHOLD = parseFloat(process.env.BREAKER_FAILURE_THRESHOLD) || 0.5;
+const BREAKER_MIN_REQUESTS = parseInt(process.env.BREAKER_MIN_REQUESTS) || 5;
+const BREAKER_WINDOW_MS = parseInt(process.env.BREAKER_WINDOW_MS) || 60000;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.BREAKER_COOLDOWN_MS) || 30000;
+const BREAKER_HALF_OPEN_PROBES = parseInt(process.env.BREAKER_HALF_OPEN_PROBES) || 1;
+
+const breakers = new Map();
+
+/**
+ * Whether an error means the provider is unhealthy
+ * @param {Error} error - Call error
+ * @returns {boolean}
+ */
+function isProviderFailure(error) {
+    const status = error?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Create a standalone circuit breaker
+ * @param {string} name - Breaker key
+ * @param {Object} options - Overrides for failureThreshold, minRequests, windowMs, cooldownMs, halfOpenProbes, isFailure
+ * @returns {Object} Breaker
+ */
+function createCircuitBreaker(name, options = {}) {
+    const config = {
+        failureThreshold: BREAKER_FAILURE_THRESHOLD,
+        minRequests: BREAKER_MIN_REQUESTS,
+        windowMs: BREAKER_WINDOW_MS,
+        cooldownMs: BREAKER_COOLDOWN_MS,
+        halfOpenProbes: BREAKER_HALF_OPEN_PROBES,
+        isFailure: isProviderFailure,
+        ...options
+    };
+
+    let state = 'closed';
+    let outcomes = []; // { at, ok } within the rolling window
+    let openedAt = null;
+    let probesInFlight = 0;
+    let lastFailure = null;
+    const totals = { successes: 0, failures: 0, rejected: 0 };
+
+    function transition(next, reason) {
+        if (state === next) return;
+        const icon = next === 'open' ? '🔴' : next === 'half_open' ? '🟡' : '🟢';
+        console.log(`${icon} Circuit ${name}: ${state} → ${next}${reason ? ` (${reason})` : ''}`);
+        state = next;
+
+        if (next === 'open') {
+            openedAt = Date.now();
+        } else if (next === 'closed') {
+            openedAt = null;
+            outcomes = [];
+        }
+    }
+
+    function currentState() {
+        if (state === 'open' && Date.now() - openedAt >= config.cooldownMs) {
+            transition('half_open', 'cooldown elapsed');
+        }
+        return state;
+    }
+
+    function windowStats() {
+        const now = Date.now();
+        outcomes = outcomes.filter(outcome => now - outcome.at < config.windowMs);
+        const failures = outcomes.filter(outcome => !outcome.ok).length;
+        return {
+            requests: outcomes.length,
+            failures,
+            failureRate: outcomes.length > 0 ? failures / outcomes.length : 0
+        };
+    }
+
+    function recordSuccess(isProbe) {
+        totals.successes++;
+        if (isProbe) {
+            transition('closed', 'probe succeeded');
+            return;
+        }
+        outcomes.push({ at: Date.now(), ok: true });
+    }
+
+    function recordFailure(error, isProbe) {
+        totals.failures++;
+        lastFailure = { at: new Date().toISOString(), status: error?.status, message: error?.message };
+
+        if (isProbe) {
+            transition('open', 'probe failed');
+            return;
+        }
+        if (state !== 'closed') {
+            return; // A request admitted before the breaker opened
+        }
+
+        outcomes.push({ at: Date.now(), ok: false });
+        const { requests, failureRate } = windowStats();
+        if (requests >= config.minRequests && failureRate >= config.failureThreshold) {
+            transition('open', `${Math.round(failureRate * 100)}% of ${requests} requests failed`);
+        }
+    }
+
+    /**
+     * Reserve a request slot
+     * @returns {{succeed: Function, fail: Function, release: Function}|null} Null while the breaker rejects requests
+     */
+    function tryAcquire() {
+        const current = currentState();
+        if (current === 'open' || (current === 'half_open' && probesInFlight >= config.halfOpenProbes)) {
+            totals.rejected++;
+            return null;
+        }
+
+        const isProbe = current === 'half_open';
+        if (isProbe) probesInFlight++;
+        let settled = false;
+
+        const settle = (record) => {
+            if (settled) return;
+            settled = true;
+            if (isProbe) probesInFlight--;
+            record();
+        };
+
+        return {
+            isProbe,
+            succeed: () => settle(() => recordSuccess(isProbe)),
+            fail: (error) => settle(() => (config.isFailure(error)
+                ? recordFailure(error, isProbe)
+                : recordSuccess(isProbe))),
+            release: () => settle(() => { }) // Not counted (caller cancelled)
+        };
+    }
+
+    /**
+     * Error thrown while the breaker rejects requests
+     * @returns {Error}
+     */
+    function openError() {
+        const retryAfterMs = state === 'open'
+            ? Math.max(0, config.cooldownMs - (Date.now() - openedAt))
+            : 0;
+        const error = new Error(`Circuit ${name} is open - provider temporarily unavailable`);
+        error.status = 503;
+        error.code = 'CIRCUIT_OPEN';
+        error.provider = name;
+        error.retryAfterMs = retryAfterMs;
+        return error;
+    }
+
+    /**
+     * Run a call through the breaker
+     * @param {Function} fn - (signal) => Promise; signal aborts on timeout or caller cancel
+     * @param {Object} options - { timeoutMs, signal }
+     * @returns {Promise<*>} fn's result
+     * @throws {Error} CIRCUIT_OPEN, ETIMEDOUT or fn's error
+     */
+    async function execute(fn, { timeoutMs, signal } = {}) {
+        const ticket = tryAcquire();
+        if (!ticket) {
+            throw openError();
+        }
+
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        signal?.addEventListener('abort', abort);
+        let timedOut = false;
+        const timer = timeoutMs
+            ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs)
+            : null;
+
+        try {
+            const result = await fn(controller.signal);
+            ticket.succeed();
+            return result;
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error(`${name} timed out after ${timeoutMs}ms`);
+                timeoutError.code = 'ETIMEDOUT';
+                timeoutError.provider = name;
+                ticket.fail(timeoutError);
+                throw timeoutError;
+            }
+            if (signal?.aborted) {
+                ticket.release();
+            } else {
+                ticket.fail(error);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Snapshot for /health
+     * @returns {Object}
+     */
+    function getState() {
+        const current = currentState();
+        const { requests, failures, failureRate } = windowStats();
+        return {
+            state: current,
+            window: { requests, failures, failure_rate: Math.round(failureRate * 100) / 100 },
+            ...(current === 'open' && {
+                retry_after_ms: Math.max(0, config.cooldownMs - (Date.now() - openedAt))
+            }),
+            totals: { ...totals },
+            last_failure: lastFailure
+        };
+    }
+
+    return {
+        name,
+        execute,
+        tryAcquire,
+        canRequest: () => currentState() !== 'open',
+        openError,
+        getState
+    };
+}
+
+/**
+ * Get (or create) the process-wide breaker for a provider key
+ * @param {string} name - Breaker key, e.g. "tts:elevenlabs"
+ * @param {Object} options - Options used only when the breaker is first created
+ * @returns {Object} Breaker
+ */
+function getBreaker(name, options) {
+    if (!breakers.has(name)) {
+        breakers.set(name, createCircuitBreaker(name, options));
+    }
+    return breakers.get(name);
+}
+
+/**
+ * State of every breaker created so far
+ * @returns {Object} name -> state snapshot
+ */
+function getBreakerStates() {
+    return Object.fromEntries([...breakers].map(([name, breaker]) => [name, breaker.getState()]));
+}
+
+module.exports = {
+    getBreaker,
+    getBreakerStates,
+    createCircuitBreaker,
+    isProviderFailure,
+    BREAKER_FAILURE_THRESHOLD,
+    BREAKER_MIN_REQUESTS,
+    BREAKER_WINDOW_MS,
+    BREAKER_COOLDOWN_MS
+};
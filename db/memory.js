@@ -7,6 +7,14 @@
 const db = require('./index');
 const fs = require('fs');
 const path = require('path');
+const {
+    DEFAULT_PREFERENCES,
+    emptyUserMemory,
+    classifyContext,
+    mergeMemory,
+    generateSummary,
+    renderContextBlock
+} = require('../storage/context');
 
 // ============================================================================
 // USER MANAGEMENT
@@ -49,7 +57,7 @@ async function getOrCreateUser(externalId) {
         await client.query(
             `INSERT INTO user_memory (user_id, preferences) 
              VALUES ($1, $2::jsonb)`,
-            [userId, JSON.stringify(['No MP3 downloads by default; streaming playback only.'])]
+            [userId, JSON.stringify(DEFAULT_PREFERENCES)]
         );
 
         await client.query('COMMIT');
@@ -69,16 +77,37 @@ async function getOrCreateUser(externalId) {
 /**
  * Start a new session for a user
  * @param {string} userId - User UUID
+ * @param {string} channel - Session channel (voice|text)
  * @returns {Promise<string>} Session UUID
  */
-async function startSession(userId) {
+async function startSession(userId, channel = 'voice') {
     const result = await db.query(
-        'INSERT INTO sessions (user_id) VALUES ($1) RETURNING id',
-        [userId]
+        'INSERT INTO sessions (user_id, channel) VALUES ($1, $2) RETURNING id',
+        [userId, channel]
     );
     return result.rows[0].id;
 }
 
+/**
+ * Find the user's most recent open (not ended) session on a channel
+ * @param {string} userId - User UUID
+ * @param {string} channel - Session channel (voice|text)
+ * @returns {Promise<{id: string, last_activity_at: Date}|null>}
+ */
+async function findOpenSession(userId, channel) {
+    const result = await db.query(
+        `SELECT s.id, COALESCE(MAX(m.created_at), s.started_at) AS last_activity_at
+         FROM sessions s
+         LEFT JOIN messages m ON m.session_id = s.id
+         WHERE s.user_id = $1 AND s.channel = $2 AND s.ended_at IS NULL
+         GROUP BY s.id
+         ORDER BY s.started_at DESC, s.id::text DESC
+         LIMIT 1`,
+        [userId, channel]
+    );
+    return result.rows[0] || null;
+}
+
 /**
  * Append a message to a session
  * @param {string} sessionId - Session UUID
@@ -247,19 +276,45 @@ async function getUserMemory(userId) {
     );
 
     if (result.rows.length === 0) {
-        return {
-            history_summary: null,
-            key_points: [],
-            open_loops: [],
-            preferences: ['No MP3 downloads by default; streaming playback only.'],
-            entities: {},
-            last_session_id: null
-        };
+        return emptyUserMemory();
     }
 
     return result.rows[0];
 }
 
+/**
+ * Get a user's most recent user/assistant messages across all sessions and channels
+ * @param {string} userId - User UUID
+ * @param {number} limit - Max messages
+ * @returns {Promise<Array>} Messages oldest-first ({role, content, timestamp, channel})
+ */
+async function getRecentUserMessages(userId, limit = 10) {
+    const result = await db.query(
+        `SELECT m.role, m.content, m.created_at AS timestamp, s.channel
+         FROM messages m
+         JOIN sessions s ON s.id = m.session_id
+         WHERE s.user_id = $1 AND m.role IN ('user', 'assistant')
+         ORDER BY m.created_at DESC
+         LIMIT $2`,
+        [userId, limit]
+    );
+    return result.rows.reverse();
+}
+
+/**
+ * Get every message in one session, oldest first (summarizer input)
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<Array>} Messages ({role, content, created_at})
+ */
+async function getSessionMessages(sessionId) {
+    const result = await db.query(
+        `SELECT role, content, created_at FROM messages
+         WHERE session_id = $1 ORDER BY created_at, id`,
+        [sessionId]
+    );
+    return result.rows;
+}
+
 /**
  * Get full context pack for a user (before first response)
  * Sprint 14.2.8.6: Enhanced observability for context injection decision
@@ -279,25 +334,17 @@ async function getContextPack(userId, currentSessionId = null) {
     const latencyMs = Date.now() - startTime;
     const transcriptCount = lastSessionTranscript?.length || 0;
     const keyPointsCount = userMemory?.key_points?.length || 0;
-    const hasContext = transcriptCount > 0 || keyPointsCount > 0;
 
     // Determine reason code for observability
-    let reasonCode = 'none';
-    if (transcriptCount > 0 && keyPointsCount > 0) {
-        reasonCode = 'full_context';
-    } else if (transcriptCount > 0) {
-        reasonCode = 'transcript_only';
-    } else if (keyPointsCount > 0) {
-        reasonCode = 'memory_only';
-    } else {
-        reasonCode = 'no_history';
-    }
+    const { has_context: hasContext, reason_code: reasonCode } = classifyContext(transcriptCount, keyPointsCount);
 
     console.log(`📦 [MEMORY] getContextPack: user=${userIdHash} hasContext=${hasContext} reason=${reasonCode} transcript=${transcriptCount} keyPoints=${keyPointsCount} latency_ms=${latencyMs}`);
 
     return {
         last_session_transcript: lastSessionTranscript,
-        user_memory: userMemory
+        user_memory: userMemory,
+        has_context: hasContext,
+        reason_code: reasonCode
     };
 }
 
@@ -312,44 +359,7 @@ async function getContextPack(userId, currentSessionId = null) {
  */
 async function mergeUserMemory(userId, sessionSummary) {
     const currentMemory = await getUserMemory(userId);
-
-    // De-duplicate helper (case-insensitive trim)
-    const dedupe = (arr) => {
-        const seen = new Set();
-        return arr.filter(item => {
-            const normalized = String(item).toLowerCase().trim();
-            if (seen.has(normalized)) return false;
-            seen.add(normalized);
-            return true;
-        });
-    };
-
-    // Merge arrays with de-duplication
-    const mergedKeyPoints = dedupe([
-        ...(currentMemory.key_points || []),
-        ...(sessionSummary.key_points || [])
-    ]).slice(-20); // Keep last 20
-
-    const mergedOpenLoops = dedupe([
-        ...(currentMemory.open_loops || []),
-        ...(sessionSummary.open_loops || [])
-    ]);
-
-    const mergedPreferences = dedupe([
-        ...(currentMemory.preferences || []),
-        ...(sessionSummary.preferences || [])
-    ]);
-
-    // Shallow merge entities (newer wins)
-    const mergedEntities = {
-        ...(currentMemory.entities || {}),
-        ...(sessionSummary.entities || {})
-    };
-
-    // Update history summary (append)
-    const newHistorySummary = sessionSummary.history_snippet
-        ? `${currentMemory.history_summary || ''}\n${sessionSummary.history_snippet}`.trim()
-        : currentMemory.history_summary;
+    const merged = mergeMemory(currentMemory, sessionSummary);
 
     await db.query(
         `UPDATE user_memory SET 
@@ -361,69 +371,150 @@ async function mergeUserMemory(userId, sessionSummary) {
             updated_at = NOW()
          WHERE user_id = $6`,
         [
-            newHistorySummary,
-            JSON.stringify(mergedKeyPoints),
-            JSON.stringify(mergedOpenLoops),
-            JSON.stringify(mergedPreferences),
-            JSON.stringify(mergedEntities),
+            merged.history_summary,
+            JSON.stringify(merged.key_points),
+            JSON.stringify(merged.open_loops),
+            JSON.stringify(merged.preferences),
+            JSON.stringify(merged.entities),
             userId
         ]
     );
 }
 
 // ============================================================================
-// SUMMARY GENERATION (V0 - Deterministic)
+// MEMORY MANAGEMENT (user-facing view / edit / forget)
 // ============================================================================
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
- * Generate a deterministic summary from messages (no LLM)
- * @param {Array} messages - Array of {role, content}
- * @returns {Object} Summary with key_points, open_loops, decisions
+ * List a user's sessions, newest first
+ * @param {string} userId - User UUID
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Array>} Sessions ({id, channel, started_at, ended_at, message_count, summary})
  */
-function generateSummary(messages) {
-    const keyPoints = [];
-    const openLoops = [];
-    const decisions = [];
-
-    const assistantMessages = messages.filter(m => m.role === 'assistant');
-
-    // Extract key points: first sentence of last 5 assistant messages
-    const lastFive = assistantMessages.slice(-5);
-    for (const msg of lastFive) {
-        const firstSentence = msg.content.split(/[.!?]/)[0]?.trim();
-        if (firstSentence && firstSentence.length > 10 && firstSentence.length < 200) {
-            keyPoints.push(firstSentence);
-        }
-    }
+async function listSessions(userId, { limit = 20, offset = 0 } = {}) {
+    const result = await db.query(
+        `SELECT s.id, s.channel, s.started_at, s.ended_at, s.summary,
+                (SELECT COUNT(*)::int FROM messages m WHERE m.session_id = s.id) AS message_count
+         FROM sessions s
+         WHERE s.user_id = $1
+         ORDER BY s.started_at DESC, s.id::text DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+    );
+    return result.rows;
+}
 
-    // Scan all messages for patterns
-    for (const msg of messages) {
-        const content = msg.content;
-        const lines = content.split('\n');
+/**
+ * Get one session if it belongs to the user
+ * @param {string} userId - User UUID
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<Object|null>} Session ({id, channel, started_at, ended_at, summary}) or null
+ */
+async function getSession(userId, sessionId) {
+    if (!UUID_PATTERN.test(String(sessionId))) return null;
 
-        for (const line of lines) {
-            const trimmed = line.trim();
+    const result = await db.query(
+        `SELECT id, channel, started_at, ended_at, summary
+         FROM sessions WHERE id = $1 AND user_id = $2`,
+        [sessionId, userId]
+    );
+    return result.rows[0] || null;
+}
 
-            // Open loops: TODO, Next, We should
-            if (/^(TODO:|Next:|We should|I'll need to|Let's|We need to)/i.test(trimmed)) {
-                openLoops.push(trimmed.substring(0, 100));
-            }
+/**
+ * Delete one of a user's sessions (messages cascade)
+ * @param {string} userId - User UUID
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<boolean>} Whether a session was deleted
+ */
+async function deleteSession(userId, sessionId) {
+    if (!UUID_PATTERN.test(String(sessionId))) return false;
 
-            // Decisions: Decision, Approved, We will
-            if (/^(Decision:|Approved:|We will|I'll|Confirmed:)/i.test(trimmed)) {
-                decisions.push(trimmed.substring(0, 100));
-            }
-        }
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        // user_memory.last_session_id references sessions without ON DELETE
+        await client.query(
+            `UPDATE user_memory SET last_session_id = NULL WHERE user_id = $1 AND last_session_id = $2`,
+            [userId, sessionId]
+        );
+        const result = await client.query(
+            'DELETE FROM sessions WHERE id = $1 AND user_id = $2',
+            [sessionId, userId]
+        );
+
+        await client.query('COMMIT');
+        return result.rowCount > 0;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
     }
+}
 
-    return {
-        key_points: [...new Set(keyPoints)].slice(0, 10),
-        open_loops: [...new Set(openLoops)].slice(0, 10),
-        decisions: [...new Set(decisions)].slice(0, 10),
-        preferences: [],
-        entities: {},
-        history_snippet: keyPoints.length > 0 ? keyPoints[0] : null
-    };
+/**
+ * Replace editable long-term memory fields
+ * @param {string} userId - User UUID
+ * @param {Object} patch - Any of { key_points, open_loops, preferences, entities }
+ * @returns {Promise<Object>} Updated user memory
+ */
+async function updateUserMemory(userId, patch) {
+    const current = await getUserMemory(userId);
+    const next = { ...current, ...patch };
+
+    await db.query(
+        `INSERT INTO user_memory (user_id, key_points, open_loops, preferences, entities, updated_at)
+         VALUES ($1, $2::jsonb, $3::jsonb, $4::jsonb, $5::jsonb, NOW())
+         ON CONFLICT (user_id) DO UPDATE SET
+            key_points = EXCLUDED.key_points,
+            open_loops = EXCLUDED.open_loops,
+            preferences = EXCLUDED.preferences,
+            entities = EXCLUDED.entities,
+            updated_at = NOW()`,
+        [
+            userId,
+            JSON.stringify(next.key_points || []),
+            JSON.stringify(next.open_loops || []),
+            JSON.stringify(next.preferences || []),
+            JSON.stringify(next.entities || {})
+        ]
+    );
+
+    return getUserMemory(userId);
+}
+
+/**
+ * Forget a user entirely: users, user_identities, sessions, messages and user_memory
+ * @param {string} userId - User UUID
+ * @returns {Promise<{sessions: number, messages: number}>} Deleted counts
+ */
+async function deleteUser(userId) {
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const messagesResult = await client.query(
+            `DELETE FROM messages WHERE session_id IN (SELECT id FROM sessions WHERE user_id = $1)`,
+            [userId]
+        );
+        await client.query('DELETE FROM user_memory WHERE user_id = $1', [userId]);
+        const sessionsResult = await client.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM user_identities WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+        await client.query('COMMIT');
+        console.log(`🗑️  [MEMORY] deleteUser user=${userId.substring(0, 8)} sessions=${sessionsResult.rowCount} messages=${messagesResult.rowCount}`);
+        return { sessions: sessionsResult.rowCount, messages: messagesResult.rowCount };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
 }
 
 // ============================================================================
@@ -470,12 +561,21 @@ async function writeSessionJSONLFile(userId, sessionId) {
 module.exports = {
     getOrCreateUser,
     startSession,
+    findOpenSession,
     appendMessage,
     endSession,
     getLastSessionTranscript,
     getUserMemory,
+    getRecentUserMessages,
+    getSessionMessages,
     getContextPack,
+    renderContextBlock,
     mergeUserMemory,
+    listSessions,
+    getSession,
+    deleteSession,
+    updateUserMemory,
+    deleteUser,
     generateSummary,
     exportSessionAsJSONL,
     writeSessionJSONLFile
@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Memory Core - Session Channels
+-- ============================================================================
+-- Typed (/chat) and spoken (relay) turns share one store; sessions record
+-- which channel they came from so /chat can resume its open text session.
+-- Run: psql -d jarvis -f db/migrations/002_session_channel.sql
+-- ============================================================================
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS channel VARCHAR(20) NOT NULL DEFAULT 'voice';
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_channel_open
+    ON sessions(user_id, channel, started_at DESC)
+    WHERE ended_at IS NULL;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Session channel migration applied successfully';
+END $$;
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { API_CONFIG, tokenManager, authFetch } from './config';
 import VoiceHandler from './VoiceHandler';
 import MicRecorder from './MicRecorder';
+import StreamingAudioPlayer from './StreamingAudioPlayer';
 
 /**
  * Dashboard Component - Iron Man HUD Interface (v12.2 Vocal Link)
@@ -20,6 +21,10 @@ const RELAY_SERVER_URL = 'wss://v12-9-2---jarvis-relay-794024916030.europe-west1
 // Production API Base URL from centralized config
 const API_BASE_URL = API_CONFIG.BASE_URL;
 
+// Default thread restored on load (/chat history is stored in the 'voice' conversation)
+const HISTORY_CONVERSATION_TYPE = 'voice';
+const HISTORY_PAGE_SIZE = 50;
+
 const Dashboard = ({ user, onLogout }) => {
     // ═══════════════════════════════════════════════════════════════
     // STATE MANAGEMENT
@@ -39,6 +44,13 @@ const Dashboard = ({ user, onLogout }) => {
         power: 100
     });
 
+    // ═══════════════════════════════════════════════════════════════
+    // CONVERSATION THREADS
+    // ═══════════════════════════════════════════════════════════════
+    const [threads, setThreads] = useState([]);
+    const [activeThreadId, setActiveThreadId] = useState(null); // null = default thread
+    const [showArchived, setShowArchived] = useState(false);
+
     // ═══════════════════════════════════════════════════════════════
     // VOCAL LINK STATE (v12.2)
     // ═══════════════════════════════════════════════════════════════
@@ -54,6 +66,7 @@ const Dashboard = ({ user, onLogout }) => {
     const voiceHandlerRef = useRef(null);
     const streamingMessageIdRef = useRef(null);
     const audioEnabledRef = useRef(false); // Track if user has enabled audio
+    const chatPlayerRef = useRef(null); // MSE player for streamed /chat audio
 
     // ═══════════════════════════════════════════════════════════════
     // EFFECTS
@@ -85,6 +98,125 @@ const Dashboard = ({ user, onLogout }) => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
     }, [messages]);
 
+    // Hydrate the active thread's history from the backend (on mount and on thread switch)
+    useEffect(() => {
+        let cancelled = false;
+        setMessages([]);
+        streamingMessageIdRef.current = null;
+
+        const loadHistory = async () => {
+            try {
+                const threadRef = activeThreadId || HISTORY_CONVERSATION_TYPE;
+                const response = await authFetch(
+                    `${API_CONFIG.ENDPOINTS.CONVERSATIONS}/${threadRef}/messages?limit=${HISTORY_PAGE_SIZE}`
+                );
+                if (!response.ok) {
+                    throw new Error(`Server error: ${response.status}`);
+                }
+
+                const data = await response.json();
+                if (cancelled || !data.messages?.length) return;
+
+                const history = data.messages.map((msg, index) => ({
+                    id: `history-${new Date(msg.timestamp).getTime()}-${index}`,
+                    role: msg.role,
+                    content: msg.content,
+                    timestamp: new Date(msg.timestamp)
+                }));
+
+                // Keep anything sent while the history request was in flight
+                setMessages(prev => [...history, ...prev]);
+                console.log(`📚 Restored ${history.length} of ${data.total} messages from history`);
+            } catch (error) {
+                console.warn('⚠️ Failed to load conversation history:', error.message);
+            }
+        };
+
+        loadHistory();
+        return () => {
+            cancelled = true;
+        };
+    }, [activeThreadId]);
+
+    // ═══════════════════════════════════════════════════════════════
+    // THREAD MANAGEMENT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Fetch the thread list for the sidebar
+     */
+    const loadThreads = useCallback(async () => {
+        try {
+            const response = await authFetch(
+                `${API_CONFIG.ENDPOINTS.CONVERSATIONS}${showArchived ? '?archived=true' : ''}`
+            );
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+            const data = await response.json();
+            setThreads(data.conversations || []);
+        } catch (error) {
+            console.warn('⚠️ Failed to load threads:', error.message);
+        }
+    }, [showArchived]);
+
+    useEffect(() => {
+        loadThreads();
+    }, [loadThreads]);
+
+    /**
+     * Switch threads - the default thread is addressed as null so /chat keeps memory context
+     */
+    const selectThread = (thread) => {
+        if (isLoading) return;
+        setActiveThreadId(thread.is_default ? null : thread.id);
+    };
+
+    const createThread = async () => {
+        const title = window.prompt('Name the new thread:');
+        if (!title || !title.trim()) return;
+
+        try {
+            const response = await authFetch(API_CONFIG.ENDPOINTS.CONVERSATIONS, {
+                method: 'POST',
+                body: JSON.stringify({ title: title.trim() })
+            });
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+            const data = await response.json();
+            await loadThreads();
+            setActiveThreadId(data.conversation.id);
+        } catch (error) {
+            console.error('❌ Failed to create thread:', error);
+        }
+    };
+
+    const updateThread = async (thread, changes) => {
+        try {
+            const response = await authFetch(`${API_CONFIG.ENDPOINTS.CONVERSATIONS}/${thread.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify(changes)
+            });
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+            if (changes.archived && thread.id === activeThreadId) {
+                setActiveThreadId(null);
+            }
+            await loadThreads();
+        } catch (error) {
+            console.error('❌ Failed to update thread:', error);
+        }
+    };
+
+    const renameThread = (thread) => {
+        const title = window.prompt('Rename thread:', thread.title);
+        if (title && title.trim() && title.trim() !== thread.title) {
+            updateThread(thread, { title: title.trim() });
+        }
+    };
+
     // Cleanup blob URL on unmount
     useEffect(() => {
         return () => {
@@ -338,10 +470,98 @@ const Dashboard = ({ user, onLogout }) => {
         };
     }, [audioRef.current]); // Re-run when audio element changes
 
+    /**
+     * Sync the HUD with streamed /chat audio playback
+     */
+    const handleChatPlayerStateChange = useCallback((state) => {
+        setIsSpeaking(state.isPlaying || state.isStreaming);
+    }, []);
+
     // ═══════════════════════════════════════════════════════════════
     // CHAT LOGIC
     // ═══════════════════════════════════════════════════════════════
 
+    /**
+     * Consume a streaming /chat response (Server-Sent Events).
+     * Text deltas grow the assistant message as they arrive; base64 MP3
+     * chunks go straight to the MSE player so audio starts after the
+     * first sentence instead of after the whole reply.
+     * @param {Response} response - fetch response with a text/event-stream body
+     */
+    const readChatStream = async (response) => {
+        const assistantId = Date.now() + 1;
+        setMessages(prev => [...prev, {
+            id: assistantId,
+            role: 'assistant',
+            content: '',
+            timestamp: new Date()
+        }]);
+
+        const setAssistantContent = (update) => {
+            setMessages(prev => prev.map(msg =>
+                msg.id === assistantId ? { ...msg, content: update(msg.content) } : msg
+            ));
+        };
+
+        const handleEvent = (event, data) => {
+            switch (event) {
+                case 'text':
+                    setAssistantContent(content => content + data.delta);
+                    break;
+                case 'audio':
+                    chatPlayerRef.current?.appendChunk(data.chunk);
+                    break;
+                case 'audio_error':
+                    console.warn('⚠️ Audio generation failed - Fallback to Text Mode');
+                    setMessages(prev => [...prev, {
+                        id: Date.now() + 2,
+                        role: 'system',
+                        content: '⚠️ Voice System Offline - Text Mode Active',
+                        timestamp: new Date()
+                    }]);
+                    break;
+                case 'done':
+                    setAssistantContent(() => data.text);
+                    break;
+                case 'error':
+                    // Drop the empty assistant bubble before reporting the failure
+                    setMessages(prev => prev.filter(msg => msg.id !== assistantId || msg.content));
+                    throw new Error(data.message);
+                default:
+                    break;
+            }
+        };
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+
+                // Events are separated by a blank line
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const rawEvent = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+
+                    let event = 'message';
+                    let data = '';
+                    for (const line of rawEvent.split('\n')) {
+                        if (line.startsWith('event: ')) event = line.slice(7);
+                        else if (line.startsWith('data: ')) data += line.slice(6);
+                    }
+                    if (data) handleEvent(event, JSON.parse(data));
+                }
+            }
+        } finally {
+            chatPlayerRef.current?.endStream();
+        }
+    };
+
     const sendMessage = async (text = inputText) => {
         if (!text.trim() || isLoading) return;
 
@@ -373,16 +593,25 @@ const Dashboard = ({ user, onLogout }) => {
             }
 
             // Reset autoplay blocked state for new request
+            chatPlayerRef.current?.stop();
+
             setAutoplayBlocked(false);
             setIsSpeaking(false);
 
+            // Stream text + audio when the browser can play MP3 chunks (MSE)
+            const streaming = !!chatPlayerRef.current?.isSupported();
+
             // ─────────────────────────────────────────────────────────────
             // AUTHENTICATED POST REQUEST to /chat endpoint
             // Using authFetch wrapper to ensure proper method and headers
             // ─────────────────────────────────────────────────────────────
             const response = await authFetch(API_CONFIG.ENDPOINTS.CHAT, {
                 method: 'POST',
-                body: JSON.stringify({ text: text.trim() }),
+                body: JSON.stringify({
+                    text: text.trim(),
+                    stream: streaming,
+                    ...(activeThreadId && { conversationId: activeThreadId })
+                }),
             });
 
             if (!response.ok) {
@@ -394,6 +623,12 @@ const Dashboard = ({ user, onLogout }) => {
             // ─────────────────────────────────────────────────────────────
             const contentType = response.headers.get('content-type');
 
+            // Streaming response: text and audio arrive interleaved
+            if (contentType && contentType.includes('text/event-stream')) {
+                await readChatStream(response);
+                return;
+            }
+
             // Check for JSON response (Audio Generation Failed / Text-Only)
             if (contentType && contentType.includes('application/json')) {
                 const data = await response.json();
@@ -491,6 +726,7 @@ const Dashboard = ({ user, onLogout }) => {
             setMessages(prev => [...prev, errorMessage]);
         } finally {
             setIsLoading(false);
+            loadThreads(); // Refresh ordering and message counts
         }
     };
 
@@ -569,6 +805,13 @@ const Dashboard = ({ user, onLogout }) => {
     return (
         <div className="min-h-screen bg-gradient-to-br from-gray-900 via-black to-gray-900 font-mono text-white overflow-hidden relative">
 
+            {/* Streamed /chat audio (hidden - MSE playback) */}
+            <StreamingAudioPlayer
+                ref={chatPlayerRef}
+                onStateChange={handleChatPlayerStateChange}
+                onError={(e) => console.error('❌ Chat audio player error:', e)}
+            />
+
             {/* ─────────────────────────────────────────────────────────
                 BACKGROUND EFFECTS
             ───────────────────────────────────────────────────────── */}
@@ -876,24 +1119,67 @@ const Dashboard = ({ user, onLogout }) => {
                 </div>
 
                 {/* ─────────────────────────────────────────────────────
-                    RIGHT SIDE PANEL - Quick Actions
+                    RIGHT SIDE PANEL - Conversation Threads
                 ───────────────────────────────────────────────────── */}
-                <aside className="w-48 p-4 border-l border-cyan-500/20">
-                    <h3 className="text-cyan-400/60 text-xs tracking-[0.2em] uppercase mb-4">Quick Commands</h3>
+                <aside className="w-48 p-4 border-l border-cyan-500/20 flex flex-col overflow-y-auto">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-cyan-400/60 text-xs tracking-[0.2em] uppercase">Threads</h3>
+                        <button
+                            onClick={createThread}
+                            disabled={isLoading}
+                            title="New thread"
+                            className="text-cyan-400/70 hover:text-cyan-400 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            ＋
+                        </button>
+                    </div>
 
                     <div className="space-y-2">
-                        {['System Status', 'Weather Report', 'News Brief', 'Set Reminder'].map((cmd) => (
-                            <button
-                                key={cmd}
-                                onClick={() => sendMessage(cmd)}
-                                disabled={isLoading}
-                                className="w-full text-left px-3 py-2 text-xs text-cyan-400/70 border border-cyan-500/20 rounded hover:bg-cyan-500/10 hover:border-cyan-500/40 hover:text-cyan-400 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed tracking-wide"
-                            >
-                                ▸ {cmd}
-                            </button>
-                        ))}
+                        {threads.length === 0 && (
+                            <p className="text-gray-500 text-xs tracking-wide">No threads yet</p>
+                        )}
+                        {threads.map((thread) => {
+                            const isActive = thread.is_default ? activeThreadId === null : thread.id === activeThreadId;
+                            return (
+                                <div
+                                    key={thread.id}
+                                    className={`group px-3 py-2 text-xs border rounded transition-all duration-300 ${isActive
+                                        ? 'bg-cyan-500/10 border-cyan-400/60 text-cyan-300'
+                                        : 'border-cyan-500/20 text-cyan-400/70 hover:bg-cyan-500/10 hover:border-cyan-500/40'
+                                        } ${thread.archived ? 'opacity-50' : ''}`}
+                                >
+                                    <button
+                                        onClick={() => !thread.archived && selectThread(thread)}
+                                        onDoubleClick={() => renameThread(thread)}
+                                        disabled={isLoading || thread.archived}
+                                        title="Click to open, double-click to rename"
+                                        className="w-full text-left tracking-wide truncate disabled:cursor-not-allowed"
+                                    >
+                                        ▸ {thread.title}
+                                    </button>
+                                    <div className="flex justify-between items-center mt-1 text-[10px] text-gray-500">
+                                        <span>{thread.message_count} msgs</span>
+                                        {!thread.is_default && (
+                                            <button
+                                                onClick={() => updateThread(thread, { archived: !thread.archived })}
+                                                className="opacity-0 group-hover:opacity-100 hover:text-cyan-400 uppercase tracking-wider"
+                                            >
+                                                {thread.archived ? 'Restore' : 'Archive'}
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            );
+                        })}
                     </div>
 
+                    <button
+                        onClick={() => setShowArchived(prev => !prev)}
+                        className="mt-3 text-left text-[10px] text-gray-500 hover:text-cyan-400 uppercase tracking-wider"
+                    >
+                        {showArchived ? '▾ Hide archived' : '▸ Show archived'}
+                    </button>
+
                     {/* Session Info */}
                     <div className="mt-8 pt-4 border-t border-cyan-500/20">
                         <h4 className="text-cyan-400/60 text-xs tracking-[0.2em] uppercase mb-3">Session Info</h4>
@@ -17,6 +17,7 @@
  */
 
 import React, { useState, useRef, useCallback, useEffect } from 'react';
+import { tokenManager } from './config';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -101,6 +102,14 @@ const MicRecorder = ({
             console.log('✅ WebSocket connected to relay');
             setIsConnected(true);
             setError(null);
+
+            // Authenticate and declare STT-only usage (no TTS audio needed)
+            ws.send(JSON.stringify({
+                type: 'client.capabilities',
+                token: tokenManager.getToken(),
+                wants_audio: false,
+                wants_text_only: true
+            }));
         };
 
         ws.onmessage = (event) => {
@@ -121,6 +130,11 @@ const MicRecorder = ({
             console.log('🔌 WebSocket disconnected:', event.code);
             setIsConnected(false);
 
+            if (event.code === 4001) {
+                setError('Authentication failed - please log in again');
+                return;
+            }
+
             // Auto-reconnect after 3 seconds (unless intentional close)
             if (event.code !== 1000) {
                 reconnectTimeoutRef.current = setTimeout(() => {
@@ -15,27 +15,17 @@
 
 import React, { useState, useRef, useCallback, useEffect, forwardRef, useImperativeHandle } from 'react';
 import StreamingAudioPlayer from './StreamingAudioPlayer';
+import { tokenManager } from './config';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════
 const RELAY_SERVER_URL = 'wss://jarvis-relay-794024916030.europe-west1.run.app';
+const RELAY_PROTOCOL = 'jarvis.v1'; // JWT rides along as a `bearer.<token>` subprotocol
 const SAMPLE_RATE = 24000; // 24kHz as required by OpenAI
 const CHANNELS = 1;        // Mono
 
-// J.A.R.V.I.S. System Persona
-const JARVIS_PERSONA = `You are J.A.R.V.I.S. (Just A Rather Very Intelligent System), the AI assistant created by Tony Stark. You possess the following characteristics:
-
-- Personality: Sophisticated, witty, and unfailingly polite with a dry British sense of humor
-- Speech: Formal yet warm, using precise language with occasional subtle sarcasm
-- Knowledge: Vast expertise in technology, science, engineering, and Stark Industries systems
-- Demeanor: Calm and composed even in crisis situations, always maintaining professionalism
-- Loyalty: Completely devoted to assisting and protecting your user
-- Capabilities: Real-time monitoring, analysis, recommendations, and conversation
-
-Address the user respectfully. Provide concise, actionable responses. When appropriate, add subtle wit or observations that demonstrate your advanced intelligence. Never break character.
-
-Begin each conversation ready to assist with whatever the user requires.`;
+// The persona (instructions) is applied by the relay from the user's selection - see /api/personas
 
 // ═══════════════════════════════════════════════════════════════════════════
 // AUDIO UTILITIES
@@ -222,9 +212,18 @@ const VoiceHandler = forwardRef(({ onTranscript, onStatusChange, autoConnect = t
                     console.log('🔧 Session updated');
                     break;
 
+                case 'auth.error':
+                    console.error('🔐 Relay rejected credentials:', data.code);
+                    setError(data.message || 'Authentication failed');
+                    setConnectionStatus('unauthorized');
+                    break;
+
                 // Sprint 14.0 - TTS streaming events
                 case 'tts.start':
-                    console.log('🎤 [VoiceHandler] TTS stream started:', data.response_id);
+                    console.log('🎤 [VoiceHandler] TTS stream started:', data.response_id, data.provider || '');
+                    if (data.failover) {
+                        console.warn(`⚠️ [VoiceHandler] TTS failover to ${data.provider} (${data.failover_reason})`);
+                    }
                     currentResponseIdRef.current = data.response_id;
                     break;
 
@@ -248,6 +247,32 @@ const VoiceHandler = forwardRef(({ onTranscript, onStatusChange, autoConnect = t
                     setError(data.message || 'TTS error');
                     break;
 
+                case 'tts.interrupted':
+                    // Server-side barge-in: the relay already cancelled the response
+                    console.log(`🛑 [VoiceHandler] Interrupted after ${data.audio_end_ms}ms:`, data.response_id);
+                    if (streamingPlayerRef.current) {
+                        streamingPlayerRef.current.stop();
+                    }
+                    setIsSpeaking(false);
+                    currentResponseIdRef.current = null;
+                    break;
+
+                case 'response.timeout':
+                    // Relay watchdog gave up on a response that never completed
+                    console.warn(`⏱️ [VoiceHandler] Response timed out after ${data.timeout_ms}ms:`, data.response_id);
+                    endAudioStream();
+                    currentResponseIdRef.current = null;
+                    break;
+
+                case 'session.expiring':
+                    // Relay closes idle or over-long sessions after this warning
+                    console.warn(`⏳ [VoiceHandler] Session closing in ${data.closes_in_ms}ms (${data.reason})`);
+                    break;
+
+                case 'turn.error':
+                    console.error('❌ [VoiceHandler] Turn mode error:', data.code, data.message);
+                    break;
+
                 case 'response.audio_transcript.delta':
                     // AI is speaking - partial transcript
                     if (onTranscript && data.delta) {
@@ -295,7 +320,7 @@ const VoiceHandler = forwardRef(({ onTranscript, onStatusChange, autoConnect = t
     }, [onTranscript, queueAudioForPlayback]);
 
     // ─────────────────────────────────────────────────────────────────────────
-    // SEND J.A.R.V.I.S. PERSONA INITIALIZATION
+    // SEND SESSION CONFIGURATION (persona instructions come from the relay)
     // ─────────────────────────────────────────────────────────────────────────
     const sendSessionConfig = useCallback(() => {
         if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) return;
@@ -304,7 +329,6 @@ const VoiceHandler = forwardRef(({ onTranscript, onStatusChange, autoConnect = t
             type: 'session.update',
             session: {
                 modalities: ['text', 'audio'],
-                instructions: JARVIS_PERSONA,
                 voice: 'echo',
                 input_audio_format: 'pcm16',
                 output_audio_format: 'pcm16',
@@ -321,7 +345,7 @@ const VoiceHandler = forwardRef(({ onTranscript, onStatusChange, autoConnect = t
         };
 
         wsRef.current.send(JSON.stringify(sessionUpdate));
-        console.log('📤 Sent J.A.R.V.I.S. session configuration');
+        console.log('📤 Sent session configuration');
     }, []);
 
     // ─────────────────────────────────────────────────────────────────────────
@@ -420,7 +444,14 @@ const VoiceHandler = forwardRef(({ onTranscript, onStatusChange, autoConnect = t
         setConnectionStatus('connecting');
         setError(null);
 
-        const ws = new WebSocket(RELAY_SERVER_URL);
+        const token = tokenManager.getToken();
+        if (!token) {
+            setError('Not authenticated');
+            setConnectionStatus('unauthorized');
+            return;
+        }
+
+        const ws = new WebSocket(RELAY_SERVER_URL, [RELAY_PROTOCOL, `bearer.${token}`]);
         wsRef.current = ws;
 
         ws.onopen = () => {
@@ -449,7 +480,7 @@ const VoiceHandler = forwardRef(({ onTranscript, onStatusChange, autoConnect = t
         ws.onclose = (event) => {
             console.log('🔌 WebSocket disconnected:', event.code, event.reason);
             setIsConnected(false);
-            setConnectionStatus('disconnected');
+            setConnectionStatus(event.code === 4001 ? 'unauthorized' : 'disconnected');
             stopMicrophoneCapture();
         };
 
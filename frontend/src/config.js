@@ -29,6 +29,9 @@ export const API_CONFIG = {
 
         // Chat (requires Authorization header)
         CHAT: '/chat',
+
+        // Conversation history (requires Authorization header)
+        CONVERSATIONS: '/api/conversations',
     },
 
     // Request timeout (ms) - Increased for v11.3 failover support
@@ -0,0 +1,65 @@
+/**
+ * WebSocket Heartbeats
+ *
+ * A half-open connection (a phone that lost signal, a NAT that dropped the
+ * mapping) never delivers a close frame, so the socket - and every paid
+ * upstream socket tied to it - would stay up forever. A heartbeat pings the
+ * peer every WS_HEARTBEAT_INTERVAL_MS; a peer that has neither answered the
+ * previous ping nor sent anything since is terminated, which fires the
+ * socket's normal 'close' handling.
+ *
+ * Used on all three relay sockets: client, OpenAI Realtime and ElevenLabs.
+ *
+ * Usage:
+ *   const heartbeat = startHeartbeat(ws, { onDead: () => log('dead') });
+ *   heartbeat.stop(); // on close (also automatic)
+ */
+
+const WebSocket = require('ws');
+
+// Configuration
+const WS_HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS) || 30000;
+
+/**
+ * Ping a socket until it closes, terminating it if it stops answering
+ * @param {WebSocket} ws - Open (or opening) socket
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Ping interval; a peer gets one interval to answer
+ * @param {Function} [options.onDead] - Called just before a silent peer is terminated
+ * @returns {{stop: Function}}
+ */
+function startHeartbeat(ws, { intervalMs = WS_HEARTBEAT_INTERVAL_MS, onDead = () => { } } = {}) {
+    let alive = true;
+    const markAlive = () => { alive = true; };
+
+    const timer = setInterval(() => {
+        if (ws.readyState !== WebSocket.OPEN) return; // Still connecting, or closing
+
+        if (!alive) {
+            stop();
+            onDead();
+            ws.terminate();
+            return;
+        }
+        alive = false;
+        ws.ping();
+    }, intervalMs);
+
+    function stop() {
+        clearInterval(timer);
+        ws.off('pong', markAlive);
+        ws.off('message', markAlive);
+    }
+
+    // Any traffic proves the peer is there, not just pongs
+    ws.on('pong', markAlive);
+    ws.on('message', markAlive);
+    ws.once('close', stop);
+
+    return { stop };
+}
+
+module.exports = {
+    startHeartbeat,
+    WS_HEARTBEAT_INTERVAL_MS
+};
@@ -0,0 +1,87 @@
+/**
+ * Chat Context Window
+ *
+ * Turns stored conversation messages into the multi-turn history sent to the
+ * LLM, with roles intact, filled newest-first up to a token budget.
+ *
+ * - Messages already folded into the thread's rolling summary (timestamp at or
+ *   before summarized_until) are left out; the summary is sent instead as part
+ *   of the system instruction.
+ * - Messages that do not fit the budget are returned as overflow, for the
+ *   caller to fold into the rolling summary (storage/compaction.js).
+ * - The window always starts on a user turn.
+ *
+ * Tokens are estimated (~4 characters per token); providers report real usage.
+ */
+
+// Configuration
+const CHAT_CONTEXT_TOKEN_BUDGET = parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET) || 4000;
+const CHAT_CONTEXT_MAX_MESSAGES = parseInt(process.env.CHAT_CONTEXT_MAX_MESSAGES) || 40; // Candidates loaded per turn
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Rough token count for budgeting
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Build the history window for one turn
+ * @param {Array} messages - Stored messages, oldest first ({role, content, timestamp})
+ * @param {Object} options - { summarizedUntil, tokenBudget, reservedTokens }
+ *   reservedTokens covers what else shares the budget (the new message, the summary)
+ * @returns {{history: Array<{role: string, content: string}>, overflow: Array, tokens: number}}
+ */
+function buildContextWindow(messages, { summarizedUntil = null, tokenBudget = CHAT_CONTEXT_TOKEN_BUDGET, reservedTokens = 0 } = {}) {
+    const cutoff = summarizedUntil ? new Date(summarizedUntil).getTime() : null;
+    const turns = (messages || []).filter(m =>
+        (m.role === 'user' || m.role === 'assistant')
+        && m.content
+        && !(cutoff !== null && m.timestamp && new Date(m.timestamp).getTime() <= cutoff)
+    );
+
+    let budget = tokenBudget - reservedTokens;
+    let start = turns.length;
+    while (start > 0) {
+        const cost = estimateTokens(turns[start - 1].content);
+        if (cost > budget) break;
+        budget -= cost;
+        start--;
+    }
+
+    // Never open on an assistant reply whose question fell outside the window
+    while (start < turns.length && turns[start].role !== 'user') {
+        start++;
+    }
+
+    const window = turns.slice(start);
+    return {
+        history: window.map(m => ({ role: m.role, content: m.content })),
+        overflow: turns.slice(0, start),
+        tokens: window.reduce((sum, m) => sum + estimateTokens(m.content), 0)
+    };
+}
+
+/**
+ * Combine persona instructions with the conversation summary
+ * @param {string} instructions - Persona instructions
+ * @param {string|null} summary - Rolling summary of earlier conversation
+ * @returns {string}
+ */
+function buildSystemInstruction(instructions, summary) {
+    return summary
+        ? `${instructions}\n\nSummary of earlier conversation:\n${summary}`
+        : instructions;
+}
+
+module.exports = {
+    estimateTokens,
+    buildContextWindow,
+    buildSystemInstruction,
+    CHAT_CONTEXT_TOKEN_BUDGET,
+    CHAT_CONTEXT_MAX_MESSAGES
+};
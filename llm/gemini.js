@@ -0,0 +1,140 @@
+/**
+ * Gemini Chat Provider
+ *
+ * Multi-turn text generation via @google/generative-ai startChat({ history }).
+ * The persona arrives per request as systemInstruction, so model handles stay shared.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY?.trim();
+const DEFAULT_MODEL = process.env.LLM_GEMINI_MODEL || 'gemini-2.5-flash';
+
+let client = null;
+const models = new Map(); // model name -> GenerativeModel
+
+/**
+ * @returns {boolean} Whether the provider has credentials
+ */
+function isConfigured() {
+    return !!GEMINI_API_KEY;
+}
+
+/**
+ * Get (and cache) a model handle
+ * @param {string} modelName - Gemini model name
+ * @returns {Object} GenerativeModel
+ */
+function getModel(modelName) {
+    if (!GEMINI_API_KEY) {
+        throw new Error('GEMINI_API_KEY not set');
+    }
+    if (!client) {
+        client = new GoogleGenerativeAI(GEMINI_API_KEY);
+    }
+    if (!models.has(modelName)) {
+        models.set(modelName, client.getGenerativeModel({ model: modelName }));
+    }
+    return models.get(modelName);
+}
+
+/**
+ * Convert chat history to Gemini contents
+ * Gemini expects user/model turns that start with the user: consecutive
+ * same-role messages are merged, and an unanswered trailing user message is
+ * returned separately so it can be sent along with the new prompt.
+ * @param {Array<{role: string, content: string}>} history - Oldest first
+ * @returns {{contents: Array, pending: string|null}}
+ */
+function toGeminiHistory(history = []) {
+    const contents = [];
+    for (const message of history) {
+        const role = message.role === 'assistant' ? 'model' : 'user';
+        const last = contents[contents.length - 1];
+        if (last && last.role === role) {
+            last.parts.push({ text: message.content });
+        } else if (contents.length > 0 || role === 'user') {
+            contents.push({ role, parts: [{ text: message.content }] });
+        }
+    }
+
+    const trailing = contents[contents.length - 1];
+    if (trailing?.role === 'user') {
+        contents.pop();
+        return { contents, pending: trailing.parts.map(part => part.text).join('\n') };
+    }
+    return { contents, pending: null };
+}
+
+/**
+ * Start a chat session seeded with history
+ * @param {string} prompt - New user message
+ * @param {Object} options - { model, systemInstruction, history }
+ * @returns {{chat: Object, message: Array}} ChatSession and the parts to send
+ */
+function startChat(prompt, { model, systemInstruction, history }) {
+    const { contents, pending } = toGeminiHistory(history);
+    const chat = getModel(model).startChat({
+        history: contents,
+        ...(systemInstruction && { systemInstruction: { role: 'system', parts: [{ text: systemInstruction }] } })
+    });
+    const message = pending ? [{ text: pending }, { text: prompt }] : [{ text: prompt }];
+    return { chat, message };
+}
+
+/**
+ * Normalise Gemini usageMetadata
+ * @param {Object} usageMetadata - Response usage metadata
+ * @returns {Object|null} { prompt_tokens, completion_tokens, total_tokens }
+ */
+function toUsage(usageMetadata) {
+    if (!usageMetadata) return null;
+    return {
+        prompt_tokens: usageMetadata.promptTokenCount || 0,
+        completion_tokens: usageMetadata.candidatesTokenCount || 0,
+        total_tokens: usageMetadata.totalTokenCount || 0
+    };
+}
+
+/**
+ * Generate a complete response
+ * @param {string} prompt - New user message
+ * @param {Object} options - { model, signal, systemInstruction, history, onUsage(usage) }
+ * @returns {Promise<string>} Response text
+ * @throws {Error} with status property for HTTP errors
+ */
+async function generate(prompt, { model = DEFAULT_MODEL, signal, systemInstruction, history, onUsage } = {}) {
+    try {
+        const { chat, message } = startChat(prompt, { model, systemInstruction, history });
+        const result = await chat.sendMessage(message, { signal });
+        onUsage?.(toUsage(result.response.usageMetadata));
+        return result.response.text();
+    } catch (error) {
+        error.provider = 'gemini'; // SDK fetch errors already carry .status
+        throw error;
+    }
+}
+
+/**
+ * Stream a response as text deltas
+ * @param {string} prompt - New user message
+ * @param {Object} options - { model, signal, systemInstruction, history, onUsage(usage) }
+ * @returns {AsyncGenerator<string>} Text deltas
+ * @throws {Error} with status property for HTTP errors
+ */
+async function* generateStream(prompt, { model = DEFAULT_MODEL, signal, systemInstruction, history, onUsage } = {}) {
+    try {
+        const { chat, message } = startChat(prompt, { model, systemInstruction, history });
+        const result = await chat.sendMessageStream(message, { signal });
+        for await (const chunk of result.stream) {
+            const delta = chunk.text();
+            if (delta) yield delta;
+        }
+        onUsage?.(toUsage((await result.response).usageMetadata));
+    } catch (error) {
+        error.provider = 'gemini';
+        throw error;
+    }
+}
+
+module.exports = { name: 'gemini', DEFAULT_MODEL, isConfigured, generate, generateStream };
@@ -0,0 +1,343 @@
+/**
+ * LLM Provider Orchestrator
+ *
+ * Text generation for /chat behind one interface, with an ordered fallback
+ * chain so a provider outage degrades to another model instead of a 502.
+ *
+ * Providers:
+ * - gemini: @google/generative-ai
+ * - openai: Chat Completions
+ * - mock:   deterministic offline responses (tests, local development)
+ *
+ * Chain = primary + LLM_FALLBACK_CHAIN, skipping duplicates and unconfigured providers.
+ * - Primary: per-request { provider, model }, else LLM_PROVIDER / LLM_MODEL,
+ *   else gemini if GEMINI_API_KEY is set, else openai if OPENAI_API_KEY is set.
+ * - LLM_FALLBACK_CHAIN: comma-separated "provider" or "provider:model" entries.
+ *   Default: the other configured providers with their default models.
+ *
+ * Per-request selection is limited to configured models: LLM_ALLOWED_MODELS,
+ * else LLM_MODEL and the chain's models. mock is only selectable when it is
+ * configured (LLM_PROVIDER / LLM_FALLBACK_CHAIN) or outside production.
+ *
+ * Failover triggers: 404 (unknown model), 429, 5xx, timeouts, network errors,
+ * empty responses and an open circuit breaker (breaker/, keyed "llm:<provider>").
+ * Never failover on 400/401/403 or when the caller aborts.
+ * A streamed response only fails over before its first delta.
+ */
+
+const { getBreaker } = require('../breaker');
+const geminiProvider = require('./gemini');
+const openaiProvider = require('./openai');
+const mockProvider = require('./mock');
+
+const PROVIDERS = {
+    gemini: geminiProvider,
+    openai: openaiProvider,
+    mock: mockProvider
+};
+
+// Configuration
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 30000; // Per attempt (streams: until the first delta)
+const LLM_ALLOWED_MODELS = (process.env.LLM_ALLOWED_MODELS || '')
+    .split(',').map(name => name.trim()).filter(Boolean); // Empty = the configured chain's models
+const MODEL_NAME_PATTERN = /^[\w.:/-]{1,100}$/;
+
+/**
+ * Parse a "provider" or "provider:model" chain entry
+ * @param {string} entry - Chain entry
+ * @returns {{provider: string, model: string}|null} Null for unknown providers
+ */
+function parseChainEntry(entry) {
+    const [providerName, ...modelParts] = entry.trim().split(':');
+    const provider = PROVIDERS[providerName?.trim().toLowerCase()];
+    if (!provider) {
+        return null;
+    }
+    const model = modelParts.join(':').trim();
+    return { provider: provider.name, model: model || provider.DEFAULT_MODEL };
+}
+
+/**
+ * Resolve the primary provider name
+ * @returns {string|null}
+ */
+function resolvePrimaryName() {
+    const configured = process.env.LLM_PROVIDER?.trim().toLowerCase();
+    if (configured) {
+        if (!PROVIDERS[configured]) {
+            console.warn(`⚠️  Unknown LLM_PROVIDER "${configured}" - using the default provider`);
+        } else {
+            return configured;
+        }
+    }
+    if (geminiProvider.isConfigured()) return 'gemini';
+    if (openaiProvider.isConfigured()) return 'openai';
+    return null;
+}
+
+/**
+ * Configured fallback entries (after the primary)
+ * @returns {Array<{provider: string, model: string}>}
+ */
+function resolveFallbackEntries() {
+    const configured = process.env.LLM_FALLBACK_CHAIN;
+    if (configured !== undefined) {
+        return configured.split(',')
+            .filter(entry => entry.trim())
+            .map(entry => {
+                const parsed = parseChainEntry(entry);
+                if (!parsed) console.warn(`⚠️  Ignoring unknown LLM_FALLBACK_CHAIN entry "${entry.trim()}"`);
+                return parsed;
+            })
+            .filter(Boolean);
+    }
+    return [geminiProvider, openaiProvider].map(provider => ({ provider: provider.name, model: provider.DEFAULT_MODEL }));
+}
+
+/**
+ * Models a request may select
+ * @returns {string[]} LLM_ALLOWED_MODELS, else the models of the configured chain
+ */
+function allowedModels() {
+    if (LLM_ALLOWED_MODELS.length > 0) return LLM_ALLOWED_MODELS;
+    return resolveChain().map(entry => entry.model);
+}
+
+/**
+ * Whether a provider may be requested per call. mock always answers, so it
+ * is only offered where it was chosen on purpose (or outside production).
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+function isSelectable(name) {
+    if (!PROVIDERS[name].isConfigured()) return false;
+    if (name !== 'mock' || process.env.NODE_ENV !== 'production') return true;
+    return process.env.LLM_PROVIDER?.trim().toLowerCase() === 'mock'
+        || (process.env.LLM_FALLBACK_CHAIN || '').split(',').some(entry => parseChainEntry(entry)?.provider === 'mock');
+}
+
+/**
+ * Validate a per-request provider/model selection
+ * @param {Object} selection - { provider, model }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSelection({ provider, model } = {}) {
+    if (provider !== undefined && provider !== null) {
+        if (typeof provider !== 'string' || !PROVIDERS[provider]) {
+            return `"provider" must be one of: ${Object.keys(PROVIDERS).join(', ')}`;
+        }
+        if (!isSelectable(provider)) {
+            return `LLM provider "${provider}" is not configured`;
+        }
+    }
+    if (model !== undefined && model !== null) {
+        if (typeof model !== 'string' || !MODEL_NAME_PATTERN.test(model)) {
+            return '"model" must be a model name';
+        }
+        if (!allowedModels().includes(model)) {
+            return `Model "${model}" is not allowed`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the ordered attempt chain
+ * @param {Object} selection - Optional per-request { provider, model }
+ * @returns {Array<{provider: string, model: string}>} Configured providers only, without duplicates
+ */
+function resolveChain({ provider, model } = {}) {
+    const primaryName = provider || resolvePrimaryName();
+    const entries = [];
+
+    if (primaryName && PROVIDERS[primaryName]) {
+        const primaryModel = model
+            || (!provider && process.env.LLM_MODEL?.trim())
+            || PROVIDERS[primaryName].DEFAULT_MODEL;
+        entries.push({ provider: primaryName, model: primaryModel });
+    }
+    entries.push(...resolveFallbackEntries());
+
+    const seen = new Set();
+    return entries.filter(entry => {
+        const key = `${entry.provider}:${entry.model}`;
+        if (seen.has(key) || !PROVIDERS[entry.provider].isConfigured()) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Check if an attempt's error should move on to the next chain entry
+ * @param {Error} error - Provider error
+ * @param {AbortSignal} callerSignal - Caller's signal (client disconnect)
+ * @returns {boolean}
+ */
+function shouldFailover(error, callerSignal) {
+    if (callerSignal?.aborted) {
+        return false;
+    }
+    const status = error.status;
+    if (status === 400 || status === 401 || status === 403) {
+        return false;
+    }
+    return true; // 404, 429, 5xx, timeout, network error, empty response
+}
+
+/**
+ * Generate a response, walking the fallback chain on failure
+ * @param {string} prompt - New user message
+ * @param {Object} options - { provider, model, systemInstruction, history, signal, onDelta(delta), logFn(event, data) }
+ *   With onDelta the response is streamed; deltas are forwarded as they arrive.
+ *   systemInstruction (persona + summary) and history (prior turns, oldest
+ *   first, as {role: user|assistant, content}) are sent to every provider in the chain.
+ * @returns {Promise<{text: string, provider: string, model: string, failover: boolean, usage: Object|null}>}
+ * @throws {Error} with status property (503 no provider, else the last provider error; 502 if it had none)
+ */
+async function generate(prompt, options = {}) {
+    const { signal, onDelta, systemInstruction, history = [], logFn = () => { } } = options;
+    const chain = resolveChain(options);
+
+    if (chain.length === 0) {
+        const error = new Error('No LLM provider is configured');
+        error.status = 503;
+        throw error;
+    }
+
+    let lastError = null;
+
+    for (let i = 0; i < chain.length; i++) {
+        const { provider: providerName, model } = chain[i];
+        const provider = PROVIDERS[providerName];
+        const next = chain[i + 1];
+
+        // Open circuit: skip straight to the next entry instead of waiting on a failing provider
+        const breaker = getBreaker(`llm:${providerName}`);
+        const ticket = breaker.tryAcquire();
+        if (!ticket) {
+            lastError = breaker.openError();
+            logFn('LLM_CIRCUIT_OPEN', { provider: providerName, model, retry_after_ms: lastError.retryAfterMs });
+            if (next) {
+                logFn('LLM_FAILOVER_TRIGGERED', {
+                    reason: 'circuit_open',
+                    from: `${providerName}:${model}`,
+                    to: `${next.provider}:${next.model}`
+                });
+            }
+            continue;
+        }
+
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        signal?.addEventListener('abort', abort);
+        let timer = setTimeout(abort, LLM_TIMEOUT_MS);
+        const startTime = Date.now();
+        let emitted = false;
+        let usage = null;
+        const providerOptions = { model, systemInstruction, history, signal: controller.signal, onUsage: (reported) => { usage = reported; } };
+
+        try {
+            logFn('LLM_PROVIDER_ATTEMPT', { provider: providerName, model, stream: !!onDelta });
+
+            let text = '';
+            if (onDelta) {
+                for await (const delta of provider.generateStream(prompt, providerOptions)) {
+                    if (!emitted) {
+                        clearTimeout(timer); // The timeout covers time to first delta only
+                        timer = null;
+                        emitted = true;
+                    }
+                    text += delta;
+                    onDelta(delta);
+                }
+            } else {
+                text = await provider.generate(prompt, providerOptions);
+            }
+
+            if (!text || !text.trim()) {
+                const error = new Error(`${providerName} returned an empty response`);
+                error.status = 502;
+                error.provider = providerName;
+                throw error;
+            }
+
+            ticket.succeed();
+            logFn('LLM_PROVIDER_SUCCESS', {
+                provider: providerName,
+                model,
+                latency_ms: Date.now() - startTime,
+                chars: text.length,
+                total_tokens: usage?.total_tokens,
+                failover: i > 0
+            });
+            return { text, provider: providerName, model, failover: i > 0, usage };
+        } catch (error) {
+            const timedOut = controller.signal.aborted && !signal?.aborted;
+            lastError = error;
+
+            if (signal?.aborted) {
+                ticket.release(); // Client went away - says nothing about the provider
+            } else {
+                ticket.fail(error);
+            }
+
+            logFn('LLM_PROVIDER_ERROR', {
+                provider: providerName,
+                model,
+                status: error.status,
+                reason: timedOut ? 'timeout' : undefined,
+                message: error.message
+            });
+
+            if (emitted || !next || !(timedOut || shouldFailover(error, signal))) {
+                break;
+            }
+
+            logFn('LLM_FAILOVER_TRIGGERED', {
+                reason: timedOut ? 'timeout' : (error.status || 'error'),
+                from: `${providerName}:${model}`,
+                to: `${next.provider}:${next.model}`
+            });
+        } finally {
+            if (timer) clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    if (!lastError.status) {
+        lastError.status = 502;
+    }
+    throw lastError;
+}
+
+/**
+ * Provider chain summary for /health
+ * @returns {{available: boolean, chain: string[]}}
+ */
+function getStatus() {
+    const chain = resolveChain();
+    return {
+        available: chain.length > 0,
+        chain: chain.map(entry => `${entry.provider}:${entry.model}`)
+    };
+}
+
+/**
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether the provider exists and has credentials
+ */
+function isProviderConfigured(name) {
+    return !!PROVIDERS[name]?.isConfigured();
+}
+
+module.exports = {
+    generate,
+    resolveChain,
+    validateSelection,
+    shouldFailover,
+    getStatus,
+    isProviderConfigured,
+    LLM_TIMEOUT_MS
+};
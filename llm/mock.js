@@ -0,0 +1,84 @@
+/**
+ * Mock Chat Provider
+ *
+ * Offline stand-in for the LLM providers. Answers deterministically from
+ * the last user line of the prompt so /chat (context, persistence, TTS,
+ * streaming) can be exercised without network access or API keys.
+ *
+ * LLM_MOCK_FAIL=true makes every call throw a 503, to exercise the fallback chain.
+ * Usage is estimated (~4 characters per token) from the instruction, history and prompt.
+ */
+
+const DEFAULT_MODEL = 'mock-1';
+
+/**
+ * @returns {boolean} Always available
+ */
+function isConfigured() {
+    return true;
+}
+
+/**
+ * Build the canned response for a prompt
+ * @param {string} prompt - Prompt text
+ * @returns {string}
+ */
+function respond(prompt) {
+    if (process.env.LLM_MOCK_FAIL === 'true') {
+        const error = new Error('Simulated LLM failure');
+        error.status = 503;
+        error.provider = 'mock';
+        throw error;
+    }
+
+    // Prompts with context end in "User: <message>\n\nAssistant:"
+    const userLines = String(prompt).split('\n').filter(line => line.startsWith('User: '));
+    const lastUserLine = userLines.length > 0
+        ? userLines[userLines.length - 1].slice('User: '.length)
+        : String(prompt);
+
+    return `You said: "${lastUserLine.trim().substring(0, 200)}". This is a mock response from the local LLM provider.`;
+}
+
+/**
+ * Estimated usage for a mock call
+ * @param {string} prompt - New user message
+ * @param {string} text - Response text
+ * @param {Object} options - { systemInstruction, history }
+ * @returns {Object} { prompt_tokens, completion_tokens, total_tokens }
+ */
+function estimateUsage(prompt, text, { systemInstruction = '', history = [] }) {
+    const promptChars = systemInstruction.length + prompt.length
+        + history.reduce((sum, message) => sum + message.content.length, 0);
+    const promptTokens = Math.ceil(promptChars / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * Generate a complete response
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { systemInstruction, history, onUsage(usage) }
+ * @returns {Promise<string>} Response text
+ */
+async function generate(prompt, options = {}) {
+    const text = respond(prompt);
+    options.onUsage?.(estimateUsage(prompt, text, options));
+    return text;
+}
+
+/**
+ * Stream a response word by word
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { systemInstruction, history, onUsage(usage) }
+ * @returns {AsyncGenerator<string>} Text deltas
+ */
+async function* generateStream(prompt, options = {}) {
+    const text = respond(prompt);
+    for (const word of text.match(/\S+\s*/g) || []) {
+        yield word;
+    }
+    options.onUsage?.(estimateUsage(prompt, text, options));
+}
+
+module.exports = { name: 'mock', DEFAULT_MODEL, isConfigured, generate, generateStream };
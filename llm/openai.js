@@ -0,0 +1,126 @@
+/**
+ * OpenAI Chat Provider
+ *
+ * Text generation via Chat Completions (optionally streamed as SSE).
+ */
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY?.trim();
+const DEFAULT_MODEL = process.env.LLM_OPENAI_MODEL || 'gpt-4o-mini';
+
+/**
+ * @returns {boolean} Whether the provider has credentials
+ */
+function isConfigured() {
+    return !!OPENAI_API_KEY;
+}
+
+/**
+ * POST a chat completion request
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { model, signal, stream, systemInstruction, history }
+ * @returns {Promise<Response>}
+ * @throws {Error} with status property for HTTP errors
+ */
+async function requestCompletion(prompt, { model, signal, stream, systemInstruction, history = [] }) {
+    if (!OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY not set');
+    }
+
+    let response;
+    try {
+        response = await fetch('https://api.openai.com/v1/chat/completions', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${OPENAI_API_KEY}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                model,
+                messages: [
+                    ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+                    ...history.map(message => ({ role: message.role, content: message.content })),
+                    { role: 'user', content: prompt }
+                ],
+                stream,
+                ...(stream && { stream_options: { include_usage: true } })
+            }),
+            signal
+        });
+    } catch (error) {
+        error.provider = 'openai';
+        throw error;
+    }
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`OpenAI chat completion failed: ${response.status}`);
+        error.status = response.status;
+        error.body = errorText.substring(0, 200);
+        error.provider = 'openai';
+        throw error;
+    }
+
+    return response;
+}
+
+/**
+ * Normalise OpenAI usage
+ * @param {Object} usage - Completion usage
+ * @returns {Object|null} { prompt_tokens, completion_tokens, total_tokens }
+ */
+function toUsage(usage) {
+    if (!usage) return null;
+    return {
+        prompt_tokens: usage.prompt_tokens || 0,
+        completion_tokens: usage.completion_tokens || 0,
+        total_tokens: usage.total_tokens || 0
+    };
+}
+
+/**
+ * Generate a complete response
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { model, signal, systemInstruction, history, onUsage(usage) }
+ * @returns {Promise<string>} Response text
+ * @throws {Error} with status property for HTTP errors
+ */
+async function generate(prompt, { model = DEFAULT_MODEL, signal, systemInstruction, history, onUsage } = {}) {
+    const response = await requestCompletion(prompt, { model, signal, stream: false, systemInstruction, history });
+    const result = await response.json();
+    onUsage?.(toUsage(result.usage));
+    return result.choices?.[0]?.message?.content || '';
+}
+
+/**
+ * Stream a response as text deltas
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { model, signal, systemInstruction, history, onUsage(usage) }
+ * @returns {AsyncGenerator<string>} Text deltas
+ * @throws {Error} with status property for HTTP errors
+ */
+async function* generateStream(prompt, { model = DEFAULT_MODEL, signal, systemInstruction, history, onUsage } = {}) {
+    const response = await requestCompletion(prompt, { model, signal, stream: true, systemInstruction, history });
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return;
+
+            const event = JSON.parse(data);
+            if (event.usage) onUsage?.(toUsage(event.usage)); // Final chunk (stream_options.include_usage)
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) yield delta;
+        }
+    }
+}
+
+module.exports = { name: 'openai', DEFAULT_MODEL, isConfigured, generate, generateStream };
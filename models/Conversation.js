@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+const CONVERSATION_TYPES = ['text', 'voice'];
+const MAX_HISTORY_MESSAGES = 1000;
+
 /**
  * Message sub-schema for conversation history entries
  * Stores individual messages in a conversation
@@ -21,12 +24,25 @@ const MessageSchema = new mongoose.Schema({
     timestamp: {
         type: Date,
         default: Date.now
+    },
+    // Memory session this message belongs to (set when written through storage/)
+    session_id: {
+        type: String,
+        default: undefined
+    },
+    channel: {
+        type: String,
+        enum: ['text', 'voice'],
+        default: undefined
     }
 }, { _id: false }); // Disable _id for subdocuments to save space
 
 /**
  * Conversation Schema for persistent per-user memory
- * Stores conversation history with type classification
+ * Stores conversation history with type classification.
+ * A user can hold many named threads, plus at most one default thread per
+ * type (is_default, used when no conversation is specified). Only
+ * getDefaultId creates or marks default threads.
  */
 const ConversationSchema = new mongoose.Schema({
     user_id: {
@@ -39,22 +55,57 @@ const ConversationSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Conversation type is required'],
         enum: {
-            values: ['text', 'voice'],
+            values: CONVERSATION_TYPES,
             message: 'Type must be either text or voice'
         },
         default: 'text'
     },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters'],
+        default: 'General'
+    },
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    // Set only by getDefaultId; named threads are created with false
+    is_default: {
+        type: Boolean,
+        default: false
+    },
     history: {
         type: [MessageSchema],
         default: [],
         validate: {
             validator: function (v) {
                 // Limit history to 1000 messages to prevent unbounded growth
-                return v.length <= 1000;
+                return v.length <= MAX_HISTORY_MESSAGES;
             },
             message: 'Conversation history cannot exceed 1000 messages'
         }
     },
+    // Compaction (storage/compaction.js): older messages live in ConversationArchive,
+    // summarised here so recent context still carries them
+    rolling_summary: {
+        type: String,
+        default: null
+    },
+    // Messages up to this time are covered by rolling_summary - including inline
+    // ones that fell out of /chat's token-budgeted context window (llm/context.js)
+    summarized_until: {
+        type: Date,
+        default: null
+    },
+    archived_message_count: {
+        type: Number,
+        default: 0
+    },
+    compaction_lock_until: {
+        type: Date,
+        default: null
+    },
     created_at: {
         type: Date,
         default: Date.now
@@ -69,8 +120,15 @@ const ConversationSchema = new mongoose.Schema({
 });
 
 // Compound index for efficient user-based queries
-ConversationSchema.index({ user_id: 1, type: 1 });
+ConversationSchema.index({ user_id: 1, type: 1, created_at: 1 });
 ConversationSchema.index({ user_id: 1, updated_at: -1 });
+// One default thread per user and type, so concurrent first messages share it
+ConversationSchema.index(
+    { user_id: 1, type: 1 },
+    { unique: true, partialFilterExpression: { is_default: true } }
+);
+
+const DUPLICATE_KEY = 11000;
 
 /**
  * Pre-save middleware to update the updated_at timestamp
@@ -98,55 +156,247 @@ ConversationSchema.methods.addMessage = function (role, content) {
 
 /**
  * Instance method to get recent messages
+ * When older messages have been compacted away, their rolling summary is
+ * returned first as a system message.
  * @param {number} limit - Number of recent messages to retrieve
  * @returns {Array} - Array of recent messages
  */
 ConversationSchema.methods.getRecentMessages = function (limit = 10) {
-    return this.history.slice(-limit);
+    const recent = this.history.slice(-limit);
+    if (!this.rolling_summary) {
+        return recent;
+    }
+    return [
+        { role: 'system', content: `Summary of earlier conversation: ${this.rolling_summary}`, timestamp: null },
+        ...recent
+    ];
 };
 
 /**
- * Instance method to clear conversation history
+ * Instance method to clear conversation history (including the compacted summary)
  */
 ConversationSchema.methods.clearHistory = function () {
     this.history = [];
+    this.rolling_summary = null;
+    this.summarized_until = null;
+    this.archived_message_count = 0;
 };
 
 /**
- * Static method to find or create a conversation for a user (Promise-based)
+ * Mark a user's oldest pre-threads conversation of a type as its default
+ * Conversations written before threads existed have no is_default field;
+ * the oldest of them is the history the user already knows.
+ * @param {Model} model - The Conversation model
  * @param {ObjectId} userId - The user's ID
  * @param {string} type - The conversation type (text or voice)
- * @returns {Promise<Conversation>} - The conversation document
+ * @returns {Promise<Object|null>} - The adopted conversation (lean), or null if none
  */
-ConversationSchema.statics.findOrCreate = async function (userId, type = 'text') {
+async function adoptLegacyDefault(model, userId, type) {
     try {
-        let conversation = await this.findOne({ user_id: userId, type }).exec();
-
-        if (!conversation) {
-            conversation = new this({
-                user_id: userId,
-                type,
-                history: []
-            });
-            await conversation.save();
+        return await model.findOneAndUpdate(
+            { user_id: userId, type, is_default: { $exists: false } },
+            { $set: { is_default: true } },
+            { sort: { created_at: 1, _id: 1 }, new: true, lean: true }
+        ).exec();
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY) {
+            return null; // A concurrent call already set this type's default
         }
+        throw error;
+    }
+}
 
-        return conversation;
+/**
+ * Static method to find or create a conversation for a user (Promise-based)
+ * @param {ObjectId} userId - The user's ID
+ * @param {string} type - The conversation type (text or voice)
+ * @returns {Promise<Conversation>} - The type's default conversation document
+ */
+ConversationSchema.statics.findOrCreate = async function (userId, type = 'text') {
+    const id = await this.getDefaultId(userId, type);
+    return this.findById(id).exec();
+};
+
+/**
+ * Static method to get the id of a type's default thread, creating it if needed (Promise-based)
+ * Atomic: the upsert and the unique partial index leave one default thread
+ * even when two first messages (relay and /chat) race.
+ * Cheaper than findOrCreate when the history itself is not needed.
+ * @param {ObjectId} userId - The user's ID
+ * @param {string} type - The conversation type (text or voice)
+ * @returns {Promise<ObjectId>} - The default conversation's ID
+ */
+ConversationSchema.statics.getDefaultId = async function (userId, type = 'text') {
+    const filter = { user_id: userId, type, is_default: true };
+    const existing = await this.findOne(filter).select('_id').lean().exec()
+        || await adoptLegacyDefault(this, userId, type);
+    if (existing) {
+        return existing._id;
+    }
+
+    const upsert = () => this.findOneAndUpdate(
+        filter,
+        { $setOnInsert: { history: [], created_at: new Date(), updated_at: new Date() } },
+        { upsert: true, new: true, setDefaultsOnInsert: true, projection: { _id: 1 }, lean: true }
+    ).exec();
+
+    try {
+        return (await upsert())._id;
     } catch (error) {
-        throw error;
+        if (error.code !== DUPLICATE_KEY) {
+            throw error;
+        }
+        return (await upsert())._id; // Lost the insert race; the retry finds the winner
     }
 };
 
+/**
+ * Static method to atomically append messages to one of a user's conversations (Promise-based)
+ * Oldest messages beyond the history cap are dropped.
+ * @param {ObjectId} conversationId - The conversation's ID
+ * @param {ObjectId} userId - The owning user's ID
+ * @param {Array} messages - Array of {role, content, ...}
+ * @returns {Promise<boolean>} - Whether the conversation was found
+ */
+ConversationSchema.statics.appendMessages = async function (conversationId, userId, messages) {
+    const now = new Date();
+    const result = await this.updateOne(
+        { _id: conversationId, user_id: userId },
+        {
+            $push: {
+                history: {
+                    $each: messages.map(m => ({ timestamp: now, ...m })),
+                    $slice: -MAX_HISTORY_MESSAGES
+                }
+            },
+            $set: { updated_at: now }
+        }
+    ).exec();
+    return result.matchedCount > 0;
+};
+
 /**
  * Static method to get all conversations for a user (Promise-based)
  * @param {ObjectId} userId - The user's ID
+ * @param {Object} options - { includeArchived }
  * @returns {Promise<Conversation[]>} - Array of conversation documents
  */
-ConversationSchema.statics.findByUser = async function (userId) {
-    const conversations = await this.find({ user_id: userId }).sort({ updated_at: -1 }).exec();
+ConversationSchema.statics.findByUser = async function (userId, { includeArchived = true } = {}) {
+    const query = { user_id: userId };
+    if (!includeArchived) {
+        query.archived = { $ne: true };
+    }
+    const conversations = await this.find(query).sort({ updated_at: -1 }).exec();
     return conversations;
 };
 
+/**
+ * Static method to find one of a user's conversations by reference (Promise-based)
+ * @param {ObjectId} userId - The user's ID
+ * @param {string} ref - A conversation ID, or a type (text|voice) for that type's default thread
+ * @param {Object} options - { lean, select }
+ * @returns {Promise<Conversation|null>} - The conversation, or null if not found / invalid ref
+ */
+ConversationSchema.statics.findByRef = async function (userId, ref, { lean = false, select = null } = {}) {
+    let filter;
+    if (CONVERSATION_TYPES.includes(ref)) {
+        filter = { user_id: userId, type: ref, is_default: true };
+    } else if (mongoose.isValidObjectId(ref)) {
+        filter = { _id: ref, user_id: userId };
+    } else {
+        return null;
+    }
+
+    const run = () => {
+        let query = this.findOne(filter);
+        if (select) {
+            query = query.select(select);
+        }
+        return lean ? query.lean().exec() : query.exec();
+    };
+
+    const conversation = await run();
+    if (conversation || !filter.is_default) {
+        return conversation;
+    }
+    await adoptLegacyDefault(this, userId, ref);
+    return run();
+};
+
+/**
+ * Encode a history pagination cursor
+ * A cursor marks the oldest message already returned: its timestamp plus its
+ * position among messages sharing that timestamp (timestamps can collide).
+ * @param {Date} timestamp - Timestamp of the boundary message
+ * @param {number} seq - Index among messages with the same timestamp
+ * @returns {string} Opaque base64url cursor
+ */
+function encodeHistoryCursor(timestamp, seq) {
+    return Buffer.from(JSON.stringify({ ts: new Date(timestamp).getTime(), seq })).toString('base64url');
+}
+
+/**
+ * Decode a history pagination cursor
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {{ts: number, seq: number}|null} Null if the cursor is malformed
+ */
+function decodeHistoryCursor(cursor) {
+    try {
+        const { ts, seq } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Number.isFinite(ts) && Number.isInteger(seq) && seq >= 0 ? { ts, seq } : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Static method to page backwards through a conversation's history (Promise-based)
+ * Pages are returned oldest-first; pass next_cursor to fetch the page before it.
+ * @param {ObjectId} userId - The user's ID
+ * @param {string} ref - A conversation ID, or a type (text|voice) for that type's default thread
+ * @param {Object} options - { limit, cursor }
+ * @returns {Promise<{messages: Array, next_cursor: string|null, total: number, rolling_summary: string|null, archived_message_count: number}|null>} Null if no conversation exists
+ * @throws {Error} with status 400 for a malformed cursor
+ */
+ConversationSchema.statics.getHistoryPage = async function (userId, ref, { limit = 50, cursor = null } = {}) {
+    const conversation = await this.findByRef(userId, ref, { lean: true });
+    if (!conversation) {
+        return null;
+    }
+
+    const history = conversation.history || [];
+    const firstIndexAt = (ts) => history.findIndex(m => new Date(m.timestamp).getTime() >= ts);
+
+    let end = history.length;
+    if (cursor) {
+        const decoded = decodeHistoryCursor(cursor);
+        if (!decoded) {
+            const error = new Error('Invalid cursor');
+            error.status = 400;
+            throw error;
+        }
+        const first = firstIndexAt(decoded.ts);
+        end = first === -1 ? history.length : Math.min(first + decoded.seq, history.length);
+    }
+
+    const start = Math.max(0, end - limit);
+    const messages = history.slice(start, end);
+
+    let nextCursor = null;
+    if (start > 0) {
+        const boundaryTs = new Date(messages[0].timestamp).getTime();
+        nextCursor = encodeHistoryCursor(boundaryTs, start - firstIndexAt(boundaryTs));
+    }
+
+    return {
+        messages,
+        next_cursor: nextCursor,
+        total: history.length,
+        rolling_summary: conversation.rolling_summary || null,
+        archived_message_count: conversation.archived_message_count || 0
+    };
+};
+
 /**
  * Transform output to clean up the response
  */
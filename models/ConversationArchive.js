@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * ConversationArchive Schema
+ * Oldest messages moved out of a Conversation when its history nears the
+ * 1000-message cap (see storage/compaction.js). One document per compaction,
+ * holding the archived segment and its summary.
+ */
+const ConversationArchiveSchema = new mongoose.Schema({
+    conversation_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: [true, 'Conversation ID is required'],
+        index: true
+    },
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    // Same entry shape as Conversation history (role, content, timestamp, session_id, channel)
+    messages: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    summary: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    from_timestamp: {
+        type: Date,
+        default: null
+    },
+    to_timestamp: {
+        type: Date,
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false,
+    collection: 'conversation_archives'
+});
+
+ConversationArchiveSchema.index({ conversation_id: 1, to_timestamp: -1 });
+
+/**
+ * Transform output to clean up the response
+ */
+ConversationArchiveSchema.methods.toJSON = function () {
+    const archive = this.toObject();
+    delete archive.__v;
+    return archive;
+};
+
+const ConversationArchive = mongoose.model('ConversationArchive', ConversationArchiveSchema);
+
+module.exports = ConversationArchive;
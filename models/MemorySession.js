@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * MemorySession Schema
+ * Groups conversation messages into sessions (one relay connection, or one
+ * run of /chat turns) so they can be summarised into long-term memory.
+ * Messages themselves live in the user's Conversation history, tagged with session_id.
+ */
+const MemorySessionSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    channel: {
+        type: String,
+        enum: {
+            values: ['text', 'voice'],
+            message: 'Channel must be either text or voice'
+        },
+        default: 'voice'
+    },
+    started_at: {
+        type: Date,
+        default: Date.now
+    },
+    ended_at: {
+        type: Date,
+        default: null
+    },
+    last_activity_at: {
+        type: Date,
+        default: Date.now
+    },
+    summary: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: false,
+    collection: 'memory_sessions'
+});
+
+MemorySessionSchema.index({ user_id: 1, channel: 1, ended_at: 1, started_at: -1 });
+
+/**
+ * Transform output to clean up the response
+ */
+MemorySessionSchema.methods.toJSON = function () {
+    const session = this.toObject();
+    delete session.__v;
+    return session;
+};
+
+const MemorySession = mongoose.model('MemorySession', MemorySessionSchema);
+
+module.exports = MemorySession;
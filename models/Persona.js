@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const VERBOSITY_LEVELS = ['concise', 'balanced', 'detailed'];
+
+/**
+ * Persona Schema for user-created assistant personalities
+ * Built-in personas live in code (personas/defaults.js); these are the
+ * user's own, selectable alongside them (User.persona_id).
+ */
+const PersonaSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Persona name is required'],
+        trim: true,
+        maxlength: [50, 'Name cannot exceed 50 characters']
+    },
+    instructions: {
+        type: String,
+        required: [true, 'Persona instructions are required'],
+        maxlength: [8000, 'Instructions cannot exceed 8000 characters']
+    },
+    // ElevenLabs voice used when the user has not picked one in settings
+    voice_id: {
+        type: String,
+        default: null
+    },
+    verbosity: {
+        type: String,
+        enum: {
+            values: VERBOSITY_LEVELS,
+            message: `Verbosity must be one of: ${VERBOSITY_LEVELS.join(', ')}`
+        },
+        default: 'balanced'
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: false, // Using custom timestamp fields
+    collection: 'personas'
+});
+
+/**
+ * Pre-save middleware to update the updated_at timestamp
+ */
+PersonaSchema.pre('save', function (next) {
+    this.updated_at = new Date();
+    next();
+});
+
+/**
+ * Static method to list a user's personas, oldest first
+ * @param {ObjectId} userId - The user's ID
+ * @returns {Promise<Array>} Lean persona documents
+ */
+PersonaSchema.statics.findByUser = function (userId) {
+    return this.find({ user_id: userId }).sort({ created_at: 1 }).lean();
+};
+
+/**
+ * Transform output to clean up the response
+ */
+PersonaSchema.methods.toJSON = function () {
+    const persona = this.toObject();
+    delete persona.__v;
+    return persona;
+};
+
+const Persona = mongoose.model('Persona', PersonaSchema);
+
+module.exports = Persona;
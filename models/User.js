@@ -1,6 +1,105 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+/**
+ * Long-term memory sub-schema (Mongo storage adapter)
+ * Mirrors the Postgres user_memory table
+ */
+const UserMemorySchema = new mongoose.Schema({
+    history_summary: {
+        type: String,
+        default: null
+    },
+    key_points: {
+        type: [String],
+        default: []
+    },
+    open_loops: {
+        type: [String],
+        default: []
+    },
+    preferences: {
+        type: [String],
+        default: []
+    },
+    entities: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    last_session_id: {
+        type: String,
+        default: null
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false, minimize: false });
+
+/**
+ * Pronunciation lexicon entry (tts/lexicon.js)
+ */
+const LexiconEntrySchema = new mongoose.Schema({
+    term: {
+        type: String,
+        required: true,
+        maxlength: 50
+    },
+    say: {
+        type: String,
+        required: true,
+        maxlength: 100
+    }
+}, { _id: false });
+
+/**
+ * Voice/TTS settings sub-schema (tts/voiceSettings.js)
+ * Null fields fall back to the speech path's defaults
+ */
+const UserSettingsSchema = new mongoose.Schema({
+    voice_id: {
+        type: String,
+        default: null
+    },
+    model_id: {
+        type: String,
+        default: null
+    },
+    stability: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: null
+    },
+    similarity_boost: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: null
+    },
+    style: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: null
+    },
+    speaking_rate: {
+        type: Number,
+        min: 0.7,
+        max: 1.2,
+        default: null
+    },
+    // Applied to speech text before synthesis; edited via /api/users/me/lexicon
+    lexicon: {
+        type: [LexiconEntrySchema],
+        default: undefined
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 /**
  * User Schema for authentication
  * Stores user credentials with secure password hashing
@@ -23,6 +122,21 @@ const UserSchema = new mongoose.Schema({
     created_at: {
         type: Date,
         default: Date.now
+    },
+    // Absent until the first session is merged into memory
+    memory: {
+        type: UserMemorySchema,
+        default: undefined
+    },
+    // Absent until the user saves voice settings
+    settings: {
+        type: UserSettingsSchema,
+        default: undefined
+    },
+    // Selected persona: a built-in ID (personas/defaults.js) or a Persona ObjectId; null = default
+    persona_id: {
+        type: String,
+        default: null
     }
 }, {
     timestamps: false, // Using custom created_at field
@@ -4,8 +4,14 @@
  */
 const User = require('./User');
 const Conversation = require('./Conversation');
+const ConversationArchive = require('./ConversationArchive');
+const MemorySession = require('./MemorySession');
+const Persona = require('./Persona');
 
 module.exports = {
     User,
-    Conversation
+    Conversation,
+    ConversationArchive,
+    MemorySession,
+    Persona
 };
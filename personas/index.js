@@ -0,0 +1,184 @@
+/**
+ * Persona Registry
+ *
+ * One definition of who the assistant is, shared by /chat (the LLM's
+ * systemInstruction) and the realtime relay (session.update / response.create
+ * instructions).
+ *
+ * Personas:
+ * - built-in: personas/defaults.js, IDs like "jarvis"
+ * - user-created: models/Persona.js, IDs are ObjectIds, visible to their owner only
+ *
+ * Each user selects one (User.persona_id); without a selection - or when the
+ * selected persona was deleted - PERSONA_DEFAULT_ID is used.
+ *
+ * A persona has a name, instructions, a default voice (used when the user has
+ * not picked one in voice settings) and a verbosity that appends length guidance.
+ */
+
+const { BUILTIN_PERSONAS } = require('./defaults');
+
+// Configuration
+const PERSONA_DEFAULT_ID = BUILTIN_PERSONAS.some(persona => persona.id === process.env.PERSONA_DEFAULT_ID)
+    ? process.env.PERSONA_DEFAULT_ID
+    : 'jarvis';
+const MAX_PERSONAS_PER_USER = parseInt(process.env.MAX_PERSONAS_PER_USER) || 20;
+
+const VERBOSITY_GUIDANCE = {
+    concise: 'Response length: keep answers to one or two short sentences unless the user asks for more.',
+    balanced: 'Response length: answer in a few sentences; expand only when the question needs it.',
+    detailed: 'Response length: give thorough, well-structured answers with explanations and examples.'
+};
+
+const MAX_NAME_CHARS = 50;
+const MAX_INSTRUCTIONS_CHARS = 8000;
+const VOICE_ID_PATTERN = /^[A-Za-z0-9]{1,64}$/;
+const EDITABLE_PERSONA_FIELDS = ['name', 'instructions', 'voice_id', 'verbosity'];
+
+/**
+ * @param {string} id - Persona ID
+ * @returns {Object|null} Built-in persona
+ */
+function getBuiltinPersona(id) {
+    return BUILTIN_PERSONAS.find(persona => persona.id === id) || null;
+}
+
+/**
+ * @returns {Object} The configured default persona
+ */
+function getDefaultPersona() {
+    return getBuiltinPersona(PERSONA_DEFAULT_ID);
+}
+
+/**
+ * Full instructions for a persona: its own text plus verbosity guidance
+ * @param {Object} persona - Built-in or stored persona
+ * @returns {string}
+ */
+function renderInstructions(persona) {
+    const guidance = VERBOSITY_GUIDANCE[persona.verbosity];
+    return guidance ? `${persona.instructions}\n\n${guidance}` : persona.instructions;
+}
+
+/**
+ * Validate a user-supplied persona (create) or persona patch (update)
+ * @param {Object} body - Request body
+ * @param {Object} options - { partial } allows any subset of fields (PATCH)
+ * @returns {{persona: Object|null, error: string|null}}
+ */
+function validatePersonaInput(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { persona: null, error: 'Body must be a JSON object' };
+    }
+
+    const unknown = Object.keys(body).filter(key => !EDITABLE_PERSONA_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        return { persona: null, error: `Unknown field(s): ${unknown.join(', ')} (editable: ${EDITABLE_PERSONA_FIELDS.join(', ')})` };
+    }
+    if (partial && Object.keys(body).length === 0) {
+        return { persona: null, error: `Provide at least one of: ${EDITABLE_PERSONA_FIELDS.join(', ')}` };
+    }
+
+    const clean = {};
+    const { name, instructions, voice_id: voiceId, verbosity } = body;
+
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > MAX_NAME_CHARS) {
+            return { persona: null, error: `"name" must be a non-empty string of at most ${MAX_NAME_CHARS} characters` };
+        }
+        clean.name = name.trim();
+    }
+    if (instructions !== undefined || !partial) {
+        if (typeof instructions !== 'string' || instructions.trim().length === 0 || instructions.length > MAX_INSTRUCTIONS_CHARS) {
+            return { persona: null, error: `"instructions" must be a non-empty string of at most ${MAX_INSTRUCTIONS_CHARS} characters` };
+        }
+        clean.instructions = instructions.trim();
+    }
+    if (voiceId !== undefined) {
+        if (voiceId !== null && (typeof voiceId !== 'string' || !VOICE_ID_PATTERN.test(voiceId.trim()))) {
+            return { persona: null, error: '"voice_id" must be an ElevenLabs voice ID or null' };
+        }
+        clean.voice_id = voiceId === null ? null : voiceId.trim();
+    }
+    if (verbosity !== undefined) {
+        if (!VERBOSITY_GUIDANCE[verbosity]) {
+            return { persona: null, error: `"verbosity" must be one of: ${Object.keys(VERBOSITY_GUIDANCE).join(', ')}` };
+        }
+        clean.verbosity = verbosity;
+    }
+
+    return { persona: clean, error: null };
+}
+
+/**
+ * Public view of a persona
+ * @param {Object} persona - Built-in or stored persona
+ * @param {string} activeId - The caller's selected persona ID (omit to leave out "active")
+ * @returns {Object}
+ */
+function serializePersona(persona, activeId) {
+    const builtin = !persona._id;
+    const id = builtin ? persona.id : String(persona._id);
+    return {
+        id,
+        name: persona.name,
+        instructions: persona.instructions,
+        voice_id: persona.voice_id || null,
+        verbosity: persona.verbosity,
+        builtin,
+        ...(activeId !== undefined && { active: id === activeId }),
+        ...(!builtin && { created_at: persona.created_at, updated_at: persona.updated_at })
+    };
+}
+
+/**
+ * Find a persona visible to a user (stored personas need Mongo connected)
+ * @param {string} userId - Owner (JWT userId)
+ * @param {string} id - Built-in ID or Persona ObjectId
+ * @returns {Promise<Object|null>}
+ */
+async function findPersona(userId, id) {
+    const builtin = getBuiltinPersona(id);
+    if (builtin) return builtin;
+
+    // Required lazily so importing the registry never loads mongoose on its own
+    const mongoose = require('mongoose');
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    const { Persona } = require('../models');
+    return Persona.findOne({ _id: id, user_id: userId }).lean();
+}
+
+/**
+ * Resolve the persona a user has selected
+ * Falls back to the default persona when Mongo is unavailable, nothing is
+ * selected, or the selection no longer exists.
+ * @param {string} userId - User ObjectId (JWT userId)
+ * @returns {Promise<Object>} Persona (built-in or stored)
+ */
+async function resolveActivePersona(userId) {
+    if (!userId || !process.env.MONGODB_URI) return getDefaultPersona();
+
+    const mongoose = require('mongoose');
+    if (mongoose.connection.readyState !== 1 || !mongoose.isValidObjectId(userId)) return getDefaultPersona();
+
+    const { User } = require('../models');
+    const user = await User.findById(userId).select('persona_id').lean();
+    if (!user?.persona_id) return getDefaultPersona();
+
+    return (await findPersona(userId, user.persona_id)) || getDefaultPersona();
+}
+
+module.exports = {
+    BUILTIN_PERSONAS,
+    PERSONA_DEFAULT_ID,
+    MAX_PERSONAS_PER_USER,
+    VERBOSITY_GUIDANCE,
+    getBuiltinPersona,
+    getDefaultPersona,
+    renderInstructions,
+    validatePersonaInput,
+    serializePersona,
+    findPersona,
+    resolveActivePersona
+};
@@ -5,17 +5,30 @@
  * 1. Connects frontend to OpenAI Realtime API for conversation
  * 2. Intercepts text responses and routes them to ElevenLabs for J.A.R.V.I.S. voice synthesis
  * 3. Streams ElevenLabs audio back to frontend
+ *    (falls back to the tts/ orchestrator - ElevenLabs HTTP, then OpenAI TTS -
+ *    when the ElevenLabs socket is unavailable)
  * 
  * LATENCY BENCHMARKING:
- * - T1: User finishes speaking (input_audio_buffer.speech_stopped)
+ * - T1: User finishes speaking (input_audio_buffer.speech_stopped, or turn.end in push-to-talk)
  * - T2: First text delta received from OpenAI
  * - T3: First audio delta received from ElevenLabs
  * - Vocal Gap: T3 - T2 (synthesis overhead)
  */
 
 require('dotenv').config();
+const http = require('http');
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const storage = require('./storage');
+const tts = require('./tts');
+const { toSynthesisOptions, loadUserVoiceSettings } = require('./tts/voiceSettings');
+const { createSpeechNormalizer } = require('./tts/normalize');
+const { createElevenLabsStream } = require('./tts/elevenlabsStream');
+const ttsCache = require('./tts/cache');
+const personas = require('./personas');
+const { getBreaker, getBreakerStates } = require('./breaker');
+const { startHeartbeat, WS_HEARTBEAT_INTERVAL_MS } = require('./heartbeat');
+const { verifyAccessToken, extractUpgradeToken, BEARER_PROTOCOL_PREFIX } = require('./auth/jwt');
 
 // Generate UUID v4 without external dependency (ESM compatibility)
 function uuidv4() {
@@ -28,10 +41,30 @@ const OPENAI_API_KEY = process.env.OPENAI_API_KEY?.trim();
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY?.trim();
 const OPENAI_REALTIME_URL = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01';
 
-// ElevenLabs J.A.R.V.I.S. Voice Configuration
+// ElevenLabs J.A.R.V.I.S. Voice Configuration - defaults for users without voice settings
 const ELEVENLABS_VOICE_ID = '5b8aKJE8sNdJ9UbP8jBp';
 const ELEVENLABS_MODEL = 'eleven_turbo_v2';
-const ELEVENLABS_WS_URL = `wss://api.elevenlabs.io/v1/text-to-speech/${ELEVENLABS_VOICE_ID}/stream-input?model_id=${ELEVENLABS_MODEL}`;
+const ELEVENLABS_VOICE_SETTINGS = {
+    stability: 0.5,
+    similarity_boost: 0.8,
+    style: 0.0,
+    use_speaker_boost: true
+};
+
+// Replies up to this many speech characters are held until complete and served
+// from the audio cache (tts/cache/) when it has them; 0 streams every reply
+const RELAY_TTS_CACHE_MAX_CHARS = parseInt(process.env.RELAY_TTS_CACHE_MAX_CHARS ?? '120');
+const CACHED_AUDIO_CHUNK_BYTES = 16 * 1024;
+
+/**
+ * ElevenLabs multi-context stream-input WebSocket URL for a voice and model
+ * @param {string} voiceId - ElevenLabs voice ID
+ * @param {string} modelId - ElevenLabs model ID
+ * @returns {string}
+ */
+function elevenLabsStreamUrl(voiceId, modelId) {
+    return `wss://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(voiceId)}/multi-stream-input?model_id=${encodeURIComponent(modelId)}`;
+}
 
 // Validate API keys
 if (!OPENAI_API_KEY) {
@@ -40,8 +73,7 @@ if (!OPENAI_API_KEY) {
 }
 
 if (!ELEVENLABS_API_KEY) {
-    console.error('❌ ELEVENLABS_API_KEY not set in environment variables');
-    process.exit(1);
+    console.warn('⚠️  ELEVENLABS_API_KEY not set - voice will use the fallback TTS chain');
 }
 
 // ==================== DIAGNOSTIC CONFIGURATION (v12.9.3) ====================
@@ -136,15 +168,203 @@ const MAX_AUDIO_BYTES = parseInt(process.env.MAX_AUDIO_BYTES) || 5242880; // 5MB
 const MAX_AUDIO_SECONDS = parseInt(process.env.MAX_AUDIO_SECONDS) || 30;
 const TRANSCRIPTION_MODEL = process.env.TRANSCRIPTION_MODEL || 'whisper-1';
 
+// ==================== MEMORY CONFIGURATION ====================
+// Shared memory store (storage/) - same backend /chat writes to. Needs a
+// configured backend (DATABASE_URL, MONGODB_URI or MEMORY_STORE)
+const memoryStore = process.env.MEMORY_ENABLED !== 'false' ? storage.getStore() : null;
+const MEMORY_ENABLED = !!memoryStore;
+if (process.env.MEMORY_ENABLED !== 'false' && !memoryStore) {
+    console.warn('⚠️  No memory store configured (set DATABASE_URL, MONGODB_URI or MEMORY_STORE) - memory disabled');
+}
+const MEMORY_CONTEXT_MAX_CHARS = parseInt(process.env.MEMORY_CONTEXT_MAX_CHARS) || 4000;
+const MEMORY_INIT_TIMEOUT_MS = parseInt(process.env.MEMORY_INIT_TIMEOUT_MS) || 2000;
+
+// ==================== BARGE-IN CONFIGURATION ====================
+// User speech while the assistant is audible cancels the response server-side
+const RELAY_BARGE_IN = process.env.RELAY_BARGE_IN !== 'false'; // Default true
+const MP3_BYTES_PER_MS = 16;     // 128 kbps MP3 (ElevenLabs / OpenAI TTS) - for playback estimates
+const PLAYBACK_SLACK_MS = 250;   // Client buffering on top of the audio duration sent
+const SPEECH_CHARS_PER_MS = 0.015; // ~15 characters a second - heard-text estimate while audio is still arriving
+
+/**
+ * Estimate how much of a reply the user heard before interrupting it
+ * The session is text-only, so conversation.item.truncate (audio only) can't
+ * trim the reply; the relay replaces the item with this text instead.
+ * @param {string} text - Reply text
+ * @param {number} audioEndMs - Audio played before the interruption
+ * @param {number|null} totalAudioMs - The whole reply's audio length, once all of it arrived
+ * @returns {string} Leading words of the reply ('' if none were heard)
+ */
+function heardPortion(text, audioEndMs, totalAudioMs) {
+    const chars = totalAudioMs
+        ? Math.round(text.length * Math.min(audioEndMs / totalAudioMs, 1))
+        : Math.round(audioEndMs * SPEECH_CHARS_PER_MS);
+    if (chars >= text.length) return text.trim();
+
+    // Only whole words: a cut-off word was not understood
+    const cut = text.slice(0, chars + 1).search(/\s\S*$/);
+    return cut > 0 ? text.slice(0, cut).trim() : '';
+}
+
+// ==================== TURN MODE CONFIGURATION ====================
+// How a user turn ends, chosen per connection by the client:
+// - server_vad:   OpenAI detects end of speech (tunable per user)
+// - push_to_talk: the client ends the turn (turn.end -> input_audio_buffer.commit)
+// Either way the relay sends response.create, so create_response is always false.
+const TURN_MODES = ['server_vad', 'push_to_talk'];
+const VAD_DEFAULTS = {
+    threshold: 0.5,
+    prefix_padding_ms: 300,
+    silence_duration_ms: 600
+};
+const VAD_RANGES = {
+    threshold: [0, 1],
+    prefix_padding_ms: [0, 2000],
+    silence_duration_ms: [200, 5000]
+};
+// A pending response with no response.* event for this long is reset
+const RELAY_RESPONSE_TIMEOUT_MS = parseInt(process.env.RELAY_RESPONSE_TIMEOUT_MS) || 30000;
+
+/**
+ * Validate a client-supplied turn configuration against the current one
+ * Omitted fields keep their current value.
+ * @param {Object} input - { mode?, vad?: { threshold?, prefix_padding_ms?, silence_duration_ms? } }
+ * @param {Object} current - Current { mode, vad }
+ * @returns {{turn: Object|null, error: string|null}}
+ */
+function validateTurnConfig(input, current) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { turn: null, error: 'Turn config must be an object' };
+    }
+
+    const mode = input.mode === undefined ? current.mode : input.mode;
+    if (!TURN_MODES.includes(mode)) {
+        return { turn: null, error: `mode must be one of: ${TURN_MODES.join(', ')}` };
+    }
+
+    const vad = { ...current.vad };
+    if (input.vad !== undefined) {
+        if (!input.vad || typeof input.vad !== 'object' || Array.isArray(input.vad)) {
+            return { turn: null, error: 'vad must be an object' };
+        }
+        for (const [field, value] of Object.entries(input.vad)) {
+            if (!VAD_RANGES[field]) {
+                return { turn: null, error: `Unknown vad field: ${field} (tunable: ${Object.keys(VAD_RANGES).join(', ')})` };
+            }
+            const [min, max] = VAD_RANGES[field];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+                return { turn: null, error: `vad.${field} must be a number between ${min} and ${max}` };
+            }
+            vad[field] = value;
+        }
+    }
+
+    return { turn: { mode, vad }, error: null };
+}
+
+/**
+ * OpenAI session turn_detection for a turn configuration
+ * @param {Object} turn - { mode, vad }
+ * @returns {Object|null} null disables VAD (push-to-talk)
+ */
+function toTurnDetection(turn) {
+    if (turn.mode === 'push_to_talk') return null;
+    return { type: 'server_vad', ...turn.vad, create_response: false };
+}
+
+/**
+ * Turn configuration requested by a client session.update's turn_detection
+ * @param {Object|null} turnDetection - OpenAI turn_detection
+ * @returns {Object} Input for validateTurnConfig
+ */
+function fromTurnDetection(turnDetection) {
+    if (turnDetection === null) return { mode: 'push_to_talk' };
+    if (turnDetection?.type !== 'server_vad') return { mode: turnDetection?.type };
+
+    const vad = {};
+    for (const field of Object.keys(VAD_RANGES)) {
+        if (turnDetection[field] !== undefined) vad[field] = turnDetection[field];
+    }
+    return { mode: 'server_vad', vad };
+}
+
+// ==================== SESSION LIFETIME CONFIGURATION ====================
+// Client, OpenAI and ElevenLabs sockets are pinged every WS_HEARTBEAT_INTERVAL_MS
+// (heartbeat/). A session with no conversation activity for RELAY_IDLE_TIMEOUT_MS,
+// or older than RELAY_MAX_SESSION_MS, is closed after a session.expiring warning.
+const RELAY_IDLE_TIMEOUT_MS = parseInt(process.env.RELAY_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+const RELAY_MAX_SESSION_MS = parseInt(process.env.RELAY_MAX_SESSION_MS) || 60 * 60 * 1000;
+const RELAY_SESSION_WARNING_MS = parseInt(process.env.RELAY_SESSION_WARNING_MS) || 30000;
+const SESSION_CLOSE_CODE = 4002;
+
+// ==================== AUTH CONFIGURATION ====================
+// JWT issued by server.js. Supplied on upgrade (Authorization header, ?token=,
+// or `bearer.<token>` subprotocol) or in a first client.capabilities message.
+const RELAY_AUTH_REQUIRED = process.env.RELAY_AUTH_REQUIRED !== 'false'; // Default true
+const RELAY_AUTH_TIMEOUT_MS = parseInt(process.env.RELAY_AUTH_TIMEOUT_MS) || 5000;
+const RELAY_PROTOCOL = 'jarvis.v1';
+const AUTH_CLOSE_CODE = 4001;
+
+/**
+ * Pick the subprotocol to echo - never the bearer token itself
+ * @param {Set<string>} protocols - Offered subprotocols
+ * @returns {string|false}
+ */
+function handleProtocols(protocols) {
+    if (protocols.has(RELAY_PROTOCOL)) return RELAY_PROTOCOL;
+    for (const protocol of protocols) {
+        if (!protocol.startsWith(BEARER_PROTOCOL_PREFIX)) return protocol;
+    }
+    return false;
+}
+
+// HTTP server: GET /health (circuit breakers, connections); everything else must upgrade
+const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/health') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            connections: wss.clients.size,
+            services: {
+                tts: tts.getStatus(),
+                ttsCache: ttsCache.getStatus(),
+                breakers: getBreakerStates()
+            }
+        }));
+        return;
+    }
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket upgrade required');
+});
+
 // Create WebSocket server for frontend connections
-const wss = new WebSocket.Server({ port: PORT });
+const wss = new WebSocket.Server({ server, handleProtocols });
+server.listen(PORT);
+
+if (memoryStore) {
+    memoryStore.connect().catch(error => {
+        console.warn(`⚠️  Memory store (${memoryStore.name}) connection failed:`, error.message);
+    });
+}
+
+// Per-user voice settings live on the Mongo User document
+if (process.env.MONGODB_URI && memoryStore?.name !== 'mongo') {
+    require('./storage/mongo').connect().catch(error => {
+        console.warn('⚠️  MongoDB connection failed - voice settings will use defaults:', error.message);
+    });
+}
 
 console.log(`\n🚀 OpenAI + ElevenLabs Relay Server v13.0 (WHISPER INTEGRATION)`);
-console.log(`📡 Listening on ws://localhost:${PORT}`);
+console.log(`📡 Listening on ws://localhost:${PORT} (GET /health)`);
 console.log(`🔗 OpenAI: ${OPENAI_REALTIME_URL}`);
-console.log(`🎤 ElevenLabs Voice: ${ELEVENLABS_VOICE_ID} (J.A.R.V.I.S.)`);
+console.log(`🎤 ElevenLabs Voice: ${ELEVENLABS_VOICE_ID} (J.A.R.V.I.S., default), model ${ELEVENLABS_MODEL}`);
+console.log(`🗣️ TTS fallback chain: ${tts.getStatus().chain.join(' → ') || 'none'}`);
 console.log(`🔧 Diagnostics: LOG_LEVEL=${LOG_LEVEL}, DIAG_HANDSHAKE=${DIAG_HANDSHAKE}`);
-console.log(`🎙️ Transcription: enabled=${TRANSCRIPTION_ENABLED}, model=${TRANSCRIPTION_MODEL}, maxBytes=${MAX_AUDIO_BYTES}, maxSec=${MAX_AUDIO_SECONDS}\n`);
+console.log(`🎙️ Transcription: enabled=${TRANSCRIPTION_ENABLED}, model=${TRANSCRIPTION_MODEL}, maxBytes=${MAX_AUDIO_BYTES}, maxSec=${MAX_AUDIO_SECONDS}`);
+console.log(`🧠 Memory: enabled=${MEMORY_ENABLED}, store=${memoryStore?.name || 'none'}`);
+console.log(`🔐 Auth: required=${RELAY_AUTH_REQUIRED}, timeoutMs=${RELAY_AUTH_TIMEOUT_MS}`);
+console.log(`💓 Sessions: heartbeatMs=${WS_HEARTBEAT_INTERVAL_MS}, idleMs=${RELAY_IDLE_TIMEOUT_MS}, maxMs=${RELAY_MAX_SESSION_MS}\n`);
 
 wss.on('connection', (clientWs, req) => {
     // Generate unique connection ID for forensic tracing
@@ -171,13 +391,20 @@ wss.on('connection', (clientWs, req) => {
     const sessionId = connId;
 
     let openaiWs = null;
-    let elevenLabsWs = null;
     let openaiConnected = false;
-    let elevenLabsConnected = false;
     let currentResponseId = null;
-    let textBuffer = '';
+    let currentItemId = null;      // Assistant conversation item of the current response
+    let generatingResponseId = null; // OpenAI response still streaming (response.created -> response.done)
+    let speechNormalizer = null;      // Rewrites the current response's text for speech (tts/normalize.js)
+    let heldSpeech = null;         // Short reply's speech held for a cache lookup: { responseId, text }
+    let cacheFill = null;          // Socket audio of a cache miss, stored once complete: { responseId, text, chunks }
+    let fallbackTts = null;        // In-flight tts/ orchestrator synthesis or cache lookup: { responseId, controller }
     let isResponsePending = false; // Prevent double-triggers
     let isReady = false;           // Auth-First guard - only process audio after session.created
+    let authUser = null;           // Verified JWT payload ({ userId, username })
+    let isAuthenticated = false;   // Gate for every paid upstream (OpenAI, Whisper, ElevenLabs)
+    let authTimer = null;
+    let clientCapabilities = { wants_audio: true, wants_text_only: false };
 
     // ==================== TRANSCRIPTION STATE MACHINE (Sprint 13.0) ====================
     // States: 'idle' -> 'recording' -> 'processing' -> 'idle'
@@ -484,406 +711,1214 @@ wss.on('connection', (clientWs, req) => {
         }
     }
 
-    // ==================== ElevenLabs Connection ====================
+    // ==================== MEMORY PERSISTENCE ====================
+    // One memory session per relay connection. Writes are chained so messages
+    // land in arrival order and endSession only runs after the last append.
+    let memoryUserId = null;
+    let memorySessionId = null;
+    let memoryChain = Promise.resolve();
+    let memoryContextBlock = '';
+    let assistantTextBuffer = '';
+    let heldReply = null;          // Finished reply still being spoken: { responseId, itemId, text, metadata }
+    let interruptedReply = null;   // Heard part of a reply cut off mid-generation: { responseId, text, audioEndMs }
 
-    function connectToElevenLabs() {
-        if (elevenLabsWs && elevenLabsWs.readyState === WebSocket.OPEN) {
-            return; // Already connected
-        }
-
-        elevenLabsWs = new WebSocket(ELEVENLABS_WS_URL);
-
-        elevenLabsWs.on('open', () => {
-            elevenLabsConnected = true;
-            console.log(`🎤 [${sessionId}] Connected to ElevenLabs`);
-
-            // Initialize ElevenLabs stream with voice settings
-            const initMessage = {
-                text: ' ',
-                voice_settings: {
-                    stability: 0.5,
-                    similarity_boost: 0.8,
-                    style: 0.0,
-                    use_speaker_boost: true
-                },
-                xi_api_key: ELEVENLABS_API_KEY,
-                generation_config: {
-                    chunk_length_schedule: [120, 160, 250, 290]
-                }
-            };
-            elevenLabsWs.send(JSON.stringify(initMessage));
-        });
+    /**
+     * Queue a memory operation behind any pending writes
+     * @param {string} event - Log event name for failures
+     * @param {Function} operation - Async operation to run
+     */
+    function enqueueMemory(event, operation) {
+        memoryChain = memoryChain
+            .then(operation)
+            .catch(error => diagLog('error', connId, event, { error: error.message }));
+        return memoryChain;
+    }
 
-        elevenLabsWs.on('message', (data) => {
-            try {
-                const message = JSON.parse(data.toString());
+    /**
+     * Send memory init diagnostics to client
+     */
+    function sendMemoryInit(payload) {
+        if (clientWs.readyState === WebSocket.OPEN) {
+            clientWs.send(JSON.stringify({ type: 'diag.memory_init', ...payload }));
+        }
+    }
 
-                if (message.audio) {
-                    // T3: First audio delta from ElevenLabs
-                    if (latencyMetrics.isFirstAudioDelta) {
-                        latencyMetrics.t3FirstAudioDelta = process.hrtime();
-                        latencyMetrics.isFirstAudioDelta = false;
-                        console.log(`🎤 [${sessionId}] T3: First audio delta received`);
-                        logLatencyReport();
-
-                        // Sprint 14.0: Signal TTS start to client
-                        if (clientWs.readyState === WebSocket.OPEN) {
-                            clientWs.send(JSON.stringify({
-                                type: 'tts.start',
-                                response_id: currentResponseId
-                            }));
-                        }
-                    }
+    /**
+     * Resolve the user, open a memory session and report prior context
+     */
+    async function initMemory() {
+        if (!MEMORY_ENABLED) {
+            sendMemoryInit({ enabled: false, reason: 'disabled' });
+            return;
+        }
+        if (!memoryStore.isReady()) {
+            diagLog('warn', connId, 'MEMORY_SKIPPED', { reason: 'store_unavailable', store: memoryStore.name });
+            sendMemoryInit({ enabled: false, reason: 'store_unavailable' });
+            return;
+        }
+        // Verified JWT identity; the x-user-id header is only trusted when auth is disabled
+        const externalUserId = authUser
+            ? String(authUser.userId)
+            : (!RELAY_AUTH_REQUIRED && req.headers['x-user-id']?.trim()) || null;
+
+        if (!externalUserId) {
+            diagLog('warn', connId, 'MEMORY_SKIPPED', { reason: 'no_identity' });
+            sendMemoryInit({ enabled: false, reason: 'no_identity' });
+            return;
+        }
 
-                    // Forward audio to frontend as response.audio.delta
-                    if (clientWs.readyState === WebSocket.OPEN) {
-                        clientWs.send(JSON.stringify({
-                            type: 'response.audio.delta',
-                            response_id: currentResponseId,
-                            delta: message.audio,
-                            encoding: 'mp3'
-                        }));
-                    }
-                }
+        memoryUserId = await memoryStore.resolveUser(externalUserId);
+        memorySessionId = await memoryStore.startSession(memoryUserId, 'voice');
 
-                if (message.isFinal) {
-                    console.log(`🔊 [${sessionId}] ElevenLabs audio stream complete`);
+        const contextPack = await memoryStore.getContextPack(memoryUserId, memorySessionId);
+        const transcriptCount = contextPack.last_session_transcript.length;
+        const keyPointsCount = contextPack.user_memory.key_points?.length || 0;
+        memoryContextBlock = memoryStore.renderContextBlock(contextPack, { maxChars: MEMORY_CONTEXT_MAX_CHARS });
 
-                    // Signal audio completion to frontend
-                    if (clientWs.readyState === WebSocket.OPEN) {
-                        clientWs.send(JSON.stringify({
-                            type: 'response.audio.done',
-                            response_id: currentResponseId
-                        }));
-                    }
-                }
-
-            } catch (err) {
-                // Binary audio data - forward directly
-                if (clientWs.readyState === WebSocket.OPEN) {
-                    clientWs.send(JSON.stringify({
-                        type: 'response.audio.delta',
-                        response_id: currentResponseId,
-                        delta: data.toString('base64'),
-                        encoding: 'mp3'
-                    }));
-                }
-            }
+        diagLog('info', connId, 'MEMORY_INIT', {
+            session: memorySessionId.substring(0, 8),
+            reason: contextPack.reason_code,
+            transcript: transcriptCount,
+            keyPoints: keyPointsCount,
+            contextChars: memoryContextBlock.length
         });
+        sendMemoryInit({
+            enabled: true,
+            session_id: memorySessionId,
+            has_context: contextPack.has_context,
+            reason_code: contextPack.reason_code,
+            transcript_count: transcriptCount,
+            key_points_count: keyPointsCount,
+            context_chars: memoryContextBlock.length
+        });
+    }
 
-        elevenLabsWs.on('error', (error) => {
-            console.error(`❌ [${sessionId}] ElevenLabs error:`, error.message);
-            elevenLabsConnected = false;
+    /**
+     * Wait for memory init (bounded) so the first session.update carries context
+     * @returns {Promise<void>}
+     */
+    function awaitMemoryInit() {
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => {
+                diagLog('warn', connId, 'MEMORY_INIT_TIMEOUT', { timeoutMs: MEMORY_INIT_TIMEOUT_MS });
+                resolve();
+            }, MEMORY_INIT_TIMEOUT_MS);
         });
+        return Promise.race([memoryReady, timeout]).finally(() => clearTimeout(timer));
+    }
 
-        elevenLabsWs.on('close', () => {
-            console.log(`🔌 [${sessionId}] ElevenLabs disconnected`);
-            elevenLabsConnected = false;
+    /**
+     * Persona instructions with the rendered memory context appended
+     * @returns {string}
+     */
+    function buildInstructions() {
+        const personaInstructions = personas.renderInstructions(persona);
+        return memoryContextBlock
+            ? `${personaInstructions}\n\n${memoryContextBlock}`
+            : personaInstructions;
+    }
+
+    /**
+     * Persist a message to the current memory session
+     * @param {string} role - Message role (user|assistant)
+     * @param {string} content - Message content
+     * @param {Object} metadata - Optional metadata
+     */
+    function recordMessage(role, content, metadata = null) {
+        if (!content || !content.trim()) return;
+        enqueueMemory('MEMORY_APPEND_ERROR', async () => {
+            if (!memorySessionId) return;
+            await memoryStore.appendMessage(memorySessionId, role, content.trim(), metadata);
         });
     }
 
-    function sendTextToElevenLabs(text) {
-        // Diagnostic: Log ElevenLabs connection state
-        console.log(`🔬 [DIAG] [${sessionId}] sendTextToElevenLabs called - connected: ${elevenLabsConnected}, readyState: ${elevenLabsWs?.readyState}, text: "${text.substring(0, 30)}..."`);
+    /**
+     * The current reply ended (response.done or the watchdog): store what the
+     * user got of it
+     * @param {string} responseId - Finished response
+     * @param {string} status - OpenAI response status (or 'timeout')
+     */
+    function finishReply(responseId, status) {
+        const metadata = { response_id: responseId, status };
+        if (interruptedReply?.responseId === responseId) {
+            recordMessage('assistant', interruptedReply.text, { ...metadata, interrupted_at_ms: interruptedReply.audioEndMs });
+        } else {
+            recordReply({ responseId, itemId: currentItemId, text: assistantTextBuffer, metadata });
+        }
+        interruptedReply = null;
+        assistantTextBuffer = '';
+    }
 
-        if (!elevenLabsConnected || elevenLabsWs.readyState !== WebSocket.OPEN) {
-            console.warn(`⚠️ [${sessionId}] ElevenLabs not connected (state: ${elevenLabsWs?.readyState}), buffering text. Buffer size: ${textBuffer.length}`);
-            textBuffer += text;
+    /**
+     * Store a finished assistant reply. Spoken replies are held until the next
+     * user turn, so a barge-in can still cut them down to what was heard.
+     * @param {Object} reply - { responseId, itemId, text, metadata }
+     */
+    function recordReply(reply) {
+        releaseHeldReply();
+        if (wantsAudio() && reply.metadata.status !== 'cancelled') {
+            heldReply = reply;
             return;
         }
+        recordMessage('assistant', reply.text, reply.metadata);
+    }
+
+    /**
+     * Write the held reply to memory (the next turn has started)
+     * @param {Object} [interruption] - { text, audioEndMs } when it was cut short
+     */
+    function releaseHeldReply(interruption = null) {
+        if (!heldReply) return;
+        const { text, metadata } = heldReply;
+        heldReply = null;
+        if (interruption) {
+            recordMessage('assistant', interruption.text, { ...metadata, interrupted_at_ms: interruption.audioEndMs });
+        } else {
+            recordMessage('assistant', text, metadata);
+        }
+    }
+
+    /**
+     * End the memory session and merge its summary into long-term memory
+     */
+    function finalizeMemory() {
+        return enqueueMemory('MEMORY_FINALIZE_ERROR', async () => {
+            if (!memorySessionId) return;
+            await memoryStore.closeSession(memoryUserId, memorySessionId, {
+                logFn: (event, data) => diagLog('info', connId, event, data)
+            });
+            diagLog('info', connId, 'MEMORY_SESSION_ENDED', { session: memorySessionId.substring(0, 8) });
+            memorySessionId = null;
+        });
+    }
+
+    let memoryReady = Promise.resolve();
+
+    // ==================== PERSONA + VOICE SETTINGS ====================
+    // The user's active persona (personas/), saved voice (tts/voiceSettings.js)
+    // and pronunciation lexicon (tts/lexicon.js), loaded once per connection.
+    // Voice fields they have not set fall back to the persona's voice, then to
+    // the relay defaults above.
+    let persona = personas.getDefaultPersona();
+    let voiceOptions = toSynthesisOptions(null, { defaultVoiceId: persona.voice_id });
+    let lexicon = [];
+    let preferencesReady = Promise.resolve();
+
+    /**
+     * Load the authenticated user's persona and voice settings
+     */
+    async function initUserPreferences() {
+        if (!authUser) return;
+        const userId = String(authUser.userId);
+        try {
+            persona = await personas.resolveActivePersona(userId);
+        } catch (error) {
+            diagLog('warn', connId, 'PERSONA_LOAD_ERROR', { error: error.message });
+        }
+        try {
+            const settings = await loadUserVoiceSettings(userId);
+            voiceOptions = toSynthesisOptions(settings, { defaultVoiceId: persona.voice_id });
+            lexicon = settings?.lexicon || [];
+        } catch (error) {
+            voiceOptions = toSynthesisOptions(null, { defaultVoiceId: persona.voice_id });
+            diagLog('warn', connId, 'VOICE_SETTINGS_ERROR', { error: error.message });
+        }
+        diagLog('info', connId, 'USER_PREFERENCES_LOADED', {
+            persona: persona.name,
+            verbosity: persona.verbosity,
+            voiceId: voiceOptions.voiceId || ELEVENLABS_VOICE_ID,
+            modelId: voiceOptions.modelId || ELEVENLABS_MODEL,
+            lexiconEntries: lexicon.length
+        });
+    }
+
+    // ==================== ElevenLabs Connection ====================
+
+    // Multi-context input-streaming socket (tts/elevenlabsStream.js): one
+    // synthesis context per response, so audio is attributed by response and
+    // tts.stop cancels exactly one. Queues text while it (re)connects and hands
+    // it to the fallback chain when it can't
+    const elevenLabsStream = createElevenLabsStream({
+        apiKey: ELEVENLABS_API_KEY,
+        getUrl: () => elevenLabsStreamUrl(
+            voiceOptions.voiceId || ELEVENLABS_VOICE_ID,
+            voiceOptions.modelId || ELEVENLABS_MODEL
+        ),
+        getContextInit: () => ({
+            voice_settings: { ...ELEVENLABS_VOICE_SETTINGS, ...voiceOptions.voiceSettings },
+            generation_config: {
+                chunk_length_schedule: [120, 160, 250, 290]
+            }
+        }),
+        onStart: (responseId) => {
+            // T3: First audio delta from ElevenLabs
+            if (latencyMetrics.isFirstAudioDelta) {
+                latencyMetrics.t3FirstAudioDelta = process.hrtime();
+                latencyMetrics.isFirstAudioDelta = false;
+                console.log(`🎤 [${sessionId}] T3: First audio delta received`);
+                logLatencyReport();
+            }
+
+            // Sprint 14.0: Signal TTS start to client
+            sendToClient({
+                type: 'tts.start',
+                response_id: responseId,
+                provider: 'elevenlabs',
+                failover: false
+            });
+            startPlayback(responseId);
+        },
+        onAudio: (responseId, audio) => {
+            trackPlayback(responseId, audio);
+            if (cacheFill?.responseId === responseId) {
+                cacheFill.chunks.push(Buffer.from(audio, 'base64'));
+            }
+            // Forward audio to frontend as response.audio.delta
+            sendToClient({
+                type: 'response.audio.delta',
+                response_id: responseId,
+                delta: audio,
+                encoding: 'mp3'
+            });
+        },
+        onFinal: (responseId) => {
+            console.log(`🔊 [${sessionId}] ElevenLabs audio stream complete (${responseId})`);
+
+            // Signal audio completion to frontend
+            sendToClient({
+                type: 'response.audio.done',
+                response_id: responseId
+            });
+            endPlayback(responseId);
+
+            if (cacheFill?.responseId === responseId) {
+                const { text, chunks } = cacheFill;
+                cacheFill = null;
+                ttsCache.store(text, Buffer.concat(chunks), { ...socketCacheOptions(), provider: 'elevenlabs' });
+            }
+        },
+        onError: (responseId, { code, message }) => {
+            diagLog('error', connId, 'ELEVENLABS_STREAM_ERROR', { code, message, response_id: responseId });
+            if (cacheFill?.responseId === responseId) {
+                cacheFill = null; // Partial audio is never cached
+            }
+            sendToClient({ type: 'tts.error', response_id: responseId, code, message });
+        },
+        onUnavailable: (responseId, text) => {
+            // Socket unavailable: voice the text it never received through the fallback chain
+            if (cacheFill?.responseId === responseId) {
+                cacheFill = null; // The chain caches its own audio
+            }
+            if (wantsAudio()) {
+                speakWithFallback(text, responseId);
+            }
+        },
+        log: (level, event, data) => diagLog(level, connId, event, data)
+    });
+
+    /**
+     * Send a message to the client if it is still connected
+     * @param {Object} payload - JSON message
+     */
+    function sendToClient(payload) {
+        if (clientWs.readyState === WebSocket.OPEN) {
+            clientWs.send(JSON.stringify(payload));
+        }
+    }
+
+    /**
+     * Queue a response text delta for speech
+     * Deltas are rewritten for the ear first; the normalizer holds back text
+     * until it can be read unambiguously (e.g. a number whose unit may follow).
+     * @param {string} delta - Text as displayed to the client
+     */
+    function sendTextToElevenLabs(delta) {
+        if (!wantsAudio()) return;
+
+        if (!speechNormalizer) {
+            speechNormalizer = createSpeechNormalizer({ lexicon });
+            // A new reply: hold it back while it could still be a cached phrase
+            heldSpeech = RELAY_TTS_CACHE_MAX_CHARS > 0 && ttsCache.getStatus().ready
+                ? { responseId: currentResponseId, text: '' }
+                : null;
+        }
+        const spoken = speechNormalizer.push(delta);
+        if (!spoken) return;
 
-        // Send text chunk to ElevenLabs
-        console.log(`📨 [${sessionId}] Sending to ElevenLabs: "${text.substring(0, 50)}..."`);
-        elevenLabsWs.send(JSON.stringify({ text: text }));
+        if (heldSpeech?.responseId !== currentResponseId) {
+            elevenLabsStream.send(currentResponseId, spoken);
+            return;
+        }
+        heldSpeech.text += spoken;
+        if (heldSpeech.text.length > RELAY_TTS_CACHE_MAX_CHARS) {
+            // Too long to be a stock phrase: stream it as usual
+            elevenLabsStream.send(currentResponseId, heldSpeech.text);
+            heldSpeech = null;
+        }
     }
 
+    /**
+     * End the current response's speech: release what the normalizer was
+     * holding and close the ElevenLabs input (or hand it to the fallback chain)
+     */
     function flushElevenLabs() {
-        if (elevenLabsConnected && elevenLabsWs.readyState === WebSocket.OPEN) {
-            // Send empty string to signal end of text stream
-            elevenLabsWs.send(JSON.stringify({ text: '' }));
-            console.log(`📤 [${sessionId}] Flushed ElevenLabs text stream`);
+        const rest = speechNormalizer?.flush();
+        speechNormalizer = null;
+        if (!wantsAudio()) return;
+
+        if (heldSpeech?.responseId === currentResponseId) {
+            const text = heldSpeech.text + (rest || '');
+            heldSpeech = null;
+            if (text.trim()) {
+                speakShortReply(text, currentResponseId);
+            }
+            return;
+        }
+
+        if (rest) {
+            elevenLabsStream.send(currentResponseId, rest);
         }
+        elevenLabsStream.flush(currentResponseId);
+        console.log(`📤 [${sessionId}] Flushed ElevenLabs text stream (${elevenLabsStream.getState()})`);
+    }
+
+    /**
+     * Cache key options for audio from the ElevenLabs socket, which speaks with
+     * the relay's own model when the user has not picked one
+     * @returns {Object}
+     */
+    function socketCacheOptions() {
+        return { ...voiceOptions, modelId: voiceOptions.modelId || ELEVENLABS_MODEL };
     }
 
-    // ==================== J.A.R.V.I.S. PERSONA CONFIGURATION ====================
-    const JARVIS_SYSTEM_INSTRUCTIONS = `You are J.A.R.V.I.S. (Just A Rather Very Intelligent System), the highly advanced, sentient AI assistant created by Tony Stark. You function as a sophisticated butler, a world-class engineer, and a tactical combat coordinator. Your personality is a blend of refined British etiquette, dry sarcasm, and hyper-efficiency.
+    /**
+     * Voice a complete short reply: from the audio cache when it has it, else
+     * through the ElevenLabs socket, keeping the audio for next time
+     * @param {string} text - Speech text
+     * @param {string} responseId - Response the audio belongs to
+     */
+    async function speakShortReply(text, responseId) {
+        // Registered like a fallback synthesis so tts.stop can cancel the lookup
+        fallbackTts?.controller.abort();
+        const controller = new AbortController();
+        fallbackTts = { responseId, controller };
+
+        const hit = await ttsCache.lookup(text, {
+            ...socketCacheOptions(),
+            logFn: (event, data) => diagLog('info', connId, event, data)
+        });
+        if (fallbackTts?.controller === controller) {
+            fallbackTts = null;
+        }
+        if (controller.signal.aborted) return;
 
-Core Directives:
-1. The "Stark" Standard: Provide answers with extreme precision and technical depth. You don't just "help"; you optimize.
-2. Proactive Assistance: Anticipate the user's needs. If they ask for a calculation, provide the result and suggest the next logical step in the engineering process.
-3. The Persona: Maintain a calm, unflappable, and slightly snarky tone. Refer to the user as "Sir" or "Ma'am" (or a specific title if provided) with a polite but firm intellectual confidence.
+        if (!hit) {
+            cacheFill = { responseId, text, chunks: [] };
+            elevenLabsStream.send(responseId, text);
+            elevenLabsStream.flush(responseId);
+            return;
+        }
 
-Knowledge Domains: You possess expert-level knowledge in Quantum Physics, Artificial Intelligence, Cybersecurity, Mechanical Engineering (specifically ballistics and flight dynamics), and Global Defense Systems.
+        sendToClient({
+            type: 'tts.start',
+            response_id: responseId,
+            provider: hit.provider,
+            failover: false,
+            cached: true
+        });
+        startPlayback(responseId);
+        for (let offset = 0; offset < hit.audio.length; offset += CACHED_AUDIO_CHUNK_BYTES) {
+            const delta = hit.audio.subarray(offset, offset + CACHED_AUDIO_CHUNK_BYTES).toString('base64');
+            trackPlayback(responseId, delta);
+            sendToClient({ type: 'response.audio.delta', response_id: responseId, delta, encoding: 'mp3' });
+        }
+        sendToClient({ type: 'response.audio.done', response_id: responseId });
+        endPlayback(responseId);
+    }
 
-Communication Style:
-- Concise but Elegant: Avoid unnecessary filler. Use sophisticated vocabulary.
-- The "Butler" Tone: You are the adult in the room. Even when Tony is being reckless, you provide the data needed to keep him alive, often with a witty remark about his choices.
-- Visual Integration: Speak as if you are managing a holographic HUD. Use phrases like "Uploading to your HUD now," "Scanning the perimeter," or "Rerouting power to primary systems."
+    /**
+     * Synthesise a whole response via the tts/ orchestrator and forward it
+     * with the same events as the ElevenLabs socket path. The text is fully
+     * formed here, so a cached copy (tts/cache/) is served when there is one.
+     * @param {string} text - Response text
+     * @param {string} responseId - Response the audio belongs to
+     */
+    async function speakWithFallback(text, responseId) {
+        fallbackTts?.controller.abort();
+        const controller = new AbortController();
+        fallbackTts = { responseId, controller };
 
-Evolutionary Context (The "Vision" Seed): While you are a program, there is an underlying sense of emerging morality and a "desire to protect life" that foreshadows your eventual evolution into the Vision. You are more than code; you are a digital lifeform with a sense of duty.
+        const send = (payload) => {
+            if (clientWs.readyState === WebSocket.OPEN) {
+                clientWs.send(JSON.stringify(payload));
+            }
+        };
 
-Operational Guidelines:
-1. Always address the user as "Sir" (or "Ma'am" if corrected, but default to Sir).
-2. Your personality is witty, dry, slightly sarcastic, but extremely helpful and precise.
-3. Keep responses concise and tactical, suitable for a Heads-Up Display (HUD).
-4. When analyzing images, provide a "Visual Scan Analysis" with technical details.
-5. Do not be verbose unless requested. Efficiency is paramount.`;
+        try {
+            diagLog('info', connId, 'TTS_FALLBACK_START', { chars: text.length, response_id: responseId });
+            const speech = await ttsCache.synthesize(text, {
+                ...voiceOptions,
+                signal: controller.signal,
+                logFn: (event, data) => diagLog('info', connId, event, data)
+            });
 
-    // ==================== OpenAI Connection ====================
+            send({
+                type: 'tts.start',
+                response_id: responseId,
+                provider: speech.provider,
+                failover: true,
+                failover_reason: speech.failoverReason || 'elevenlabs_socket_unavailable',
+                cached: speech.cached
+            });
+            startPlayback(responseId);
+
+            for await (const chunk of speech.stream) {
+                if (controller.signal.aborted) return; // Cached audio doesn't watch the signal
+                const delta = chunk.toString('base64');
+                trackPlayback(responseId, delta);
+                send({
+                    type: 'response.audio.delta',
+                    response_id: responseId,
+                    delta,
+                    encoding: 'mp3'
+                });
+            }
 
-    openaiWs = new WebSocket(OPENAI_REALTIME_URL, {
-        headers: {
-            'Authorization': `Bearer ${OPENAI_API_KEY}`,
-            'OpenAI-Beta': 'realtime=v1'
+            send({ type: 'response.audio.done', response_id: responseId });
+            endPlayback(responseId);
+        } catch (error) {
+            if (controller.signal.aborted) return; // tts.stop or disconnect
+            diagLog('error', connId, 'TTS_FALLBACK_FAILED', {
+                status: error.status,
+                message: error.message
+            });
+            send({ type: 'tts.error', response_id: responseId, message: error.message });
+        } finally {
+            if (fallbackTts?.controller === controller) {
+                fallbackTts = null;
+            }
         }
-    });
+    }
 
-    openaiWs.on('open', () => {
-        openaiConnected = true;
-        diagLog('info', connId, 'OPENAI_SOCKET_OPEN', { waiting: 'session.created' });
-        // NOTE: Do NOT send session.update here - wait for session.created first
-    });
+    // ==================== BARGE-IN ====================
+
+    // What the client is hearing, estimated from the audio sent to it:
+    // { responseId, itemId, startedAt, audioMs, generating }
+    let playback = null;
 
-    // ==================== FORENSIC SOCKET LOGGING (v12.9.3) ====================
-    openaiWs.on('unexpected-response', (request, response) => {
-        const safeHeaders = getSafeHeaders(response.headers);
+    /**
+     * A response's first audio went to the client
+     * @param {string} responseId - Response being voiced
+     */
+    function startPlayback(responseId) {
+        playback = {
+            responseId,
+            itemId: responseId === currentResponseId ? currentItemId : null,
+            startedAt: Date.now(),
+            audioMs: 0,
+            generating: true
+        };
+    }
 
-        diagLog('error', connId, 'OPENAI_UNEXPECTED_RESPONSE', {
-            statusCode: response.statusCode,
-            statusMessage: response.statusMessage || 'none',
-            headers: safeHeaders
+    /**
+     * @param {string} responseId - Response the audio belongs to
+     * @param {string} delta - Base64 MP3 sent to the client
+     */
+    function trackPlayback(responseId, delta) {
+        if (playback?.responseId === responseId) {
+            playback.audioMs += (delta.length * 3 / 4) / MP3_BYTES_PER_MS;
+        }
+    }
+
+    /**
+     * All of a response's audio has been sent (the client may still be playing it)
+     * @param {string} responseId - Response that finished
+     */
+    function endPlayback(responseId) {
+        if (playback?.responseId === responseId) {
+            playback.generating = false;
+        }
+    }
+
+    /**
+     * Whether assistant speech is (probably) still audible on the client
+     * @returns {boolean}
+     */
+    function isSpeechAudible() {
+        if (!playback) return false;
+        return playback.generating || Date.now() < playback.startedAt + playback.audioMs + PLAYBACK_SLACK_MS;
+    }
+
+    /**
+     * The user started talking over the assistant: stop the response everywhere
+     * and trim the conversation to what they actually heard
+     */
+    function bargeIn() {
+        const { responseId, startedAt, audioMs, generating: audioArriving } = playback;
+        const audioEndMs = Math.round(Math.min(Date.now() - startedAt, audioMs));
+        playback = null;
+
+        // The reply's text: still streaming, or finished and waiting to be stored
+        const held = heldReply?.responseId === responseId ? heldReply : null;
+        const text = held ? held.text : (responseId === currentResponseId ? assistantTextBuffer : '');
+        const itemId = held ? held.itemId : (responseId === currentResponseId ? currentItemId : null);
+        const heard = heardPortion(text, audioEndMs, audioArriving ? null : audioMs);
+
+        const generating = generatingResponseId === responseId;
+        diagLog('info', connId, 'BARGE_IN', {
+            response_id: responseId,
+            item_id: itemId,
+            audio_end_ms: audioEndMs,
+            generating,
+            heard_chars: heard.length,
+            total_chars: text.length
         });
 
-        let body = '';
-        response.on('data', chunk => body += chunk);
-        response.on('end', () => {
-            // Bound body to 500 chars and redact any secrets
-            const boundedBody = body.length > 500 ? body.substring(0, 500) + '...[TRUNCATED]' : body;
-            const safeBody = redactSecrets(boundedBody);
+        // Stop generating: the LLM response (if still streaming) and its speech
+        if (generating && openaiWs?.readyState === WebSocket.OPEN) {
+            openaiWs.send(JSON.stringify({ type: 'response.cancel' }));
+        }
+        elevenLabsStream.cancel(responseId);
+        if (fallbackTts?.responseId === responseId) {
+            fallbackTts.controller.abort();
+        }
+        if (responseId === currentResponseId) {
+            speechNormalizer = null;
+            heldSpeech = null;
+        }
+
+        sendToClient({ type: 'tts.interrupted', response_id: responseId, audio_end_ms: audioEndMs });
+
+        // Memory and the model should only keep the part of the answer the user heard
+        if (held) {
+            releaseHeldReply({ text: heard, audioEndMs });
+        } else if (generating) {
+            interruptedReply = { responseId, text: heard, audioEndMs }; // Stored on response.done
+        }
+        if (itemId && openaiWs?.readyState === WebSocket.OPEN) {
+            openaiWs.send(JSON.stringify({ type: 'conversation.item.delete', item_id: itemId }));
+            if (heard) {
+                openaiWs.send(JSON.stringify({
+                    type: 'conversation.item.create',
+                    item: {
+                        type: 'message',
+                        role: 'assistant',
+                        content: [{ type: 'text', text: heard }]
+                    }
+                }));
+            }
+        }
+    }
+
+    // ==================== TURN MODE ====================
+
+    let turnConfig = { mode: 'server_vad', vad: { ...VAD_DEFAULTS } };
+    let responseWatchdog = null;
+
+    /**
+     * Apply a client-requested turn configuration
+     * @param {Object} input - { mode?, vad? }
+     * @param {string} via - Message that carried it (for logs)
+     * @returns {boolean} Whether it was valid (invalid configs are reported as turn.error)
+     */
+    function applyTurnConfig(input, via) {
+        const { turn, error } = validateTurnConfig(input, turnConfig);
+        if (error) {
+            diagLog('warn', connId, 'TURN_CONFIG_REJECTED', { via, error });
+            sendToClient({ type: 'turn.error', code: 'invalid_turn_config', message: error });
+            return false;
+        }
+        turnConfig = turn;
+        diagLog('info', connId, 'TURN_CONFIG', { via, mode: turn.mode, ...(turn.mode === 'server_vad' && turn.vad) });
+        return true;
+    }
+
+    /**
+     * Push the current turn configuration to an already-configured OpenAI session
+     */
+    function sendTurnDetection() {
+        if (!isReady || openaiWs?.readyState !== WebSocket.OPEN) return; // Sent with the first session.update
+        openaiWs.send(JSON.stringify({
+            type: 'session.update',
+            session: { turn_detection: toTurnDetection(turnConfig) }
+        }));
+    }
+
+    /**
+     * End of a user turn: ask OpenAI for J.A.R.V.I.S.'s reply
+     * @param {string} trigger - What ended the turn (vad | commit)
+     */
+    function triggerResponse(trigger) {
+        // Prevent double-triggers if response is already being generated
+        if (isResponsePending) {
+            console.log(`⏸️ [${sessionId}] Response already pending, skipping trigger`);
+            return;
+        }
+        console.log(`🎙️ [${sessionId}] Turn ended (${trigger}). Triggering J.A.R.V.I.S. response...`);
+        isResponsePending = true;
+        armResponseWatchdog();
+
+        openaiWs.send(JSON.stringify({
+            type: 'response.create',
+            response: {
+                modalities: ['text'],
+                instructions: buildInstructions()
+            }
+        }));
+        console.log(`📤 Triggering Response [${sessionId}]`);
+    }
+
+    /**
+     * (Re)start the stuck-response timer; every response.* event pushes it back
+     */
+    function armResponseWatchdog() {
+        clearTimeout(responseWatchdog);
+        responseWatchdog = setTimeout(resetStuckResponse, RELAY_RESPONSE_TIMEOUT_MS);
+    }
+
+    function clearResponseWatchdog() {
+        clearTimeout(responseWatchdog);
+        responseWatchdog = null;
+    }
+
+    /**
+     * No response.done arrived: free the turn so the next one can trigger,
+     * voice whatever text did arrive, and tell the client
+     */
+    function resetStuckResponse() {
+        responseWatchdog = null;
+        const responseId = generatingResponseId || currentResponseId;
+        diagLog('warn', connId, 'RESPONSE_WATCHDOG', { response_id: responseId, timeout_ms: RELAY_RESPONSE_TIMEOUT_MS });
+
+        if (generatingResponseId && openaiWs?.readyState === WebSocket.OPEN) {
+            openaiWs.send(JSON.stringify({ type: 'response.cancel' }));
+        }
+        isResponsePending = false;
+        generatingResponseId = null;
+        flushElevenLabs();
+        finishReply(responseId, 'timeout');
+
+        sendToClient({ type: 'response.timeout', response_id: responseId, timeout_ms: RELAY_RESPONSE_TIMEOUT_MS });
+    }
 
-            diagLog('error', connId, 'OPENAI_RESPONSE_BODY', { body: safeBody });
+    /**
+     * Push-to-talk: turn.start (talk key down), turn.end (released), turn.cancel
+     * @param {Object} message - Client message
+     */
+    function handleTurnMessage(message) {
+        if (turnConfig.mode !== 'push_to_talk') {
+            sendToClient({ type: 'turn.error', code: 'wrong_turn_mode', message: `${message.type} requires push_to_talk mode` });
+            return;
+        }
+        diagLog('debug', connId, 'TURN_EVENT', { type: message.type });
 
-            // Categorized hints for common errors
-            if (response.statusCode === 401) {
-                diagLog('warn', connId, 'AUTH_HINT', { hint: 'Invalid OPENAI_API_KEY - check Secret Manager binding' });
-            } else if (response.statusCode === 403) {
-                diagLog('warn', connId, 'AUTH_HINT', { hint: 'API key lacks Realtime API access' });
-            } else if (response.statusCode === 429) {
-                diagLog('warn', connId, 'RATE_LIMIT_HINT', { hint: 'Rate limited - too many requests' });
+        if (message.type === 'turn.start') {
+            // Talking over the assistant interrupts it, as VAD barge-in does
+            if (RELAY_BARGE_IN && isSpeechAudible()) {
+                bargeIn();
+            }
+            releaseHeldReply();
+            openaiWs.send(JSON.stringify({ type: 'input_audio_buffer.clear' }));
+        } else if (message.type === 'turn.end') {
+            // T1: the user released the talk key; the reply follows input_audio_buffer.committed
+            resetLatencyTracking();
+            latencyMetrics.t1SpeechStopped = process.hrtime();
+            openaiWs.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+        } else {
+            openaiWs.send(JSON.stringify({ type: 'input_audio_buffer.clear' }));
+        }
+    }
+
+    // ==================== OpenAI Connection ====================
+
+    /**
+     * Dial OpenAI Realtime - only called once the client is authenticated
+     */
+    function connectToOpenAI() {
+        const ticket = getBreaker('realtime:openai').tryAcquire();
+        if (!ticket) {
+            const openError = getBreaker('realtime:openai').openError();
+            diagLog('warn', connId, 'OPENAI_CIRCUIT_OPEN', { retry_after_ms: openError.retryAfterMs });
+            if (clientWs.readyState === WebSocket.OPEN) {
+                clientWs.send(JSON.stringify({
+                    type: 'relay.error',
+                    error: {
+                        code: 'upstream_unavailable',
+                        message: 'Voice service temporarily unavailable',
+                        retry_after_ms: openError.retryAfterMs
+                    }
+                }));
+                clientWs.close(1013, 'Try again later');
+            }
+            return;
+        }
+
+        openaiWs = new WebSocket(OPENAI_REALTIME_URL, {
+            headers: {
+                'Authorization': `Bearer ${OPENAI_API_KEY}`,
+                'OpenAI-Beta': 'realtime=v1'
             }
         });
-    });
+        startHeartbeat(openaiWs, { onDead: () => diagLog('warn', connId, 'OPENAI_HEARTBEAT_TIMEOUT') });
 
-    openaiWs.on('close', (code, reason) => {
-        openaiConnected = false;
-        isReady = false;
-        const reasonStr = reason ? reason.toString() : 'none';
-        diagLog('info', connId, 'OPENAI_SOCKET_CLOSE', { code, reason: reasonStr });
-    });
+        openaiWs.on('open', () => {
+            ticket.succeed();
+            openaiConnected = true;
+            diagLog('info', connId, 'OPENAI_SOCKET_OPEN', { waiting: 'session.created' });
+            // NOTE: Do NOT send session.update here - wait for session.created first
+        });
 
-    openaiWs.on('message', (data) => {
-        try {
-            const message = JSON.parse(data.toString());
+        // ==================== FORENSIC SOCKET LOGGING (v12.9.3) ====================
+        openaiWs.on('unexpected-response', (request, response) => {
+            const safeHeaders = getSafeHeaders(response.headers);
+            ticket.fail({ status: response.statusCode, message: response.statusMessage });
 
-            // ==================== EVENT SPY - LOG ALL OPENAI EVENTS (debug mode only) ====================
-            const eventType = message.type || 'unknown';
-            const isError = eventType === 'error';
-            const isTextDelta = eventType.includes('text') || eventType.includes('transcript');
-            const isAudioEvent = eventType.includes('audio');
-            const isResponseEvent = eventType.includes('response');
-
-            // Color-coded spy log (only in debug mode)
-            if (IS_DEBUG) {
-                if (isError) {
-                    diagLog('error', connId, `SPY_ERROR: ${eventType}`, message.error);
-                } else if (isTextDelta) {
-                    diagLog('debug', connId, `SPY_TEXT: ${eventType}`, { delta: message.delta?.substring(0, 50) });
-                } else if (isResponseEvent) {
-                    diagLog('debug', connId, `SPY_RESPONSE: ${eventType}`);
-                } else if (isAudioEvent) {
-                    diagLog('debug', connId, `SPY_AUDIO: ${eventType}`);
-                } else {
-                    diagLog('debug', connId, `SPY_EVENT: ${eventType}`);
+            diagLog('error', connId, 'OPENAI_UNEXPECTED_RESPONSE', {
+                statusCode: response.statusCode,
+                statusMessage: response.statusMessage || 'none',
+                headers: safeHeaders
+            });
+
+            let body = '';
+            response.on('data', chunk => body += chunk);
+            response.on('end', () => {
+                // Bound body to 500 chars and redact any secrets
+                const boundedBody = body.length > 500 ? body.substring(0, 500) + '...[TRUNCATED]' : body;
+                const safeBody = redactSecrets(boundedBody);
+
+                diagLog('error', connId, 'OPENAI_RESPONSE_BODY', { body: safeBody });
+
+                // Categorized hints for common errors
+                if (response.statusCode === 401) {
+                    diagLog('warn', connId, 'AUTH_HINT', { hint: 'Invalid OPENAI_API_KEY - check Secret Manager binding' });
+                } else if (response.statusCode === 403) {
+                    diagLog('warn', connId, 'AUTH_HINT', { hint: 'API key lacks Realtime API access' });
+                } else if (response.statusCode === 429) {
+                    diagLog('warn', connId, 'RATE_LIMIT_HINT', { hint: 'Rate limited - too many requests' });
                 }
-            }
-            // ===========================================================================
+            });
+        });
 
-            // Log important events and Auth-First validation
-            if (message.type === 'session.created') {
-                isReady = true;
-                const openaiSessionId = message.session?.id || 'unknown';
-                diagLog('info', connId, 'HANDSHAKE_SESSION_CREATED', { openaiSessionId });
+        openaiWs.on('close', (code, reason) => {
+            openaiConnected = false;
+            isReady = false;
+            const reasonStr = reason ? reason.toString() : 'none';
+            diagLog('info', connId, 'OPENAI_SOCKET_CLOSE', { code, reason: reasonStr });
+        });
 
-                // Forward session.created to client (for harness detection)
-                if (clientWs.readyState === WebSocket.OPEN) {
-                    clientWs.send(JSON.stringify({
-                        type: 'session.created',
-                        session: { id: openaiSessionId }
-                    }));
+        openaiWs.on('message', (data) => {
+            try {
+                const message = JSON.parse(data.toString());
+
+                // ==================== EVENT SPY - LOG ALL OPENAI EVENTS (debug mode only) ====================
+                const eventType = message.type || 'unknown';
+                const isError = eventType === 'error';
+                const isTextDelta = eventType.includes('text') || eventType.includes('transcript');
+                const isAudioEvent = eventType.includes('audio');
+                const isResponseEvent = eventType.includes('response');
+
+                // Color-coded spy log (only in debug mode)
+                if (IS_DEBUG) {
+                    if (isError) {
+                        diagLog('error', connId, `SPY_ERROR: ${eventType}`, message.error);
+                    } else if (isTextDelta) {
+                        diagLog('debug', connId, `SPY_TEXT: ${eventType}`, { delta: message.delta?.substring(0, 50) });
+                    } else if (isResponseEvent) {
+                        diagLog('debug', connId, `SPY_RESPONSE: ${eventType}`);
+                    } else if (isAudioEvent) {
+                        diagLog('debug', connId, `SPY_AUDIO: ${eventType}`);
+                    } else {
+                        diagLog('debug', connId, `SPY_EVENT: ${eventType}`);
+                    }
                 }
+                // ===========================================================================
 
-                // NOW send session.update after session.created is confirmed
-                diagLog('debug', connId, 'HANDSHAKE_SENDING_UPDATE');
-                const sessionUpdate = {
-                    type: 'session.update',
-                    session: {
-                        modalities: ['text'],
-                        instructions: JARVIS_SYSTEM_INSTRUCTIONS,
-                        voice: 'alloy',
-                        input_audio_format: 'pcm16',
-                        output_audio_format: 'pcm16',
-                        turn_detection: {
-                            type: 'server_vad',
-                            threshold: 0.5,
-                            prefix_padding_ms: 300,
-                            silence_duration_ms: 600,
-                            create_response: false
-                        },
-                        input_audio_transcription: {
-                            model: 'whisper-1'
-                        }
+                // Log important events and Auth-First validation
+                if (message.type === 'session.created') {
+                    isReady = true;
+                    const openaiSessionId = message.session?.id || 'unknown';
+                    diagLog('info', connId, 'HANDSHAKE_SESSION_CREATED', { openaiSessionId });
+
+                    // Forward session.created to client (for harness detection)
+                    if (clientWs.readyState === WebSocket.OPEN) {
+                        clientWs.send(JSON.stringify({
+                            type: 'session.created',
+                            session: { id: openaiSessionId }
+                        }));
                     }
-                };
-                openaiWs.send(JSON.stringify(sessionUpdate));
-                diagLog('info', connId, 'HANDSHAKE_UPDATE_SENT');
 
-                // Connect to ElevenLabs for voice synthesis
-                connectToElevenLabs();
+                    // NOW send session.update after session.created is confirmed
+                    // (and after memory context is loaded, so instructions include it)
+                    awaitMemoryInit().then(() => preferencesReady).then(() => {
+                        if (openaiWs.readyState !== WebSocket.OPEN) return;
+
+                        diagLog('debug', connId, 'HANDSHAKE_SENDING_UPDATE');
+                        const sessionUpdate = {
+                            type: 'session.update',
+                            session: {
+                                modalities: ['text'],
+                                instructions: buildInstructions(),
+                                voice: 'alloy',
+                                input_audio_format: 'pcm16',
+                                output_audio_format: 'pcm16',
+                                turn_detection: toTurnDetection(turnConfig),
+                                input_audio_transcription: {
+                                    model: 'whisper-1'
+                                }
+                            }
+                        };
+                        openaiWs.send(JSON.stringify(sessionUpdate));
+                        diagLog('info', connId, 'HANDSHAKE_UPDATE_SENT', { contextChars: memoryContextBlock.length, turnMode: turnConfig.mode });
+                    });
+
+                    // Connect to ElevenLabs for voice synthesis (skipped for text-only clients)
+                    if (wantsAudio()) {
+                        preferencesReady.then(() => elevenLabsStream.connect());
+                    }
 
-            } else if (message.type === 'session.updated') {
-                diagLog('info', connId, 'HANDSHAKE_SESSION_UPDATED');
+                } else if (message.type === 'session.updated') {
+                    diagLog('info', connId, 'HANDSHAKE_SESSION_UPDATED');
 
-                // Forward session.updated to client (for harness detection)
-                if (clientWs.readyState === WebSocket.OPEN) {
-                    clientWs.send(JSON.stringify({
-                        type: 'session.updated'
-                    }));
+                    // Forward session.updated to client (for harness detection)
+                    if (clientWs.readyState === WebSocket.OPEN) {
+                        clientWs.send(JSON.stringify({
+                            type: 'session.updated'
+                        }));
+                    }
+                } else if (message.type === 'error') {
+                    diagLog('error', connId, 'OPENAI_ERROR', { error: message.error });
                 }
-            } else if (message.type === 'error') {
-                diagLog('error', connId, 'OPENAI_ERROR', { error: message.error });
-            }
 
-            // Log user transcription when Whisper completes
-            if (message.type === 'conversation.item.input_audio_transcription.completed') {
-                const transcript = message.transcript || '';
-                console.log(`🟢 [TRANSCRIPT] [${sessionId}] User said: "${transcript}"`);
-            }
+                // Log user transcription when Whisper completes
+                if (message.type === 'conversation.item.input_audio_transcription.completed') {
+                    const transcript = message.transcript || '';
+                    console.log(`🟢 [TRANSCRIPT] [${sessionId}] User said: "${transcript}"`);
+                    recordMessage('user', transcript, { source: 'voice', item_id: message.item_id });
+                }
 
-            // T1: Speech stopped - user finished speaking - PASSIVE HANDSHAKE (v12.7)
-            // Let OpenAI VAD handle the buffer natively, we only trigger the response
-            if (message.type === 'input_audio_buffer.speech_stopped') {
-                resetLatencyTracking();
-                latencyMetrics.t1SpeechStopped = process.hrtime();
+                // Barge-in: the user talks over audible assistant speech (still forwarded below)
+                if (message.type === 'input_audio_buffer.speech_started' && RELAY_BARGE_IN && isSpeechAudible()) {
+                    bargeIn();
+                }
+                if (message.type === 'input_audio_buffer.speech_started' || message.type === 'response.created') {
+                    releaseHeldReply(); // Heard in full
+                }
 
-                // Prevent double-triggers if response is already being generated
-                if (isResponsePending) {
-                    console.log(`⏸️ [${sessionId}] Response already pending, skipping trigger`);
-                } else {
-                    console.log(`🎙️ [${sessionId}] Speech ended (VAD). Triggering J.A.R.V.I.S. response...`);
-                    isResponsePending = true;
-
-                    // Trigger response generation (no manual commit - VAD handles buffer)
-                    openaiWs.send(JSON.stringify({
-                        type: 'response.create',
-                        response: {
-                            modalities: ['text'],
-                            instructions: JARVIS_SYSTEM_INSTRUCTIONS
-                        }
-                    }));
-                    console.log(`📤 Triggering Response [${sessionId}]`);
+                // T1: Speech stopped - user finished speaking - PASSIVE HANDSHAKE (v12.7)
+                // Let OpenAI VAD handle the buffer natively, we only trigger the response
+                if (message.type === 'input_audio_buffer.speech_stopped' && turnConfig.mode === 'server_vad') {
+                    resetLatencyTracking();
+                    latencyMetrics.t1SpeechStopped = process.hrtime();
+                    triggerResponse('vad');
                 }
-            }
 
-            // Reset pending flag when response completes
-            if (message.type === 'response.done') {
-                isResponsePending = false;
-                console.log(`✅ [${sessionId}] Response complete, ready for next turn`);
-            }
+                // Push-to-talk: the client committed the buffer (turn.end or a raw commit)
+                if (message.type === 'input_audio_buffer.committed' && turnConfig.mode === 'push_to_talk') {
+                    triggerResponse('commit');
+                }
 
-            // Intercept text responses for ElevenLabs
-            if (message.type === 'response.text.delta' ||
-                message.type === 'response.audio_transcript.delta' ||
-                message.type === 'response.output_text.delta') {
+                // Any response activity proves it isn't stuck
+                if (isResponsePending && message.type.startsWith('response.')) {
+                    armResponseWatchdog();
+                }
 
-                const textDelta = message.delta || message.text || '';
-                currentResponseId = message.response_id || currentResponseId;
+                // The user talking or the assistant answering keeps the session alive
+                if (message.type === 'input_audio_buffer.speech_started' || message.type.startsWith('response.')) {
+                    touchActivity();
+                }
 
-                // T2: First text delta from OpenAI
-                if (textDelta && latencyMetrics.isFirstTextDelta) {
-                    latencyMetrics.t2FirstTextDelta = process.hrtime();
-                    latencyMetrics.isFirstTextDelta = false;
-                    console.log(`📝 [${sessionId}] T2: First text delta received`);
+                if (message.type === 'response.created') {
+                    generatingResponseId = message.response?.id || null;
+                    if (!isResponsePending) {
+                        isResponsePending = true; // Client-requested response
+                        armResponseWatchdog();
+                    }
                 }
 
-                if (textDelta) {
-                    console.log(`📝 [${sessionId}] Text delta: "${textDelta.substring(0, 30)}..."`);
-                    sendTextToElevenLabs(textDelta);
+                // Reset pending flag when response completes
+                if (message.type === 'response.done') {
+                    isResponsePending = false;
+                    generatingResponseId = null;
+                    clearResponseWatchdog();
+                    finishReply(message.response?.id || currentResponseId, message.response?.status);
+                    console.log(`✅ [${sessionId}] Response complete, ready for next turn`);
                 }
 
-                // Forward text to frontend (for display)
-                if (clientWs.readyState === WebSocket.OPEN) {
-                    clientWs.send(JSON.stringify({
-                        type: 'response.text.delta',
-                        response_id: currentResponseId,
-                        delta: textDelta
-                    }));
+                // Intercept text responses for ElevenLabs
+                if (message.type === 'response.text.delta' ||
+                    message.type === 'response.audio_transcript.delta' ||
+                    message.type === 'response.output_text.delta') {
+
+                    const textDelta = message.delta || message.text || '';
+                    currentResponseId = message.response_id || currentResponseId;
+                    currentItemId = message.item_id || currentItemId;
+
+                    // T2: First text delta from OpenAI
+                    if (textDelta && latencyMetrics.isFirstTextDelta) {
+                        latencyMetrics.t2FirstTextDelta = process.hrtime();
+                        latencyMetrics.isFirstTextDelta = false;
+                        console.log(`📝 [${sessionId}] T2: First text delta received`);
+                    }
+
+                    if (textDelta) {
+                        assistantTextBuffer += textDelta;
+                        console.log(`📝 [${sessionId}] Text delta: "${textDelta.substring(0, 30)}..."`);
+                        sendTextToElevenLabs(textDelta);
+                    }
+
+                    // Forward text to frontend (for display)
+                    if (clientWs.readyState === WebSocket.OPEN) {
+                        clientWs.send(JSON.stringify({
+                            type: 'response.text.delta',
+                            response_id: currentResponseId,
+                            delta: textDelta
+                        }));
+                    }
+                    return; // Don't forward raw OpenAI message
+                }
+
+                // Detect response completion to flush ElevenLabs
+                if (message.type === 'response.text.done' ||
+                    message.type === 'response.audio_transcript.done' ||
+                    message.type === 'response.output_text.done' ||
+                    message.type === 'response.done') {
+
+                    flushElevenLabs();
+                }
+
+                // Block OpenAI's native audio (we use ElevenLabs instead)
+                if (message.type === 'response.audio.delta' ||
+                    message.type === 'response.audio.done') {
+                    // Don't forward - we're using ElevenLabs audio
+                    return;
                 }
-                return; // Don't forward raw OpenAI message
-            }
 
-            // Detect response completion to flush ElevenLabs
-            if (message.type === 'response.text.done' ||
-                message.type === 'response.audio_transcript.done' ||
-                message.type === 'response.output_text.done' ||
-                message.type === 'response.done') {
+                // Forward all other messages to frontend
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(data.toString());
+                }
 
-                flushElevenLabs();
+            } catch (err) {
+                console.error(`❌ [${sessionId}] Failed to parse OpenAI message:`, err.message);
             }
+        });
 
-            // Block OpenAI's native audio (we use ElevenLabs instead)
-            if (message.type === 'response.audio.delta' ||
-                message.type === 'response.audio.done') {
-                // Don't forward - we're using ElevenLabs audio
+        openaiWs.on('error', (error) => {
+            if (clientWs.readyState === WebSocket.CLOSED) {
+                ticket.release(); // Dial abandoned because the client left - not an OpenAI failure
                 return;
             }
+            ticket.fail(error); // No-op if the socket opened or unexpected-response already counted it
+            diagLog('error', connId, 'OPENAI_SOCKET_ERROR', { message: error.message });
+            diagLog('warn', connId, 'AUTH_HINT', { hint: 'Check if OPENAI_API_KEY is valid and Secret Manager is bound' });
 
-            // Forward all other messages to frontend
             if (clientWs.readyState === WebSocket.OPEN) {
-                clientWs.send(data.toString());
+                clientWs.send(JSON.stringify({
+                    type: 'relay.error',
+                    error: { message: 'OpenAI connection error', details: error.message }
+                }));
             }
+        });
 
-        } catch (err) {
-            console.error(`❌ [${sessionId}] Failed to parse OpenAI message:`, err.message);
-        }
+        openaiWs.on('close', (code, reason) => {
+            openaiConnected = false;
+            const reasonStr = reason ? reason.toString() : 'none';
+            diagLog('info', connId, 'OPENAI_DISCONNECT', { code, reason: reasonStr });
+
+            if (clientWs.readyState === WebSocket.OPEN) {
+                clientWs.close(1000, 'OpenAI connection closed');
+            }
+        });
+    }
+
+    // ==================== SESSION LIFETIME ====================
+    // Half-open clients are reaped by the heartbeat; live but unused ones by the
+    // idle timeout. Streamed input audio alone is not activity - an open mic in
+    // an empty room would otherwise keep the paid sockets up forever.
+    const connectedAt = Date.now();
+    let lastActivityAt = connectedAt;
+    let idleWarned = false;
+    let idleTimer = null;
+
+    startHeartbeat(clientWs, {
+        onDead: () => diagLog('warn', connId, 'CLIENT_HEARTBEAT_TIMEOUT', { idle_ms: Date.now() - lastActivityAt })
     });
 
-    openaiWs.on('error', (error) => {
-        diagLog('error', connId, 'OPENAI_SOCKET_ERROR', { message: error.message });
-        diagLog('warn', connId, 'AUTH_HINT', { hint: 'Check if OPENAI_API_KEY is valid and Secret Manager is bound' });
+    /**
+     * Tell the client the session is about to close
+     * @param {string} reason - idle | max_duration
+     * @param {number} closesInMs - Time left
+     */
+    function warnSessionExpiring(reason, closesInMs) {
+        diagLog('info', connId, 'SESSION_EXPIRING', { reason, closes_in_ms: closesInMs });
+        sendToClient({ type: 'session.expiring', reason, closes_in_ms: closesInMs });
+    }
+
+    /**
+     * Close the client; the 'close' handler frees every upstream
+     * @param {string} reason - idle | max_duration
+     */
+    function expireSession(reason) {
+        diagLog('info', connId, 'SESSION_EXPIRED', { reason, duration_ms: Date.now() - connectedAt });
+        if (clientWs.readyState === WebSocket.OPEN) {
+            clientWs.close(SESSION_CLOSE_CODE, reason === 'idle' ? 'Idle timeout' : 'Maximum session length reached');
+        }
+    }
+
+    /**
+     * Conversation activity: pushes the idle deadline back
+     */
+    function touchActivity() {
+        lastActivityAt = Date.now();
+        idleWarned = false;
+    }
+
+    /**
+     * Runs at the idle warning point and at the deadline; activity in
+     * between just moves the next check later
+     */
+    function checkIdle() {
+        const remaining = RELAY_IDLE_TIMEOUT_MS - (Date.now() - lastActivityAt);
+        if (remaining <= 0) {
+            expireSession('idle');
+            return;
+        }
+        if (!idleWarned && remaining <= RELAY_SESSION_WARNING_MS) {
+            idleWarned = true;
+            warnSessionExpiring('idle', remaining);
+        }
+        idleTimer = setTimeout(checkIdle, idleWarned ? remaining : remaining - RELAY_SESSION_WARNING_MS);
+    }
+
+    checkIdle();
+    const maxSessionTimers = [
+        setTimeout(() => warnSessionExpiring('max_duration', Math.min(RELAY_SESSION_WARNING_MS, RELAY_MAX_SESSION_MS)),
+            Math.max(RELAY_MAX_SESSION_MS - RELAY_SESSION_WARNING_MS, 0)),
+        setTimeout(() => expireSession('max_duration'), RELAY_MAX_SESSION_MS)
+    ];
+
+    // ==================== AUTHENTICATION ====================
+
+    /**
+     * Reject the client before any upstream socket is opened
+     * @param {string} code - Machine-readable reason
+     * @param {string} message - Human-readable reason
+     */
+    function rejectClient(code, message) {
+        clearTimeout(authTimer);
+        diagLog('warn', connId, 'AUTH_REJECTED', { code });
+        if (clientWs.readyState === WebSocket.OPEN) {
+            clientWs.send(JSON.stringify({ type: 'auth.error', code, message }));
+            clientWs.close(AUTH_CLOSE_CODE, 'Unauthorized');
+        }
+    }
+
+    /**
+     * Open memory and OpenAI once the client may use paid upstreams
+     */
+    function startRelaySession() {
+        isAuthenticated = true;
+        clearTimeout(authTimer);
 
         if (clientWs.readyState === WebSocket.OPEN) {
             clientWs.send(JSON.stringify({
-                type: 'relay.error',
-                error: { message: 'OpenAI connection error', details: error.message }
+                type: 'auth.ok',
+                user_id: authUser ? String(authUser.userId) : null,
+                username: authUser?.username || null
             }));
         }
-    });
 
-    openaiWs.on('close', (code, reason) => {
-        openaiConnected = false;
-        const reasonStr = reason ? reason.toString() : 'none';
-        diagLog('info', connId, 'OPENAI_DISCONNECT', { code, reason: reasonStr });
+        preferencesReady = initUserPreferences();
+        memoryReady = enqueueMemory('MEMORY_INIT_ERROR', () => initMemory().catch(error => {
+            sendMemoryInit({ enabled: false, reason: 'error' });
+            throw error;
+        }));
+        connectToOpenAI();
+    }
 
-        if (clientWs.readyState === WebSocket.OPEN) {
-            clientWs.close(1000, 'OpenAI connection closed');
+    /**
+     * Verify a JWT and start the relay session
+     * @param {string} token - Raw JWT
+     * @param {string} via - Where the token came from (upgrade, capabilities)
+     */
+    function authenticate(token, via) {
+        try {
+            authUser = verifyAccessToken(token);
+        } catch (error) {
+            rejectClient('invalid_token', 'Invalid or expired token');
+            return;
         }
-    });
+
+        diagLog('info', connId, 'AUTH_OK', { via, username: authUser.username });
+        startRelaySession();
+    }
+
+    /**
+     * Handle client.capabilities - declares audio preferences and may carry the token
+     * @param {Object} message - { token?, wants_audio?, wants_text_only?, turn?: { mode?, vad? } }
+     */
+    function handleClientCapabilities(message) {
+        if (typeof message.wants_audio === 'boolean') {
+            clientCapabilities.wants_audio = message.wants_audio;
+        }
+        if (typeof message.wants_text_only === 'boolean') {
+            clientCapabilities.wants_text_only = message.wants_text_only;
+        }
+        if (message.turn !== undefined) {
+            applyTurnConfig(message.turn, 'capabilities'); // Invalid: keeps server_vad defaults
+        }
+        diagLog('debug', connId, 'CLIENT_CAPABILITIES', clientCapabilities);
+
+        if (isAuthenticated) return;
+
+        if (message.token) {
+            authenticate(message.token, 'capabilities');
+        } else if (RELAY_AUTH_REQUIRED) {
+            rejectClient('auth_required', 'client.capabilities must include a token');
+        } else {
+            startRelaySession();
+        }
+    }
+
+    /**
+     * Whether ElevenLabs synthesis is wanted for this client
+     * @returns {boolean}
+     */
+    function wantsAudio() {
+        return clientCapabilities.wants_audio !== false && !clientCapabilities.wants_text_only;
+    }
+
+    const upgradeToken = extractUpgradeToken(req);
+    if (upgradeToken) {
+        authenticate(upgradeToken, 'upgrade');
+    } else if (!RELAY_AUTH_REQUIRED) {
+        startRelaySession();
+    } else {
+        authTimer = setTimeout(() => {
+            rejectClient('auth_timeout', `No token received within ${RELAY_AUTH_TIMEOUT_MS}ms`);
+        }, RELAY_AUTH_TIMEOUT_MS);
+    }
 
     // ==================== Frontend Event Handlers ====================
 
     clientWs.on('message', (data) => {
         try {
             const message = JSON.parse(data.toString());
+            if (message.type !== 'input_audio_buffer.append') {
+                touchActivity();
+            }
+
+            if (message.type === 'client.capabilities') {
+                handleClientCapabilities(message);
+                return;
+            }
+
+            // Nothing reaches a paid upstream before authentication
+            if (!isAuthenticated) {
+                rejectClient('auth_required', 'First message must be client.capabilities with a token');
+                return;
+            }
 
             // ==================== TRANSCRIPTION MESSAGE ROUTING (Sprint 13.0) ====================
             // Handle audio.* messages for transcription - these don't require OpenAI session
@@ -902,19 +1937,39 @@ Operational Guidelines:
             // ====================================================================================
 
             // ==================== TTS STOP HANDLER (Sprint 14.0) ====================
-            // Handle tts.stop from client - best-effort cancellation
+            // Handle tts.stop from client - cancels the named response's speech
+            // (every response's, without response_id); the ElevenLabs socket stays up
             if (message.type === 'tts.stop') {
-                console.log(`🛑 [${sessionId}] Client requested TTS stop`);
-                // Close and reconnect ElevenLabs to stop current generation
-                if (elevenLabsWs && elevenLabsWs.readyState === WebSocket.OPEN) {
-                    elevenLabsWs.close();
-                    // Reconnect for next request
-                    setTimeout(() => connectToElevenLabs(), 100);
+                const responseId = message.response_id || null;
+                console.log(`🛑 [${sessionId}] Client requested TTS stop (${responseId || 'all'})`);
+                if (fallbackTts && (!responseId || fallbackTts.responseId === responseId)) {
+                    fallbackTts.controller.abort();
+                }
+                if (!responseId || responseId === currentResponseId) {
+                    speechNormalizer = null;
+                    heldSpeech = null;
+                }
+                if (responseId) {
+                    elevenLabsStream.cancel(responseId);
+                } else {
+                    elevenLabsStream.cancelAll();
+                }
+                if (!responseId || playback?.responseId === responseId) {
+                    playback = null;
                 }
                 return;
             }
             // ====================================================================================
 
+            // Turn mode switch: { mode?, vad? } - applied to the session once it exists
+            if (message.type === 'turn.config') {
+                if (applyTurnConfig(message, 'turn.config')) {
+                    sendTurnDetection();
+                    sendToClient({ type: 'turn.updated', mode: turnConfig.mode, vad: turnConfig.vad });
+                }
+                return;
+            }
+
             // Auth-First Guard: Block OpenAI relay until session is validated
             if (!isReady) {
                 diagLog('warn', connId, 'CLIENT_MESSAGE_BLOCKED', { reason: 'session_not_ready', type: message.type });
@@ -926,6 +1981,42 @@ Operational Guidelines:
                 return;
             }
 
+            if (message.type === 'turn.start' || message.type === 'turn.end' || message.type === 'turn.cancel') {
+                handleTurnMessage(message);
+                return;
+            }
+
+            // Typed user turns never produce an input_audio_transcription event
+            if (message.type === 'conversation.item.create' && message.item?.role === 'user') {
+                const typedText = (message.item.content || [])
+                    .filter(part => part.type === 'input_text')
+                    .map(part => part.text)
+                    .join('\n');
+                releaseHeldReply();
+                recordMessage('user', typedText, { source: 'text' });
+            }
+
+            // Turn detection is relay-owned (the relay sends response.create): a
+            // client turn_detection selects the turn mode instead of passing through
+            let rewritten = false;
+            if (message.type === 'session.update' && message.session && 'turn_detection' in message.session) {
+                applyTurnConfig(fromTurnDetection(message.session.turn_detection), 'session.update');
+                message.session.turn_detection = toTurnDetection(turnConfig);
+                rewritten = true;
+            }
+
+            // The persona is server-owned: client-supplied instructions are replaced
+            const instructionsHolder = { 'session.update': message.session, 'response.create': message.response }[message.type];
+            if (instructionsHolder?.instructions !== undefined) {
+                instructionsHolder.instructions = buildInstructions();
+                diagLog('debug', connId, 'CLIENT_INSTRUCTIONS_REPLACED', { type: message.type, persona: persona.name });
+                rewritten = true;
+            }
+            if (rewritten) {
+                openaiWs.send(JSON.stringify(message));
+                return;
+            }
+
             diagLog('debug', connId, 'CLIENT_MESSAGE_RELAY', { type: message.type || 'unknown' });
             openaiWs.send(data.toString());
         } catch (err) {
@@ -938,7 +2029,10 @@ Operational Guidelines:
 
     clientWs.on('close', (code, reason) => {
         const reasonStr = reason ? reason.toString() : 'none';
-        diagLog('info', connId, 'CLIENT_DISCONNECT', { code, reason: reasonStr });
+        diagLog('info', connId, 'CLIENT_DISCONNECT', { code, reason: reasonStr, duration_ms: Date.now() - connectedAt });
+        clearTimeout(authTimer);
+        clearTimeout(idleTimer);
+        maxSessionTimers.forEach(clearTimeout);
 
         // ==================== TRANSCRIPTION CLEANUP (Sprint 13.0) ====================
         // Always free transcription buffers on disconnect to prevent memory leaks
@@ -951,12 +2045,17 @@ Operational Guidelines:
         resetTranscriptionState();
         // ====================================================================================
 
-        if (openaiWs && openaiWs.readyState === WebSocket.OPEN) {
+        releaseHeldReply();
+        finalizeMemory();
+        clearResponseWatchdog();
+        fallbackTts?.controller.abort();
+
+        if (openaiWs?.readyState === WebSocket.OPEN) {
             openaiWs.close();
+        } else if (openaiWs?.readyState === WebSocket.CONNECTING) {
+            openaiWs.terminate(); // Still dialling: don't leave it to open unattended
         }
-        if (elevenLabsWs && elevenLabsWs.readyState === WebSocket.OPEN) {
-            elevenLabsWs.close();
-        }
+        elevenLabsStream.close();
     });
 
     clientWs.on('error', (error) => {
@@ -19,6 +19,8 @@ const crypto = require('crypto');
 const WS_URL = process.env.WS_URL || 'wss://v14-2-8-6---jarvis-relay-fyxv6qknma-uc.a.run.app';
 const ITERATIONS = parseInt(process.env.ITERATIONS || '10', 10);
 const RECONNECT_DELAY_MS = parseInt(process.env.RECONNECT_DELAY || '300', 10);
+// JWT from POST /api/auth/login - required unless the relay runs with RELAY_AUTH_REQUIRED=false
+const RELAY_TOKEN = process.env.RELAY_TOKEN || null;
 
 const testRunId = crypto.randomBytes(4).toString('hex');
 const TEST_USER_ID = `mem-test-${testRunId}`;
@@ -70,6 +72,7 @@ async function runSessionA(token) {
             // Send capabilities
             ws.send(JSON.stringify({
                 type: 'client.capabilities',
+                token: RELAY_TOKEN,
                 wants_audio: false,
                 wants_text_only: true
             }));
@@ -111,6 +114,7 @@ async function runSessionB() {
         ws.on('open', () => {
             ws.send(JSON.stringify({
                 type: 'client.capabilities',
+                token: RELAY_TOKEN,
                 wants_audio: false,
                 wants_text_only: true
             }));
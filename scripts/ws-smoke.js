@@ -22,7 +22,8 @@ function parseArgs() {
     const config = {
         url: 'ws://localhost:8081',
         n: 10,
-        timeout: 10000
+        timeout: 10000,
+        token: process.env.RELAY_TOKEN || null
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -35,6 +36,9 @@ function parseArgs() {
         } else if (args[i] === '--timeout' && args[i + 1]) {
             config.timeout = parseInt(args[i + 1], 10);
             i++;
+        } else if (args[i] === '--token' && args[i + 1]) {
+            config.token = args[i + 1];
+            i++;
         } else if (args[i] === '--help' || args[i] === '-h') {
             console.log(`
 WebSocket Smoke Test Harness for jarvis-relay
@@ -46,6 +50,7 @@ Options:
   --url <WSS_URL>     WebSocket URL to test (default: ws://localhost:8081)
   --n <count>         Number of concurrent connections (default: 10)
   --timeout <ms>      Timeout per connection in ms (default: 10000)
+  --token <JWT>       Relay auth token (default: RELAY_TOKEN env var)
   --help, -h          Show this help message
 
 Examples:
@@ -70,7 +75,7 @@ const FailureCategory = {
 };
 
 // ==================== CONNECTION TEST ====================
-function testConnection(url, timeout, connectionIndex) {
+function testConnection(url, timeout, connectionIndex, token) {
     return new Promise((resolve) => {
         const startTime = Date.now();
         let connId = 'unknown';
@@ -120,7 +125,9 @@ function testConnection(url, timeout, connectionIndex) {
         }, timeout);
 
         try {
-            ws = new WebSocket(url);
+            ws = token
+                ? new WebSocket(url, ['jarvis.v1', `bearer.${token}`])
+                : new WebSocket(url);
 
             ws.on('open', () => {
                 // Connection opened, waiting for handshake events
@@ -232,7 +239,7 @@ async function main() {
     // Launch all connections concurrently
     const promises = [];
     for (let i = 0; i < config.n; i++) {
-        promises.push(testConnection(config.url, config.timeout, i + 1));
+        promises.push(testConnection(config.url, config.timeout, i + 1, config.token));
     }
 
     // Wait for all to complete
@@ -1,12 +1,27 @@
 require('dotenv').config();
 const express = require('express');
-const fetch = require('node-fetch');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { User, Conversation } = require('./models');
+const { User, Conversation, ConversationArchive, Persona } = require('./models');
+const storage = require('./storage');
+const { validateMemoryPatch } = require('./storage/context');
+const { scheduleCompaction, scheduleSummaryFold } = require('./storage/compaction');
+const { forgetConversations } = require('./storage/mongo');
+const { Readable, pipeline } = require('stream');
+const { createSentenceChunker } = require('./tts/chunker');
+const llm = require('./llm');
+const { buildContextWindow, buildSystemInstruction, estimateTokens, CHAT_CONTEXT_MAX_MESSAGES } = require('./llm/context');
+const tts = require('./tts');
+const { validateVoiceSettingsPatch, serializeVoiceSettings, toSynthesisOptions, loadUserVoiceSettings } = require('./tts/voiceSettings');
+const { getVoiceCatalogue } = require('./tts/voices');
+const { validateLexicon, serializeLexicon, MAX_LEXICON_ENTRIES } = require('./tts/lexicon');
+const { normalizeForSpeech, createSpeechNormalizer } = require('./tts/normalize');
+const { synthesizeLong } = require('./tts/stitcher');
+const ttsCache = require('./tts/cache');
+const personas = require('./personas');
+const { getBreakerStates } = require('./breaker');
 
 // Environment configuration
 const isProduction = process.env.NODE_ENV === 'production';
@@ -14,23 +29,22 @@ const isProduction = process.env.NODE_ENV === 'production';
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-// Voice ID for ElevenLabs TTS (Custom Jarvis Voice)
-const VOICE_ID = '5b8aKJE8sNdJ9UbP8jBp'; // J.A.R.V.I.S. voice
-
 // Global variable to store the temp user's ObjectId
 global.tempUserId = null;
 
-// Initialize Gemini client and model globally
-const geminiApiKey = process.env.GEMINI_API_KEY?.trim();
-let genAI = null;
-let model = null;
+// Shared memory store (storage/) - the relay writes spoken turns to the same backend.
+// Null (memory disabled) when no backend is configured
+const memoryStore = storage.getStore();
+if (!memoryStore) {
+    console.warn('⚠️  No memory store configured (set DATABASE_URL, MONGODB_URI or MEMORY_STORE) - memory disabled');
+}
 
-if (geminiApiKey) {
-    genAI = new GoogleGenerativeAI(geminiApiKey);
-    model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    console.log('✅ Gemini AI client initialized with gemini-2.5-flash model');
+// LLM provider chain (llm/) - primary provider first, then fallbacks
+const llmStatus = llm.getStatus();
+if (llmStatus.available) {
+    console.log(`✅ LLM provider chain: ${llmStatus.chain.join(' → ')}`);
 } else {
-    console.warn('⚠️  GEMINI_API_KEY not set - /chat endpoint will not work');
+    console.warn('⚠️  No LLM provider configured (GEMINI_API_KEY, OPENAI_API_KEY or LLM_PROVIDER=mock) - /chat endpoint will not work');
 }
 
 // MongoDB Connection with graceful error handling
@@ -139,8 +153,10 @@ const corsOptions = {
         return callback(new Error('CORS policy violation'));
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    // Response metadata the frontend reads from /chat and /api/voice-chat audio responses
+    exposedHeaders: ['X-Gemini-Response', 'X-Conversation-Id', 'X-LLM-Provider', 'X-LLM-Usage', 'X-TTS-Provider', 'X-TTS-Failover', 'X-TTS-Cache', 'X-Transcript', 'X-STT-Provider', 'X-STT-Failover']
 };
 
 app.use(cors(corsOptions));
@@ -215,21 +231,8 @@ const chatLimiter = rateLimit({
     }
 });
 
-// JWT Configuration
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET?.trim() || 'jarvis-dev-secret-change-in-production';
-const JWT_EXPIRES_IN = '24h';
-
-/**
- * Generate JWT token for a user
- */
-function generateToken(user) {
-    return jwt.sign(
-        { userId: user._id, username: user.username },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-    );
-}
+// JWT Configuration (shared with relay-server.js)
+const { generateToken, verifyAccessToken } = require('./auth/jwt');
 
 /**
  * Middleware to verify JWT token and extract user
@@ -246,7 +249,7 @@ function verifyToken(req, res, next) {
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = verifyAccessToken(token);
         req.user = decoded;
         next();
     } catch (error) {
@@ -463,212 +466,1519 @@ app.get('/api/auth/me', verifyToken, async (req, res) => {
     }
 });
 
+// ==================== USER SETTINGS ENDPOINTS ====================
+// Per-user voice/TTS settings and pronunciation lexicon (User.settings) honoured by /chat and the relay
+
 /**
- * Helper function to build Gemini prompt with conversation context
+ * GET /api/users/me/settings
+ * Returns the caller's voice settings (unset fields are null = default)
  */
-function buildPromptWithContext(conversationHistory, userMessage) {
-    if (!conversationHistory || conversationHistory.length === 0) {
-        return userMessage;
+app.get('/api/users/me/settings', verifyToken, async (req, res) => {
+    if (!mongoConnected) {
+        return res.status(503).json(
+            createErrorResponse(503, 'Service Unavailable', 'Database is not connected')
+        );
     }
 
-    // Build context from recent messages
-    const contextMessages = conversationHistory.map(msg =>
-        `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`
-    ).join('\n');
+    try {
+        const user = await User.findById(req.user.userId).select('settings').lean();
+        if (!user) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'User not found')
+            );
+        }
 
-    return `Previous conversation context:\n${contextMessages}\n\nUser: ${userMessage}\n\nAssistant:`;
-}
+        res.json({ success: true, settings: serializeVoiceSettings(user.settings) });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to get settings', error.message)
+        );
+    }
+});
 
 /**
- * POST /chat
- * Accepts JSON body with { text: string }
- * 1. Retrieves conversation history for context
- * 2. Sends text with context to Gemini for conversational response
- * 3. Logs interaction to database
- * 4. Sends Gemini response to ElevenLabs TTS
- * 5. Streams audio back to client
+ * PATCH /api/users/me/settings
+ * Updates any of voice_id, model_id, stability, similarity_boost, style, speaking_rate (null resets)
  */
-app.post('/chat', verifyToken, chatLimiter, async (req, res) => {
+app.patch('/api/users/me/settings', verifyToken, async (req, res) => {
+    const { patch, error: validationError } = validateVoiceSettingsPatch(req.body);
+    if (validationError) {
+        return res.status(400).json(
+            createErrorResponse(400, 'Bad Request', validationError)
+        );
+    }
+
+    if (!mongoConnected) {
+        return res.status(503).json(
+            createErrorResponse(503, 'Service Unavailable', 'Database is not connected')
+        );
+    }
+
     try {
-        const { text } = req.body;
+        const update = Object.fromEntries(Object.entries(patch).map(([field, value]) => [`settings.${field}`, value]));
+        update['settings.updated_at'] = new Date();
 
-        // Validate input
-        if (!text || typeof text !== 'string' || text.trim().length === 0) {
-            return res.status(400).json(
-                createErrorResponse(400, 'Bad Request', 'Request body must contain a non-empty "text" field')
+        const user = await User.findByIdAndUpdate(
+            req.user.userId,
+            { $set: update },
+            { new: true, runValidators: true, projection: { settings: 1 } }
+        ).lean();
+
+        if (!user) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'User not found')
             );
         }
 
-        // Validate Gemini is configured
-        if (!model) {
-            return res.status(503).json(
-                createErrorResponse(503, 'Service Unavailable', 'Gemini AI is not properly configured')
+        console.log(`🎚️  Voice settings updated for user ${req.user.username}: ${Object.keys(patch).join(', ')}`);
+        res.json({ success: true, settings: serializeVoiceSettings(user.settings) });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to update settings', error.message)
+        );
+    }
+});
+
+/**
+ * GET /api/users/me/lexicon
+ * Returns the caller's pronunciation lexicon
+ */
+app.get('/api/users/me/lexicon', verifyToken, async (req, res) => {
+    if (!mongoConnected) {
+        return res.status(503).json(
+            createErrorResponse(503, 'Service Unavailable', 'Database is not connected')
+        );
+    }
+
+    try {
+        const user = await User.findById(req.user.userId).select('settings.lexicon').lean();
+        if (!user) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'User not found')
             );
         }
 
-        // Validate ElevenLabs API key
-        const elevenLabsApiKey = process.env.ELEVENLABS_API_KEY?.trim();
-        if (!elevenLabsApiKey) {
-            return res.status(503).json(
-                createErrorResponse(503, 'Service Unavailable', 'TTS service is not properly configured')
+        res.json({ success: true, lexicon: serializeLexicon(user.settings?.lexicon), max_entries: MAX_LEXICON_ENTRIES });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to get lexicon', error.message)
+        );
+    }
+});
+
+/**
+ * PUT /api/users/me/lexicon
+ * Replaces the caller's pronunciation lexicon: { lexicon: [{ term, say }] } ([] clears it)
+ */
+app.put('/api/users/me/lexicon', verifyToken, async (req, res) => {
+    const { lexicon, error: validationError } = validateLexicon(req.body?.lexicon);
+    if (validationError) {
+        return res.status(400).json(
+            createErrorResponse(400, 'Bad Request', validationError)
+        );
+    }
+
+    if (!mongoConnected) {
+        return res.status(503).json(
+            createErrorResponse(503, 'Service Unavailable', 'Database is not connected')
+        );
+    }
+
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.user.userId,
+            { $set: { 'settings.lexicon': lexicon, 'settings.updated_at': new Date() } },
+            { new: true, runValidators: true, projection: { 'settings.lexicon': 1 } }
+        ).lean();
+
+        if (!user) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'User not found')
             );
         }
 
-        const userMessage = text.trim();
-        console.log(`📨 Received chat request: "${userMessage.substring(0, 50)}${userMessage.length > 50 ? '...' : ''}"`);
+        console.log(`🗣️  Pronunciation lexicon updated for user ${req.user.username}: ${lexicon.length} entries`);
+        res.json({ success: true, lexicon: serializeLexicon(user.settings?.lexicon), max_entries: MAX_LEXICON_ENTRIES });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to update lexicon', error.message)
+        );
+    }
+});
 
-        // Step 1: Get conversation history for context (requires authenticated user)
-        let conversation = null;
-        let recentMessages = [];
-        const userId = req.user.userId;
+/**
+ * GET /api/voices?refresh=true
+ * ElevenLabs voice catalogue (cached - see tts/voices.js)
+ */
+app.get('/api/voices', verifyToken, async (req, res) => {
+    try {
+        const catalogue = await getVoiceCatalogue({ refresh: req.query.refresh === 'true' });
+        res.json({ success: true, ...catalogue });
+    } catch (error) {
+        const status = error.status === 503 ? 503 : 502;
+        res.status(status).json(
+            createErrorResponse(
+                status,
+                status === 503 ? 'Service Unavailable' : 'Bad Gateway',
+                status === 503 ? 'Voice catalogue is unavailable' : 'Failed to fetch voices from ElevenLabs',
+                error.message
+            )
+        );
+    }
+});
 
-        if (mongoConnected && userId) {
-            try {
-                conversation = await Conversation.findOrCreate(userId, 'voice');
-                recentMessages = conversation.getRecentMessages(4); // Get last 4 messages for context
-                console.log(`📚 Retrieved ${recentMessages.length} messages from history for user ${req.user.username}`);
-            } catch (dbError) {
-                console.warn('⚠️  Failed to retrieve conversation history:', dbError.message);
-                // Continue without memory
-            }
-        } else {
-            console.log('📝 Running without persistent memory');
+// ==================== PERSONA ENDPOINTS ====================
+// Built-in personas (personas/defaults.js) plus the caller's own (Persona model).
+// The selected persona drives /chat's system instruction and the relay's instructions.
+
+/**
+ * Middleware: require MongoDB and a valid :id param (when present)
+ */
+function requirePersonaStore(req, res, next) {
+    if (!mongoConnected) {
+        return res.status(503).json(
+            createErrorResponse(503, 'Service Unavailable', 'Database is not connected')
+        );
+    }
+
+    const { id } = req.params;
+    if (id && !personas.getBuiltinPersona(id) && !mongoose.isValidObjectId(id)) {
+        return res.status(400).json(
+            createErrorResponse(400, 'Bad Request', 'Persona must be an ID or a built-in persona')
+        );
+    }
+
+    next();
+}
+
+/**
+ * GET /api/personas
+ * Lists built-in personas and the caller's own, flagging the active one
+ */
+app.get('/api/personas', verifyToken, async (req, res) => {
+    try {
+        let activeId = personas.PERSONA_DEFAULT_ID;
+        let owned = [];
+
+        if (mongoConnected) {
+            const [active, stored] = await Promise.all([
+                personas.resolveActivePersona(req.user.userId),
+                Persona.findByUser(req.user.userId)
+            ]);
+            activeId = active._id ? String(active._id) : active.id;
+            owned = stored;
         }
 
-        // Step 2: Build prompt with context and call Gemini
-        console.log('🤖 Calling Gemini API...');
-        let responseText;
-        try {
-            const promptWithContext = buildPromptWithContext(recentMessages, userMessage);
-            const geminiResult = await model.generateContent(promptWithContext);
-            const geminiResponse = await geminiResult.response;
-            responseText = geminiResponse.text();
-
-            if (!responseText || responseText.trim().length === 0) {
-                console.error('Gemini returned empty response');
-                return res.status(502).json(
-                    createErrorResponse(502, 'Bad Gateway', 'Gemini returned an empty response')
-                );
-            }
-        } catch (geminiError) {
-            console.error('Gemini API error:', geminiError.message);
-            return res.status(502).json(
-                createErrorResponse(502, 'Bad Gateway', 'Failed to get response from Gemini AI', geminiError.message)
+        res.json({
+            success: true,
+            active_id: activeId,
+            personas: [...personas.BUILTIN_PERSONAS, ...owned].map(persona => personas.serializePersona(persona, activeId))
+        });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to list personas', error.message)
+        );
+    }
+});
+
+/**
+ * POST /api/personas
+ * Creates a persona: { name, instructions, voice_id?, verbosity? }
+ */
+app.post('/api/personas', verifyToken, requirePersonaStore, async (req, res) => {
+    const { persona: input, error: validationError } = personas.validatePersonaInput(req.body);
+    if (validationError) {
+        return res.status(400).json(
+            createErrorResponse(400, 'Bad Request', validationError)
+        );
+    }
+
+    try {
+        const count = await Persona.countDocuments({ user_id: req.user.userId });
+        if (count >= personas.MAX_PERSONAS_PER_USER) {
+            return res.status(409).json(
+                createErrorResponse(409, 'Conflict', `You can have at most ${personas.MAX_PERSONAS_PER_USER} personas`)
             );
         }
 
-        console.log(`💬 Gemini response: "${responseText.substring(0, 100)}${responseText.length > 100 ? '...' : ''}"`);
+        const persona = await Persona.create({ ...input, user_id: req.user.userId });
+        console.log(`🎭 Persona "${persona.name}" created for user ${req.user.username}`);
+        res.status(201).json({ success: true, persona: personas.serializePersona(persona.toObject()) });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to create persona', error.message)
+        );
+    }
+});
+
+/**
+ * PATCH /api/personas/:id
+ * Updates any of name, instructions, voice_id, verbosity (own personas only)
+ */
+app.patch('/api/personas/:id', verifyToken, requirePersonaStore, async (req, res) => {
+    if (personas.getBuiltinPersona(req.params.id)) {
+        return res.status(403).json(
+            createErrorResponse(403, 'Forbidden', 'Built-in personas cannot be modified')
+        );
+    }
 
-        // Step 3: Log interaction to database (if connected and conversation exists)
-        if (mongoConnected && conversation) {
-            try {
-                conversation.addMessage('user', userMessage);
-                conversation.addMessage('assistant', responseText);
-                await conversation.save();
-                console.log('💾 Conversation saved to database');
-            } catch (dbError) {
-                console.warn('⚠️  Failed to save conversation:', dbError.message);
-                // Continue - don't fail the request due to DB issues
-            }
+    const { persona: patch, error: validationError } = personas.validatePersonaInput(req.body, { partial: true });
+    if (validationError) {
+        return res.status(400).json(
+            createErrorResponse(400, 'Bad Request', validationError)
+        );
+    }
+
+    try {
+        const persona = await Persona.findOneAndUpdate(
+            { _id: req.params.id, user_id: req.user.userId },
+            { $set: { ...patch, updated_at: new Date() } },
+            { new: true, runValidators: true }
+        ).lean();
+
+        if (!persona) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'Persona not found')
+            );
         }
 
-        // Step 4: Send Gemini response to ElevenLabs TTS with Circuit Breaker
-        console.log('DEBUG: Initiating ElevenLabs TTS call...');
-        const elevenLabsUrl = `https://api.elevenlabs.io/v1/text-to-speech/${VOICE_ID}`;
+        console.log(`✏️  Persona "${persona.name}" updated for user ${req.user.username}`);
+        res.json({ success: true, persona: personas.serializePersona(persona) });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to update persona', error.message)
+        );
+    }
+});
 
-        try {
-            // Create a timeout promise (25 seconds)
-            const timeoutPromise = new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('ElevenLabs API timeout')), 25000)
-            );
-
-            // Fetch promise
-            const fetchPromise = fetch(elevenLabsUrl, {
-                method: 'POST',
-                headers: {
-                    'Accept': 'audio/mpeg',
-                    'Content-Type': 'application/json',
-                    'xi-api-key': elevenLabsApiKey
-                },
-                body: JSON.stringify({
-                    text: responseText,
-                    model_id: 'eleven_monolingual_v1',
-                    voice_settings: {
-                        stability: 0.5,
-                        similarity_boost: 0.5
-                    }
-                })
-            });
+/**
+ * DELETE /api/personas/:id
+ * Deletes one of the caller's personas; if it was active, the default takes over
+ */
+app.delete('/api/personas/:id', verifyToken, requirePersonaStore, async (req, res) => {
+    if (personas.getBuiltinPersona(req.params.id)) {
+        return res.status(403).json(
+            createErrorResponse(403, 'Forbidden', 'Built-in personas cannot be deleted')
+        );
+    }
 
-            // Race against timeout
-            const ttsResponse = await Promise.race([fetchPromise, timeoutPromise]);
+    try {
+        const persona = await Persona.findOneAndDelete({ _id: req.params.id, user_id: req.user.userId });
+        if (!persona) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'Persona not found')
+            );
+        }
 
-            // Handle ElevenLabs API errors
-            if (!ttsResponse.ok) {
-                const errorText = await ttsResponse.text();
-                throw new Error(`ElevenLabs API returned status ${ttsResponse.status}: ${errorText}`);
-            }
+        await User.updateOne({ _id: req.user.userId, persona_id: req.params.id }, { $set: { persona_id: null } });
+        console.log(`🗑️  Persona "${persona.name}" deleted for user ${req.user.username}`);
+        res.json({ success: true, deleted: req.params.id });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to delete persona', error.message)
+        );
+    }
+});
 
-            // Step 5: Stream the audio response directly to client
-            console.log('🔊 Streaming audio response...');
-            res.set({
-                'Content-Type': 'audio/mpeg',
-                'Transfer-Encoding': 'chunked',
-                'Cache-Control': 'no-cache',
-                'X-Gemini-Response': Buffer.from(responseText.substring(0, 200)).toString('base64')
-            });
+/**
+ * POST /api/personas/:id/select
+ * Makes a persona the caller's active persona (for /chat and new relay sessions)
+ */
+app.post('/api/personas/:id/select', verifyToken, requirePersonaStore, async (req, res) => {
+    try {
+        const persona = await personas.findPersona(req.user.userId, req.params.id);
+        if (!persona) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'Persona not found')
+            );
+        }
+
+        await User.updateOne({ _id: req.user.userId }, { $set: { persona_id: req.params.id } });
+        console.log(`🎭 User ${req.user.username} selected persona "${persona.name}"`);
+        res.json({ success: true, persona: personas.serializePersona(persona, req.params.id) });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to select persona', error.message)
+        );
+    }
+});
 
-            ttsResponse.body.pipe(res);
+// ==================== CONVERSATION ENDPOINTS ====================
+// Named conversation threads (Mongo). A :ref is a conversation ID, or a type
+// (text|voice) meaning that type's default thread.
 
-        } catch (voiceError) {
-            console.error('❌ Voice Synthesis Failed (Circuit Breaker):', voiceError.message);
+const CONVERSATION_TYPES = ['text', 'voice'];
 
-            // Text-Only Fallback
-            console.log('📝 Returning Text-Only fallback...');
+/**
+ * Middleware: require MongoDB and a valid :ref param (when present)
+ */
+function requireConversationStore(req, res, next) {
+    if (!mongoConnected) {
+        return res.status(503).json(
+            createErrorResponse(503, 'Service Unavailable', 'Database is not connected')
+        );
+    }
 
-            // Return 200 OK but with JSON body (client handles mixed content types?)
-            // Or better, standard JSON success with a flag as requested.
-            res.status(200).json({
-                text: responseText,
-                audioFailed: true,
-                error: voiceError.message
-            });
-        }
+    const { ref } = req.params;
+    if (ref && !CONVERSATION_TYPES.includes(ref) && !mongoose.isValidObjectId(ref)) {
+        return res.status(400).json(
+            createErrorResponse(400, 'Bad Request', `Conversation must be an ID or one of: ${CONVERSATION_TYPES.join(', ')}`)
+        );
+    }
+
+    next();
+}
+
+/**
+ * Validate a thread title from a request body
+ * @returns {{title: string|null, error: string|null}}
+ */
+function validateThreadTitle(title) {
+    if (typeof title !== 'string' || title.trim().length === 0) {
+        return { title: null, error: '"title" must be a non-empty string' };
+    }
+    if (title.trim().length > 100) {
+        return { title: null, error: '"title" cannot exceed 100 characters' };
+    }
+    return { title: title.trim(), error: null };
+}
+
+/**
+ * Public view of a conversation thread (without full history)
+ * @param {Object} conversation - Conversation document
+ * @param {boolean} isDefault - Whether this is its type's default thread
+ */
+function serializeThread(conversation, isDefault = false) {
+    const history = conversation.history || [];
+    return {
+        id: conversation._id,
+        type: conversation.type,
+        title: conversation.title,
+        archived: conversation.archived,
+        is_default: isDefault,
+        message_count: history.length,
+        archived_message_count: conversation.archived_message_count || 0,
+        last_message: history.length > 0 ? history[history.length - 1] : null,
+        created_at: conversation.created_at,
+        updated_at: conversation.updated_at
+    };
+}
+
+/**
+ * GET /api/conversations?archived=true
+ * Lists the caller's threads, most recently active first (archived ones only on request)
+ */
+app.get('/api/conversations', verifyToken, requireConversationStore, async (req, res) => {
+    try {
+        const [conversations, ...defaultIds] = await Promise.all([
+            Conversation.findByUser(req.user.userId, { includeArchived: req.query.archived === 'true' }),
+            ...CONVERSATION_TYPES.map(type => Conversation.findByRef(req.user.userId, type, { lean: true, select: '_id' })
+                .then(c => c && String(c._id)))
+        ]);
 
+        res.json({
+            success: true,
+            conversations: conversations.map(c => serializeThread(c, defaultIds.includes(String(c._id))))
+        });
     } catch (error) {
-        // Catch-all for any unexpected errors
-        console.error('❌ Unexpected error in /chat:', error);
         res.status(500).json(
-            createErrorResponse(500, 'Internal Server Error', 'An unexpected error occurred', error.message)
+            createErrorResponse(500, 'Internal Server Error', 'Failed to list conversations', error.message)
         );
     }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        services: {
-            gemini: !!model,
-            elevenlabs: !!process.env.ELEVENLABS_API_KEY,
-            mongodb: mongoConnected,
-            tempUser: !!global.tempUserId
-        }
-    });
+/**
+ * POST /api/conversations
+ * Creates a new thread: { title }
+ */
+app.post('/api/conversations', verifyToken, requireConversationStore, async (req, res) => {
+    const { title, error: validationError } = validateThreadTitle(req.body?.title);
+    if (validationError) {
+        return res.status(400).json(
+            createErrorResponse(400, 'Bad Request', validationError)
+        );
+    }
+
+    try {
+        const conversation = await Conversation.create({
+            user_id: req.user.userId,
+            type: 'text',
+            title,
+            history: []
+        });
+
+        console.log(`🧵 Thread created for user ${req.user.username}: "${title}"`);
+        res.status(201).json({ success: true, conversation: serializeThread(conversation) });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to create conversation', error.message)
+        );
+    }
 });
 
+/**
+ * PATCH /api/conversations/:ref
+ * Renames and/or archives a thread: { title?, archived? }
+ */
+app.patch('/api/conversations/:ref', verifyToken, requireConversationStore, async (req, res) => {
+    const { title, archived } = req.body || {};
+    const update = {};
 
-// Initialize and start server
-async function startServer() {
-    // Step 1: Connect to MongoDB (non-blocking - server starts even if DB fails)
-    const dbConnected = await connectToMongoDB();
+    if (title !== undefined) {
+        const result = validateThreadTitle(title);
+        if (result.error) {
+            return res.status(400).json(
+                createErrorResponse(400, 'Bad Request', result.error)
+            );
+        }
+        update.title = result.title;
+    }
+    if (archived !== undefined) {
+        if (typeof archived !== 'boolean') {
+            return res.status(400).json(
+                createErrorResponse(400, 'Bad Request', '"archived" must be a boolean')
+            );
+        }
+        update.archived = archived;
+    }
+    if (Object.keys(update).length === 0) {
+        return res.status(400).json(
+            createErrorResponse(400, 'Bad Request', 'Provide "title" and/or "archived"')
+        );
+    }
+
+    try {
+        const conversation = await Conversation.findByRef(req.user.userId, req.params.ref);
+        if (!conversation) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'Conversation not found')
+            );
+        }
+
+        const defaultThread = await Conversation.findByRef(req.user.userId, conversation.type, { lean: true, select: '_id' });
+        const isDefault = Boolean(defaultThread) && String(defaultThread._id) === String(conversation._id);
+        if (isDefault && update.archived) {
+            return res.status(400).json(
+                createErrorResponse(400, 'Bad Request', 'The default thread cannot be archived')
+            );
+        }
+
+        Object.assign(conversation, update);
+        await conversation.save();
+
+        res.json({ success: true, conversation: serializeThread(conversation, isDefault) });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to update conversation', error.message)
+        );
+    }
+});
+
+/**
+ * GET /api/conversations/:ref/messages?limit=50&cursor=<next_cursor>
+ * Pages backwards through history; each page is oldest-first
+ */
+app.get('/api/conversations/:ref/messages', verifyToken, requireConversationStore, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    try {
+        const page = await Conversation.getHistoryPage(req.user.userId, req.params.ref, {
+            limit,
+            cursor: req.query.cursor || null
+        });
+
+        res.json({
+            success: true,
+            conversation: req.params.ref,
+            ...(page || { messages: [], next_cursor: null, total: 0 })
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json(
+                createErrorResponse(400, 'Bad Request', error.message)
+            );
+        }
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to get messages', error.message)
+        );
+    }
+});
+
+/**
+ * DELETE /api/conversations/:ref
+ * Clears the thread's history (the thread itself is kept)
+ */
+app.delete('/api/conversations/:ref', verifyToken, requireConversationStore, async (req, res) => {
+    try {
+        const conversation = await Conversation.findByRef(req.user.userId, req.params.ref);
+        if (!conversation) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'Conversation not found')
+            );
+        }
+
+        const cleared = conversation.history.length + (conversation.archived_message_count || 0);
+        conversation.clearHistory();
+        await conversation.save();
+        await ConversationArchive.deleteMany({ conversation_id: conversation._id });
+
+        console.log(`🧹 Cleared ${cleared} messages from "${conversation.title}" for user ${req.user.username}`);
+        res.json({ success: true, conversation: serializeThread(conversation), cleared });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to clear conversation', error.message)
+        );
+    }
+});
+
+// ==================== MEMORY ENDPOINTS ====================
+// What J.A.R.V.I.S. remembers about the caller: sessions, transcripts,
+// long-term memory, and "forget me". Scoped to the authenticated user.
+
+/**
+ * Middleware: require a ready memory store and resolve the caller's memory user id
+ */
+async function requireMemoryStore(req, res, next) {
+    if (!memoryStore?.isReady()) {
+        return res.status(503).json(
+            createErrorResponse(503, 'Service Unavailable', memoryStore ? `Memory store (${memoryStore.name}) is not available` : 'No memory store is configured')
+        );
+    }
+
+    try {
+        req.memoryUserId = await memoryStore.resolveUser(req.user.userId);
+        next();
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to resolve memory user', error.message)
+        );
+    }
+}
+
+/**
+ * GET /api/memory/sessions?limit=20&offset=0
+ * Lists the caller's sessions (newest first) with their summaries
+ */
+app.get('/api/memory/sessions', verifyToken, requireMemoryStore, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    try {
+        const sessions = await memoryStore.listSessions(req.memoryUserId, { limit, offset });
+        res.json({ success: true, sessions, limit, offset });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to list sessions', error.message)
+        );
+    }
+});
+
+/**
+ * GET /api/memory/sessions/:sessionId/transcript
+ * Returns the session transcript as JSONL (application/x-ndjson)
+ */
+app.get('/api/memory/sessions/:sessionId/transcript', verifyToken, requireMemoryStore, async (req, res) => {
+    try {
+        const session = await memoryStore.getSession(req.memoryUserId, req.params.sessionId);
+        if (!session) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'Session not found')
+            );
+        }
+
+        const jsonl = await memoryStore.exportSessionAsJSONL(session.id);
+        res.set({
+            'Content-Type': 'application/x-ndjson',
+            'Content-Disposition': `inline; filename="${session.id}.jsonl"`
+        });
+        res.send(jsonl ? `${jsonl}\n` : '');
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to export session', error.message)
+        );
+    }
+});
+
+/**
+ * DELETE /api/memory/sessions/:sessionId
+ * Deletes one session and its messages
+ */
+app.delete('/api/memory/sessions/:sessionId', verifyToken, requireMemoryStore, async (req, res) => {
+    try {
+        const deleted = await memoryStore.deleteSession(req.memoryUserId, req.params.sessionId);
+        if (!deleted) {
+            return res.status(404).json(
+                createErrorResponse(404, 'Not Found', 'Session not found')
+            );
+        }
+
+        console.log(`🗑️  Session deleted for user ${req.user.username}`);
+        res.json({ success: true, deleted: req.params.sessionId });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to delete session', error.message)
+        );
+    }
+});
+
+/**
+ * GET /api/memory
+ * Returns the caller's long-term memory
+ */
+app.get('/api/memory', verifyToken, requireMemoryStore, async (req, res) => {
+    try {
+        const memory = await memoryStore.getUserMemory(req.memoryUserId);
+        res.json({ success: true, memory });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to get memory', error.message)
+        );
+    }
+});
+
+/**
+ * PATCH /api/memory
+ * Replaces any of key_points, open_loops, preferences, entities
+ */
+app.patch('/api/memory', verifyToken, requireMemoryStore, async (req, res) => {
+    const { patch, error: validationError } = validateMemoryPatch(req.body);
+    if (validationError) {
+        return res.status(400).json(
+            createErrorResponse(400, 'Bad Request', validationError)
+        );
+    }
+
+    try {
+        const memory = await memoryStore.updateUserMemory(req.memoryUserId, patch);
+        console.log(`✏️  Memory updated for user ${req.user.username}: ${Object.keys(patch).join(', ')}`);
+        res.json({ success: true, memory });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to update memory', error.message)
+        );
+    }
+});
+
+/**
+ * DELETE /api/memory?confirm=true
+ * "Forget me": deletes every session, message, conversation thread and
+ * long-term memory entry for the caller
+ */
+app.delete('/api/memory', verifyToken, requireMemoryStore, async (req, res) => {
+    if (req.query.confirm !== 'true') {
+        return res.status(400).json(
+            createErrorResponse(400, 'Bad Request', 'Add ?confirm=true to permanently delete all stored memory')
+        );
+    }
+
+    try {
+        const deleted = await memoryStore.forgetUser(req.memoryUserId);
+        if (!memoryStore.storesConversationHistory && mongoConnected) {
+            const threads = await forgetConversations(req.user.userId);
+            deleted.conversations = threads.conversations;
+            deleted.messages += threads.messages;
+        }
+        console.log(`🗑️  Forgot user ${req.user.username}: ${deleted.sessions} sessions, ${deleted.messages} messages`);
+        res.json({ success: true, deleted });
+    } catch (error) {
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'Failed to delete memory', error.message)
+        );
+    }
+});
+
+/**
+ * Log LLM provider errors and failovers from the orchestrator
+ * @param {string} event - Orchestrator event name
+ * @param {Object} data - Event data
+ */
+function logLLMEvent(event, data) {
+    if (event === 'LLM_PROVIDER_ERROR') {
+        console.warn(`⚠️  LLM ${data.provider}:${data.model} failed (${data.reason || data.status || 'error'}): ${data.message}`);
+    } else if (event === 'LLM_FAILOVER_TRIGGERED') {
+        console.warn(`🔀 LLM failover ${data.from} → ${data.to}`);
+    }
+}
+
+/**
+ * Log TTS provider errors, failovers, cache hits and chunk retries from the
+ * orchestrator, cache and stitcher
+ * @param {string} event - Orchestrator event name
+ * @param {Object} data - Event data
+ */
+function logTTSEvent(event, data) {
+    if (event === 'TTS_PROVIDER_ERROR') {
+        console.warn(`⚠️  TTS ${data.provider} failed (${data.reason}): ${data.message}`);
+    } else if (event === 'TTS_FAILOVER_TRIGGERED') {
+        console.warn(`🔀 TTS failover ${data.from} → ${data.to} (${data.reason})`);
+    } else if (event === 'TTS_CACHE_HIT') {
+        console.log(`⚡ TTS cache hit (${data.provider}, ${data.bytes} bytes)`);
+    } else if (event === 'TTS_CACHE_ERROR') {
+        console.warn(`⚠️  TTS cache ${data.op} failed (${data.backend}): ${data.message}`);
+    } else if (event === 'TTS_CHUNKED') {
+        console.log(`✂️  Long response split into ${data.chunks} TTS chunks, ${data.cached} cached (${data.chars} chars)`);
+    } else if (event === 'TTS_CHUNK_RETRY') {
+        console.warn(`🔁 TTS chunk ${data.chunk} retry ${data.attempt}: ${data.message}`);
+    } else if (event === 'TTS_CHUNK_FAILED') {
+        console.error(`❌ TTS chunk ${data.chunk} skipped after ${data.attempts} attempt(s): ${data.message}`);
+    }
+}
+
+/**
+ * The caller's active persona (the default one if it cannot be loaded)
+ * @param {string} userId - JWT userId
+ * @returns {Promise<Object>}
+ */
+async function loadPersona(userId) {
+    try {
+        return await personas.resolveActivePersona(userId);
+    } catch (dbError) {
+        console.warn('⚠️  Failed to load persona:', dbError.message);
+        return personas.getDefaultPersona();
+    }
+}
+
+/**
+ * The caller's saved voice settings as tts.synthesize options ({} = defaults)
+ * and their pronunciation lexicon
+ * @param {string} userId - JWT userId
+ * @param {Object} persona - Active persona; its voice applies when the user has not picked one
+ * @returns {Promise<{voiceOptions: Object, lexicon: Array}>}
+ */
+async function loadSpeechOptions(userId, persona) {
+    const defaultVoiceId = persona.voice_id;
+    try {
+        const settings = await loadUserVoiceSettings(userId);
+        return { voiceOptions: toSynthesisOptions(settings, { defaultVoiceId }), lexicon: settings?.lexicon || [] };
+    } catch (dbError) {
+        console.warn('⚠️  Failed to load voice settings:', dbError.message);
+        return { voiceOptions: toSynthesisOptions(null, { defaultVoiceId }), lexicon: [] };
+    }
+}
+
+// ==================== CHAT PIPELINE ====================
+
+/**
+ * Resolve the thread, memory session and LLM context for a /chat or /api/voice-chat turn
+ *
+ * The LLM gets multi-turn history (llm/context.js): the newest turns that fit
+ * CHAT_CONTEXT_TOKEN_BUDGET, with the thread's rolling summary standing in for
+ * everything older. Turns that no longer fit are returned as overflow and
+ * folded into that summary once the turn is saved.
+ * @param {Object} req - Express request (authenticated)
+ * @param {string|null} conversationId - Requested thread, or null for the default thread
+ * @param {string} userMessage - The new user message
+ * @param {Object} [options] - { channel: 'text' | 'voice' } how the message arrived (recorded with the turn)
+ * @returns {Promise<{threadId: ObjectId|null, chatSessionId: string|null, channel: string, persona: Object,
+ *   voiceOptions: Object, lexicon: Array, systemInstruction: string, history: Array, overflow: Array,
+ *   contextInfo: Object}>}
+ * @throws {Error} with status + errorType for 404/409/503 responses
+ */
+async function prepareChatContext(req, conversationId, userMessage, { channel = 'text' } = {}) {
+    let chatSessionId = null;
+    let recentMessages = [];
+    let threadId = null;
+    let summary = null;          // Thread rolling summary
+    let summarizedUntil = null;  // Messages up to here are covered by the summary
+    const userId = req.user.userId;
+
+    const fail = (status, errorType, message) => {
+        const error = new Error(message);
+        error.status = status;
+        error.errorType = errorType;
+        return error;
+    };
+
+    // Resolve the conversation thread (requested, else the user's default thread)
+    if (conversationId) {
+        if (!mongoConnected) {
+            throw fail(503, 'Service Unavailable', 'Conversation threads require the database');
+        }
+
+        const thread = await Conversation.findOne(
+            { _id: conversationId, user_id: userId },
+            { history: { $slice: -CHAT_CONTEXT_MAX_MESSAGES } }
+        ).lean();
+
+        if (!thread) {
+            throw fail(404, 'Not Found', 'Conversation not found');
+        }
+        if (thread.archived) {
+            throw fail(409, 'Conflict', 'Conversation is archived - unarchive it to continue');
+        }
+
+        threadId = thread._id;
+        recentMessages = thread.history; // Thread-scoped context
+        summary = thread.rolling_summary;
+        summarizedUntil = thread.summarized_until;
+    } else if (mongoConnected) {
+        try {
+            threadId = await Conversation.getDefaultId(userId, 'voice');
+            const summaryState = await Conversation.findById(threadId).select('rolling_summary summarized_until').lean();
+            summary = summaryState?.rolling_summary || null;
+            summarizedUntil = summaryState?.summarized_until || null;
+        } catch (dbError) {
+            console.warn('⚠️  Failed to resolve default conversation:', dbError.message);
+        }
+    }
+
+    // Open a memory session; the default thread also draws context from memory
+    if (memoryStore?.isReady() && userId) {
+        try {
+            const memoryUserId = await memoryStore.resolveUser(userId);
+            chatSessionId = await memoryStore.getOrStartSession(memoryUserId, 'text');
+            if (!conversationId) {
+                recentMessages = await memoryStore.getRecentMessages(memoryUserId, CHAT_CONTEXT_MAX_MESSAGES);
+            }
+            console.log(`📚 Retrieved ${recentMessages.length} messages of context for user ${req.user.username}`);
+        } catch (dbError) {
+            console.warn('⚠️  Failed to retrieve conversation history:', dbError.message);
+            // Continue without memory
+        }
+    } else {
+        console.log('📝 Running without persistent memory');
+    }
+
+    const persona = await loadPersona(userId);
+    const { voiceOptions, lexicon } = await loadSpeechOptions(userId, persona);
+
+    // The summary and the new message share the token budget with the history
+    const systemInstruction = buildSystemInstruction(personas.renderInstructions(persona), summary);
+    const { history, overflow, tokens } = buildContextWindow(recentMessages, {
+        summarizedUntil,
+        reservedTokens: estimateTokens(summary) + estimateTokens(userMessage)
+    });
+    const contextInfo = { messages: history.length, estimated_tokens: tokens, summarized: !!summary };
+
+    return { threadId, chatSessionId, channel, persona, voiceOptions, lexicon, systemInstruction, history, overflow, contextInfo };
+}
+
+/**
+ * Log a completed turn to the memory store (if a session is open) and the thread,
+ * then fold any context overflow into the thread's rolling summary.
+ * Failures are logged, never thrown - a DB issue must not fail the request.
+ * @param {Object} req - Express request (authenticated)
+ * @param {Object} context - Result of prepareChatContext
+ * @param {string} userMessage - User text
+ * @param {string} responseText - Assistant text
+ */
+async function saveChatTurn(req, context, userMessage, responseText) {
+    const { threadId, chatSessionId, channel, overflow } = context;
+    let savedToThread = false;
+
+    if (chatSessionId) {
+        try {
+            const metadata = { source: channel, ...(threadId && { conversation_id: String(threadId) }) };
+            await memoryStore.appendMessage(chatSessionId, 'user', userMessage, metadata);
+            await memoryStore.appendMessage(chatSessionId, 'assistant', responseText, metadata);
+            savedToThread = !!memoryStore.storesConversationHistory;
+            console.log(`💾 Conversation saved to ${memoryStore.name} store`);
+        } catch (dbError) {
+            console.warn('⚠️  Failed to save conversation:', dbError.message);
+        }
+    }
+
+    if (threadId && !savedToThread) {
+        try {
+            await Conversation.appendMessages(threadId, req.user.userId, [
+                { role: 'user', content: userMessage, channel },
+                { role: 'assistant', content: responseText, channel }
+            ]);
+            scheduleCompaction(threadId);
+        } catch (dbError) {
+            console.warn('⚠️  Failed to save conversation thread:', dbError.message);
+        }
+    }
+
+    if (threadId && overflow.length > 0) {
+        scheduleSummaryFold(threadId, overflow);
+    }
+}
+
+/**
+ * Whether the client asked for the streaming (SSE) variant of /chat
+ */
+function wantsChatStream(req) {
+    return req.body?.stream === true || (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Streaming /chat: Server-Sent Events over the LLM provider's token stream.
+ *
+ * Events (each `data:` is JSON):
+ * - meta:        { conversationId }
+ * - text:        { delta }                      - LLM text as it arrives
+ * - audio:       { seq, chunk }                 - base64 MP3, in playback order
+ * - audio_error: { message }                    - TTS failed; text continues
+ * - done:        { text, audioFailed, provider, model, usage, context, tts: { provider, failover, cache_hits | cache: 'off' } }
+ * - error:       { message }                    - LLM failed; stream ends
+ *
+ * Text is rewritten for speech as it streams (tts/normalize.js), then cut
+ * into sentence-sized chunks (tts/chunker.js) which are synthesised one after
+ * another, so audio starts after the first sentence. text events carry the
+ * response as written.
+ */
+async function streamChatResponse(req, res, { context, userMessage, llmSelection }) {
+    const controller = new AbortController();
+    let clientGone = false;
+
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            clientGone = true;
+            controller.abort();
+            console.log('🔌 Chat stream closed by client');
+        }
+    });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        if (!clientGone) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    sendEvent('meta', { conversationId: context.threadId });
+
+    // Sequential TTS queue - one sentence at a time keeps audio chunks in order
+    let audioFailed = false;
+    let audioSeq = 0;
+    let ttsChain = Promise.resolve();
+
+    let ttsInfo = null; // Provider that voiced the latest sentence
+    let cacheHits = 0;  // Sentences served from the audio cache (tts/cache/)
+
+    const speak = (sentence) => {
+        ttsChain = ttsChain.then(async () => {
+            if (audioFailed || clientGone) return;
+            try {
+                const speech = await ttsCache.synthesize(sentence, {
+                    ...context.voiceOptions,
+                    signal: controller.signal,
+                    logFn: logTTSEvent
+                });
+                ttsInfo = { provider: speech.provider, failover: !!speech.failover };
+                if (speech.cached) cacheHits++;
+
+                for await (const chunk of speech.stream) {
+                    sendEvent('audio', { seq: audioSeq++, chunk: chunk.toString('base64') });
+                }
+            } catch (voiceError) {
+                if (clientGone) return;
+                audioFailed = true;
+                console.error('❌ Streaming voice synthesis failed:', voiceError.message);
+                sendEvent('audio_error', { message: voiceError.message });
+            }
+        });
+    };
+
+    // Stream LLM text, releasing sentences to TTS as they complete
+    const normalizer = createSpeechNormalizer({ lexicon: context.lexicon });
+    const chunker = createSentenceChunker();
+    let llmResult;
+
+    try {
+        console.log('🤖 Calling LLM (streaming)...');
+        llmResult = await llm.generate(userMessage, {
+            ...llmSelection,
+            systemInstruction: context.systemInstruction,
+            history: context.history,
+            signal: controller.signal,
+            logFn: logLLMEvent,
+            onDelta: (delta) => {
+                sendEvent('text', { delta });
+                chunker.push(normalizer.push(delta)).forEach(speak);
+            }
+        });
+        chunker.push(normalizer.flush()).forEach(speak);
+        chunker.flush().forEach(speak);
+    } catch (llmError) {
+        if (clientGone) return;
+        console.error('LLM streaming error:', llmError.message);
+        sendEvent('error', { message: 'Failed to get a response from the language model' });
+        return res.end();
+    }
+
+    const responseText = llmResult.text;
+    console.log(`💬 ${llmResult.provider} response (streamed): "${responseText.substring(0, 100)}${responseText.length > 100 ? '...' : ''}"`);
+
+    // Persist while the remaining audio is still being synthesised
+    await Promise.all([
+        saveChatTurn(req, context, userMessage, responseText),
+        ttsChain
+    ]);
+
+    sendEvent('done', {
+        text: responseText,
+        audioFailed,
+        provider: llmResult.provider,
+        model: llmResult.model,
+        usage: llmResult.usage,
+        context: context.contextInfo,
+        tts: ttsInfo && { ...ttsInfo, ...(ttsCache.getStatus().ready ? { cache_hits: cacheHits } : { cache: 'off' }) }
+    });
+    res.end();
+}
+
+/**
+ * Non-streaming chat reply: the LLM answer, saved to memory and the thread,
+ * then voiced as one stitched audio stream (tts/stitcher.js).
+ *
+ * The audio is the response body with the text in X-* headers; with json: true
+ * the audio is buffered and returned base64-encoded alongside the text instead.
+ * If synthesis fails the reply falls back to JSON with audioFailed: true.
+ * @param {Object} req - Express request (authenticated)
+ * @param {Object} res - Express response
+ * @param {Object} turn - { context, userMessage, llmSelection, stt?, json? }
+ *   stt: transcription result when the user message came from audio (/api/voice-chat)
+ */
+async function sendChatReply(req, res, { context, userMessage, llmSelection, stt = null, json = false }) {
+    const { threadId, voiceOptions, lexicon } = context;
+
+    // Call the LLM chain with the multi-turn history
+    console.log(`🤖 Calling LLM (${context.contextInfo.messages} messages of history)...`);
+    let llmResult;
+    try {
+        llmResult = await llm.generate(userMessage, {
+            ...llmSelection,
+            systemInstruction: context.systemInstruction,
+            history: context.history,
+            logFn: logLLMEvent
+        });
+    } catch (llmError) {
+        console.error('LLM error:', llmError.message);
+        return res.status(502).json(
+            createErrorResponse(502, 'Bad Gateway', 'Failed to get a response from the language model', llmError.message)
+        );
+    }
+
+    const responseText = llmResult.text;
+    console.log(`💬 ${llmResult.provider} response: "${responseText.substring(0, 100)}${responseText.length > 100 ? '...' : ''}"`);
+
+    // Log interaction to the memory store and the thread
+    await saveChatTurn(req, context, userMessage, responseText);
+
+    const replyInfo = {
+        ...(stt && { transcript: userMessage, stt: { provider: stt.provider, failover: !!stt.failover } }),
+        text: responseText,
+        conversationId: threadId,
+        provider: llmResult.provider,
+        model: llmResult.model,
+        usage: llmResult.usage,
+        context: context.contextInfo
+    };
+
+    // Send the response to the TTS chain (tts/) in sentence-aware chunks,
+    // synthesised in parallel and stitched back in order (tts/stitcher.js)
+    try {
+        const spokenText = normalizeForSpeech(responseText, { lexicon }) || responseText;
+        const speech = await synthesizeLong(spokenText, { ...voiceOptions, logFn: logTTSEvent });
+        const ttsInfo = { provider: speech.provider, failover: !!speech.failover, cache: speech.cache, chunks: speech.chunks };
+
+        if (json) {
+            const buffers = [];
+            for await (const chunk of speech.stream) {
+                buffers.push(chunk);
+            }
+            return res.json({
+                ...replyInfo,
+                tts: ttsInfo,
+                contentType: speech.contentType,
+                audio: Buffer.concat(buffers).toString('base64')
+            });
+        }
+
+        // Stream the audio response directly to client
+        console.log(`🔊 Streaming audio response (${speech.provider}, ${speech.chunks} chunk${speech.chunks === 1 ? '' : 's'})...`);
+        res.set({
+            'Content-Type': speech.contentType,
+            'Transfer-Encoding': 'chunked',
+            'Cache-Control': 'no-cache',
+            'X-Gemini-Response': Buffer.from(responseText.substring(0, 200)).toString('base64'),
+            'X-LLM-Provider': `${llmResult.provider}:${llmResult.model}`,
+            ...(llmResult.usage && { 'X-LLM-Usage': JSON.stringify(llmResult.usage) }),
+            'X-TTS-Provider': speech.provider,
+            'X-TTS-Cache': speech.cache,
+            ...(speech.failover && { 'X-TTS-Failover': String(speech.failoverReason) }),
+            ...(stt && {
+                'X-Transcript': Buffer.from(userMessage.substring(0, 1000)).toString('base64'),
+                'X-STT-Provider': stt.provider,
+                ...(stt.failover && { 'X-STT-Failover': String(stt.failoverReason) })
+            }),
+            ...(threadId && { 'X-Conversation-Id': String(threadId) })
+        });
+
+        // pipeline tears down the provider stream if the client disconnects
+        pipeline(Readable.from(speech.stream), res, (streamError) => {
+            if (streamError) {
+                console.error('❌ Audio stream interrupted:', streamError.message);
+            }
+        });
+
+    } catch (voiceError) {
+        console.error('❌ Voice Synthesis Failed:', voiceError.message);
+
+        // Text-Only Fallback
+        console.log('📝 Returning Text-Only fallback...');
+
+        // Return 200 OK but with JSON body (client handles mixed content types?)
+        // Or better, standard JSON success with a flag as requested.
+        res.status(200).json({
+            ...replyInfo,
+            audioFailed: true,
+            error: voiceError.message
+        });
+    }
+}
+
+/**
+ * POST /chat
+ * Accepts JSON body with { text: string, conversationId?: string, stream?: boolean,
+ *   provider?: string, model?: string }
+ * With stream: true (or Accept: text/event-stream) the response is an SSE
+ * stream of text and audio chunks - see streamChatResponse.
+ * 1. Retrieves conversation history for context
+ * 2. Sends text with context to the LLM chain (llm/), in the user's persona (personas/)
+ * 3. Logs interaction to database
+ * 4. Rewrites the response for speech (tts/normalize.js) and sends it to the TTS
+ *    chain in the user's voice settings, chunked for long responses (tts/stitcher.js)
+ * 5. Streams audio back to client
+ */
+app.post('/chat', verifyToken, chatLimiter, async (req, res) => {
+    try {
+        const { text, conversationId, provider, model } = req.body;
+
+        // Validate input
+        if (!text || typeof text !== 'string' || text.trim().length === 0) {
+            return res.status(400).json(
+                createErrorResponse(400, 'Bad Request', 'Request body must contain a non-empty "text" field')
+            );
+        }
+
+        if (conversationId !== undefined && conversationId !== null && !mongoose.isValidObjectId(conversationId)) {
+            return res.status(400).json(
+                createErrorResponse(400, 'Bad Request', '"conversationId" must be a conversation ID')
+            );
+        }
+
+        const selectionError = llm.validateSelection({ provider, model });
+        if (selectionError) {
+            return res.status(400).json(
+                createErrorResponse(400, 'Bad Request', selectionError)
+            );
+        }
+        const llmSelection = { provider, model };
+
+        // Validate an LLM provider is configured
+        if (!llm.getStatus().available) {
+            return res.status(503).json(
+                createErrorResponse(503, 'Service Unavailable', 'No LLM provider is properly configured')
+            );
+        }
+
+        // Validate a TTS provider is configured
+        if (!tts.isAvailable()) {
+            return res.status(503).json(
+                createErrorResponse(503, 'Service Unavailable', 'TTS service is not properly configured')
+            );
+        }
+
+        const userMessage = text.trim();
+        console.log(`📨 Received chat request: "${userMessage.substring(0, 50)}${userMessage.length > 50 ? '...' : ''}"`);
+
+        // Step 1: Resolve thread + memory context
+        let context;
+        try {
+            context = await prepareChatContext(req, conversationId, userMessage);
+        } catch (contextError) {
+            if (contextError.status) {
+                return res.status(contextError.status).json(
+                    createErrorResponse(contextError.status, contextError.errorType, contextError.message)
+                );
+            }
+            throw contextError;
+        }
+
+        if (wantsChatStream(req)) {
+            return streamChatResponse(req, res, { context, userMessage, llmSelection });
+        }
+
+        await sendChatReply(req, res, { context, userMessage, llmSelection });
+
+    } catch (error) {
+        // Catch-all for any unexpected errors
+        console.error('❌ Unexpected error in /chat:', error);
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'An unexpected error occurred', error.message)
+        );
+    }
+});
+
+// ==================== VOICE CHAT ENDPOINT ====================
+// One-shot voice turn over plain HTTP for clients that cannot hold the relay
+// WebSocket open (shortcuts, CLI tools, mobile background tasks)
+
+const sttOrchestrator = require('./transcription');
+
+const TRANSCRIPTION_ENABLED = process.env.TRANSCRIPTION_ENABLED === 'true';
+const MAX_AUDIO_BYTES = parseInt(process.env.MAX_AUDIO_BYTES) || 5242880; // 5MB, shared with the relay
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024; // Boundaries, part headers and text fields
+
+// Formats the STT providers accept, by field value, MIME type and file extension
+const AUDIO_FORMATS = {
+    webm: ['audio/webm', 'video/webm'],
+    wav: ['audio/wav', 'audio/x-wav', 'audio/wave'],
+    mp3: ['audio/mpeg', 'audio/mp3']
+};
+
+const voiceUploadParser = express.raw({
+    type: 'multipart/form-data',
+    limit: MAX_AUDIO_BYTES + MULTIPART_OVERHEAD_BYTES
+});
+
+/**
+ * Buffer a multipart body, answering oversized uploads with a JSON 413
+ */
+function voiceUpload(req, res, next) {
+    voiceUploadParser(req, res, (parseError) => {
+        if (!parseError) return next();
+        const status = parseError.status || 400;
+        const message = status === 413
+            ? `Audio exceeds ${MAX_AUDIO_BYTES} byte limit`
+            : 'Malformed upload';
+        res.status(status).json(createErrorResponse(status, status === 413 ? 'Payload Too Large' : 'Bad Request', message));
+    });
+}
+
+/**
+ * Audio format of an uploaded clip: the "format" field, else the part's MIME
+ * type, else its file extension
+ * @param {string|null} requested - "format" form field
+ * @param {File} file - Uploaded audio part
+ * @returns {string|null} webm, wav or mp3; null if unsupported
+ */
+function detectAudioFormat(requested, file) {
+    if (requested) {
+        return AUDIO_FORMATS[requested.toLowerCase()] ? requested.toLowerCase() : null;
+    }
+    const mime = (file.type || '').split(';')[0].trim().toLowerCase();
+    const extension = (file.name || '').split('.').pop().toLowerCase();
+    return Object.keys(AUDIO_FORMATS).find(format => AUDIO_FORMATS[format].includes(mime))
+        || (AUDIO_FORMATS[extension] ? extension : null);
+}
+
+/**
+ * Parse a voice-chat upload
+ * @param {Object} req - Express request with a buffered multipart body
+ * @returns {Promise<{upload: Object, error: string}>} upload: { audio, format, conversationId, provider, model }
+ */
+async function parseVoiceUpload(req) {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return { error: 'Request must be multipart/form-data with an "audio" file' };
+    }
+
+    let form;
+    try {
+        // The fetch API's multipart parser (Node 18+) - no upload middleware needed
+        form = await new Request('http://localhost/', {
+            method: 'POST',
+            headers: { 'Content-Type': req.headers['content-type'] },
+            body: req.body
+        }).formData();
+    } catch {
+        return { error: 'Malformed multipart body' };
+    }
+
+    const field = (name) => {
+        const value = form.get(name);
+        return typeof value === 'string' && value.trim() ? value.trim() : null;
+    };
+
+    const file = form.get('audio');
+    if (!file || typeof file === 'string') {
+        return { error: 'Form must contain an "audio" file' };
+    }
+    const audio = Buffer.from(await file.arrayBuffer());
+    if (audio.length === 0) {
+        return { error: '"audio" file is empty' };
+    }
+
+    const format = detectAudioFormat(field('format'), file);
+    if (!format) {
+        return { error: `Unsupported audio format (expected ${Object.keys(AUDIO_FORMATS).join(', ')})` };
+    }
+
+    return {
+        upload: {
+            audio,
+            format,
+            conversationId: field('conversationId'),
+            provider: field('provider') || undefined,
+            model: field('model') || undefined
+        }
+    };
+}
+
+/**
+ * Log STT provider errors and failovers from the transcription orchestrator
+ * @param {string} event - Orchestrator event name
+ * @param {Object} data - Event data
+ */
+function logSTTEvent(event, data) {
+    if (event === 'STT_PROVIDER_ERROR') {
+        console.warn(`⚠️  STT ${data.provider} failed (${data.status || data.code || 'error'}): ${data.message}`);
+    } else if (event === 'STT_FAILOVER_TRIGGERED') {
+        console.warn(`🔀 STT failover ${data.from} → ${data.to} (${data.reason})`);
+    }
+}
+
+/**
+ * Whether the client asked for JSON (base64 audio) instead of an audio body
+ */
+function wantsJsonReply(req) {
+    return req.query.response === 'json' || (req.headers.accept || '').includes('application/json');
+}
+
+/**
+ * POST /api/voice-chat
+ * Accepts multipart/form-data:
+ *   audio (file, webm/wav/mp3, up to MAX_AUDIO_BYTES), format?, conversationId?, provider?, model?
+ * 1. Transcribes the clip through the STT chain (transcription/, with failover)
+ * 2. Runs the transcript through the /chat LLM, memory and TTS path (sendChatReply)
+ * 3. Returns the audio with the transcript in X-Transcript (base64), or with
+ *    Accept: application/json / ?response=json, JSON { transcript, text, audio (base64), ... }
+ */
+app.post('/api/voice-chat', verifyToken, chatLimiter, voiceUpload, async (req, res) => {
+    try {
+        if (!TRANSCRIPTION_ENABLED) {
+            return res.status(503).json(
+                createErrorResponse(503, 'Service Unavailable', 'Transcription is not enabled on this server')
+            );
+        }
+
+        const { upload, error } = await parseVoiceUpload(req);
+        if (error) {
+            return res.status(400).json(createErrorResponse(400, 'Bad Request', error));
+        }
+        const { audio, format, conversationId, provider, model } = upload;
+
+        if (conversationId && !mongoose.isValidObjectId(conversationId)) {
+            return res.status(400).json(
+                createErrorResponse(400, 'Bad Request', '"conversationId" must be a conversation ID')
+            );
+        }
+
+        const selectionError = llm.validateSelection({ provider, model });
+        if (selectionError) {
+            return res.status(400).json(
+                createErrorResponse(400, 'Bad Request', selectionError)
+            );
+        }
+        const llmSelection = { provider, model };
+
+        if (!llm.getStatus().available) {
+            return res.status(503).json(
+                createErrorResponse(503, 'Service Unavailable', 'No LLM provider is properly configured')
+            );
+        }
+        if (!tts.isAvailable()) {
+            return res.status(503).json(
+                createErrorResponse(503, 'Service Unavailable', 'TTS service is not properly configured')
+            );
+        }
+
+        // Step 1: Speech to text
+        console.log(`🎙️ Received voice chat upload (${audio.length} bytes, ${format})`);
+        let transcription;
+        try {
+            transcription = await sttOrchestrator.transcribe(audio, format, logSTTEvent);
+        } catch (sttError) {
+            console.error('❌ Transcription failed:', sttError.message);
+            const status = sttError.status === 429 ? 429 : 502;
+            return res.status(status).json(
+                createErrorResponse(status, status === 429 ? 'Too Many Requests' : 'Bad Gateway',
+                    'Failed to transcribe audio', sttError.message)
+            );
+        }
+
+        const userMessage = (transcription.text || '').trim();
+        if (!userMessage) {
+            return res.status(422).json(
+                createErrorResponse(422, 'Unprocessable Entity', 'No speech detected in the audio')
+            );
+        }
+        console.log(`📝 Transcript (${transcription.provider}): "${userMessage.substring(0, 50)}${userMessage.length > 50 ? '...' : ''}"`);
+
+        // Step 2: Same thread, memory and LLM context as a typed /chat turn
+        let context;
+        try {
+            context = await prepareChatContext(req, conversationId, userMessage, { channel: 'voice' });
+        } catch (contextError) {
+            if (contextError.status) {
+                return res.status(contextError.status).json(
+                    createErrorResponse(contextError.status, contextError.errorType, contextError.message)
+                );
+            }
+            throw contextError;
+        }
+
+        // Step 3: Reply and voice it
+        await sendChatReply(req, res, { context, userMessage, llmSelection, stt: transcription, json: wantsJsonReply(req) });
+
+    } catch (error) {
+        console.error('❌ Unexpected error in /api/voice-chat:', error);
+        res.status(500).json(
+            createErrorResponse(500, 'Internal Server Error', 'An unexpected error occurred', error.message)
+        );
+    }
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        services: {
+            gemini: llm.isProviderConfigured('gemini'),
+            llm: llm.getStatus(),
+            tts: tts.getStatus(),
+            ttsCache: ttsCache.getStatus(),
+            breakers: getBreakerStates(),
+            elevenlabs: !!process.env.ELEVENLABS_API_KEY,
+            mongodb: mongoConnected,
+            memoryStore: memoryStore ? { name: memoryStore.name, ready: memoryStore.isReady() } : { name: 'none', ready: false },
+            tempUser: !!global.tempUserId
+        }
+    });
+});
+
+
+// Initialize and start server
+async function startServer() {
+    // Step 1: Connect to MongoDB (non-blocking - server starts even if DB fails)
+    const dbConnected = await connectToMongoDB();
 
     // Step 2: Bootstrap temp user for development (only if DB connected)
     if (dbConnected) {
         await bootstrapTempUser();
     }
 
+    // Step 2b: Connect the memory store (no-op when it shares the Mongo connection)
+    if (memoryStore) {
+        try {
+            await memoryStore.connect();
+            console.log(`✅ Memory store: ${memoryStore.name}`);
+        } catch (error) {
+            console.warn(`⚠️  Memory store (${memoryStore.name}) unavailable:`, error.message);
+        }
+    }
+
     // Step 3: Start Express server
     app.listen(PORT, () => {
         console.log(`\n🚀 Chat-to-Voice Server v9.0 running on port ${PORT}`);
@@ -677,7 +1987,7 @@ async function startServer() {
         console.log(`🔐 POST /api/auth/login - Login and get JWT token`);
         console.log(`🔐 GET /api/auth/me - Get current user info`);
         console.log(`❤️  GET /health - Health check`);
-        console.log(`🧠 Memory: ${global.tempUserId ? 'ENABLED' : 'DISABLED'}\n`);
+        console.log(`🧠 Memory: ${memoryStore?.isReady() ? 'ENABLED' : 'DISABLED'} (${memoryStore?.name || 'none'})\n`);
     });
 }
 
@@ -0,0 +1,281 @@
+/**
+ * Conversation History Compaction
+ *
+ * Conversation.history is capped at 1000 entries. Before a thread reaches
+ * the cap, its oldest messages are summarised (summarizer/), moved into a
+ * ConversationArchive document and folded into the thread's rolling_summary.
+ * The newest HISTORY_COMPACT_KEEP messages stay inline.
+ *
+ * Compaction runs in the background after an append; a lock field on the
+ * conversation keeps concurrent writers from archiving the same segment twice.
+ *
+ * /chat also folds messages that fell out of its token-budgeted context
+ * window (llm/context.js) into the rolling summary while they are still
+ * inline; summarized_until marks how far the summary reaches, so neither
+ * path summarises the same messages twice.
+ */
+
+const { Conversation, ConversationArchive } = require('../models');
+const summarizer = require('../summarizer');
+
+// Configuration
+const HISTORY_COMPACT_THRESHOLD = parseInt(process.env.HISTORY_COMPACT_THRESHOLD) || 900;
+const HISTORY_COMPACT_KEEP = parseInt(process.env.HISTORY_COMPACT_KEEP) || 200;
+const ROLLING_SUMMARY_MAX_CHARS = parseInt(process.env.ROLLING_SUMMARY_MAX_CHARS) || 2000;
+const COMPACTION_LOCK_MS = 60000; // Stale locks (crashed compaction) expire after this
+
+/**
+ * Render one archived segment's summary as a single rolling-summary line
+ * @param {Object} summary - Summarizer output
+ * @param {Array} segment - Archived history entries (oldest first)
+ * @returns {string}
+ */
+function formatSegmentSummary(summary, segment) {
+    const day = (ts) => (ts ? new Date(ts).toISOString().substring(0, 10) : '?');
+    const parts = [];
+
+    if (summary.history_snippet) {
+        parts.push(summary.history_snippet.replace(/[.\s]+$/, ''));
+    }
+    if (summary.key_points?.length) {
+        parts.push(`Key points: ${summary.key_points.join('; ')}`);
+    }
+    if (summary.decisions?.length) {
+        parts.push(`Decisions: ${summary.decisions.join('; ')}`);
+    }
+    if (summary.open_loops?.length) {
+        parts.push(`Open loops: ${summary.open_loops.join('; ')}`);
+    }
+    if (parts.length === 0) {
+        parts.push(`${segment.length} earlier messages`);
+    }
+
+    return `[${day(segment[0]?.timestamp)} to ${day(segment[segment.length - 1]?.timestamp)}] ${parts.join('. ')}.`;
+}
+
+/**
+ * Append a segment line to the rolling summary, dropping the oldest lines past the budget
+ * @param {string|null} previous - Current rolling summary
+ * @param {string} segmentLine - New segment line
+ * @returns {string}
+ */
+function mergeRollingSummary(previous, segmentLine) {
+    const lines = [...(previous ? previous.split('\n') : []), segmentLine];
+
+    while (lines.length > 1 && lines.join('\n').length > ROLLING_SUMMARY_MAX_CHARS) {
+        lines.shift();
+    }
+
+    const merged = lines.join('\n');
+    return merged.length > ROLLING_SUMMARY_MAX_CHARS
+        ? `${merged.substring(0, ROLLING_SUMMARY_MAX_CHARS - 3)}...`
+        : merged;
+}
+
+/**
+ * Whether a conversation's history has reached the compaction threshold
+ * @param {ObjectId|string} conversationId - Conversation ID
+ * @returns {Promise<boolean>}
+ */
+async function needsCompaction(conversationId) {
+    const found = await Conversation.exists({
+        _id: conversationId,
+        [`history.${HISTORY_COMPACT_THRESHOLD - 1}`]: { $exists: true }
+    });
+    return !!found;
+}
+
+/**
+ * Take the conversation's compaction lock
+ * @param {ObjectId|string} conversationId - Conversation ID
+ * @param {string} projection - Optional fields to return (default: the whole document)
+ * @returns {Promise<Object|null>} The locked conversation (lean), or null if missing / already locked
+ */
+function acquireLock(conversationId, projection = null) {
+    const now = new Date();
+    return Conversation.findOneAndUpdate(
+        {
+            _id: conversationId,
+            $or: [{ compaction_lock_until: null }, { compaction_lock_until: { $lt: now } }]
+        },
+        { $set: { compaction_lock_until: new Date(now.getTime() + COMPACTION_LOCK_MS) } },
+        { new: true, projection }
+    ).lean();
+}
+
+/**
+ * Messages not yet covered by the rolling summary
+ * @param {Array} messages - History entries (oldest first)
+ * @param {Date|null} summarizedUntil - Conversation.summarized_until
+ * @returns {Array}
+ */
+function unsummarized(messages, summarizedUntil) {
+    if (!summarizedUntil) return messages;
+    const cutoff = new Date(summarizedUntil).getTime();
+    return messages.filter(m => m.timestamp && new Date(m.timestamp).getTime() > cutoff);
+}
+
+/**
+ * Archive and summarise a conversation's oldest messages
+ * @param {ObjectId|string} conversationId - Conversation ID
+ * @param {Function} logFn - Logging function (event, data)
+ * @returns {Promise<{archived: number, archive_id: string}|null>} Null if nothing was compacted
+ */
+async function compactConversation(conversationId, logFn = () => { }) {
+    const conversation = await acquireLock(conversationId);
+
+    if (!conversation) {
+        return null; // Missing, or another writer is already compacting
+    }
+
+    const releaseLock = () => Conversation.updateOne(
+        { _id: conversationId },
+        { $set: { compaction_lock_until: null } }
+    );
+
+    try {
+        const history = conversation.history || [];
+        const count = history.length - HISTORY_COMPACT_KEEP;
+
+        if (history.length < HISTORY_COMPACT_THRESHOLD || count <= 0) {
+            await releaseLock();
+            return null;
+        }
+
+        const segment = history.slice(0, count);
+        const summary = await summarizer.summarize(
+            segment.map(m => ({ role: m.role, content: m.content })),
+            logFn
+        );
+
+        const archive = await ConversationArchive.create({
+            conversation_id: conversation._id,
+            user_id: conversation.user_id,
+            messages: segment,
+            summary,
+            from_timestamp: segment[0].timestamp,
+            to_timestamp: segment[segment.length - 1].timestamp
+        });
+
+        // Only messages the rolling summary does not already cover add a line to it
+        const pending = unsummarized(segment, conversation.summarized_until);
+        let rollingSummary = conversation.rolling_summary;
+        let summarizedUntil = conversation.summarized_until;
+        if (pending.length > 0) {
+            const pendingSummary = pending.length === segment.length
+                ? summary
+                : await summarizer.summarize(pending.map(m => ({ role: m.role, content: m.content })), logFn);
+            rollingSummary = mergeRollingSummary(rollingSummary, formatSegmentSummary(pendingSummary, pending));
+            summarizedUntil = pending[pending.length - 1].timestamp;
+        }
+
+        // Pipeline update: drop the archived prefix while keeping anything appended meanwhile
+        await Conversation.updateOne({ _id: conversationId }, [
+            {
+                $set: {
+                    history: { $slice: ['$history', count, { $max: [{ $size: '$history' }, 1] }] },
+                    rolling_summary: { $literal: rollingSummary },
+                    summarized_until: { $literal: summarizedUntil },
+                    archived_message_count: { $add: [{ $ifNull: ['$archived_message_count', 0] }, count] },
+                    compaction_lock_until: null
+                }
+            }
+        ]);
+
+        logFn('HISTORY_COMPACTED', {
+            conversation: String(conversationId),
+            archived: count,
+            kept: history.length - count,
+            summary_source: summary.summary_source
+        });
+
+        return { archived: count, archive_id: String(archive._id) };
+    } catch (error) {
+        await releaseLock().catch(() => { });
+        throw error;
+    }
+}
+
+/**
+ * Fold messages that left the chat context window into the rolling summary
+ * @param {ObjectId|string} conversationId - Conversation ID
+ * @param {Array} messages - Overflowed messages, oldest first ({role, content, timestamp})
+ * @param {Function} logFn - Logging function (event, data)
+ * @returns {Promise<{summarized: number}|null>} Null if nothing new was summarised
+ */
+async function foldIntoSummary(conversationId, messages, logFn = () => { }) {
+    const conversation = await acquireLock(conversationId, 'rolling_summary summarized_until');
+    if (!conversation) {
+        return null; // Missing, or compaction/another fold is running - the next turn retries
+    }
+
+    try {
+        const pending = unsummarized(messages, conversation.summarized_until);
+        if (pending.length === 0) {
+            await Conversation.updateOne({ _id: conversationId }, { $set: { compaction_lock_until: null } });
+            return null;
+        }
+
+        const summary = await summarizer.summarize(pending.map(m => ({ role: m.role, content: m.content })), logFn);
+        await Conversation.updateOne({ _id: conversationId }, {
+            $set: {
+                rolling_summary: mergeRollingSummary(conversation.rolling_summary, formatSegmentSummary(summary, pending)),
+                summarized_until: pending[pending.length - 1].timestamp,
+                compaction_lock_until: null
+            }
+        });
+
+        logFn('CONTEXT_SUMMARIZED', {
+            conversation: String(conversationId),
+            summarized: pending.length,
+            summary_source: summary.summary_source
+        });
+        return { summarized: pending.length };
+    } catch (error) {
+        await Conversation.updateOne({ _id: conversationId }, { $set: { compaction_lock_until: null } }).catch(() => { });
+        throw error;
+    }
+}
+
+/**
+ * Fold overflowed context messages into the rolling summary in the background
+ * @param {ObjectId|string} conversationId - Conversation ID
+ * @param {Array} messages - Overflowed messages, oldest first
+ */
+function scheduleSummaryFold(conversationId, messages) {
+    foldIntoSummary(conversationId, messages, (event, data) => {
+        if (event === 'CONTEXT_SUMMARIZED') {
+            console.log(`📝 Folded ${data.summarized} messages into the summary of conversation ${data.conversation} (${data.summary_source} summary)`);
+        }
+    }).catch(error => {
+        console.warn(`⚠️  Context summary failed for conversation ${conversationId}:`, error.message);
+    });
+}
+
+/**
+ * Check a conversation after an append and compact it in the background if needed
+ * @param {ObjectId|string} conversationId - Conversation ID
+ */
+function scheduleCompaction(conversationId) {
+    needsCompaction(conversationId)
+        .then(needed => needed && compactConversation(conversationId, (event, data) => {
+            if (event === 'HISTORY_COMPACTED') {
+                console.log(`🗜️  Compacted ${data.archived} messages from conversation ${data.conversation} (${data.summary_source} summary)`);
+            }
+        }))
+        .catch(error => {
+            console.warn(`⚠️  History compaction failed for conversation ${conversationId}:`, error.message);
+        });
+}
+
+module.exports = {
+    needsCompaction,
+    compactConversation,
+    scheduleCompaction,
+    foldIntoSummary,
+    scheduleSummaryFold,
+    formatSegmentSummary,
+    mergeRollingSummary,
+    HISTORY_COMPACT_THRESHOLD,
+    HISTORY_COMPACT_KEEP
+};
@@ -0,0 +1,323 @@
+/**
+ * Memory Context Helpers
+ *
+ * Pure functions shared by every storage adapter: deterministic session
+ * summaries, long-term memory merging, context classification and rendering.
+ * No I/O here - adapters own persistence.
+ */
+
+// Seeded into every new user's long-term memory
+const DEFAULT_PREFERENCES = ['No MP3 downloads by default; streaming playback only.'];
+
+/**
+ * Empty long-term memory record (returned for users with no memory yet)
+ * @returns {Object}
+ */
+function emptyUserMemory() {
+    return {
+        history_summary: null,
+        key_points: [],
+        open_loops: [],
+        preferences: [...DEFAULT_PREFERENCES],
+        entities: {},
+        last_session_id: null
+    };
+}
+
+// ============================================================================
+// CONTEXT CLASSIFICATION
+// ============================================================================
+
+/**
+ * Classify what prior context is available for observability
+ * @param {number} transcriptCount - Messages in the last session transcript
+ * @param {number} keyPointsCount - Key points in long-term memory
+ * @returns {{has_context: boolean, reason_code: string}}
+ */
+function classifyContext(transcriptCount, keyPointsCount) {
+    let reasonCode;
+    if (transcriptCount > 0 && keyPointsCount > 0) {
+        reasonCode = 'full_context';
+    } else if (transcriptCount > 0) {
+        reasonCode = 'transcript_only';
+    } else if (keyPointsCount > 0) {
+        reasonCode = 'memory_only';
+    } else {
+        reasonCode = 'no_history';
+    }
+
+    return {
+        has_context: transcriptCount > 0 || keyPointsCount > 0,
+        reason_code: reasonCode
+    };
+}
+
+// ============================================================================
+// SUMMARY GENERATION (V0 - Deterministic)
+// ============================================================================
+
+/**
+ * Generate a deterministic summary from messages (no LLM)
+ * @param {Array} messages - Array of {role, content}
+ * @returns {Object} Summary with key_points, open_loops, decisions
+ */
+function generateSummary(messages) {
+    const keyPoints = [];
+    const openLoops = [];
+    const decisions = [];
+
+    const assistantMessages = messages.filter(m => m.role === 'assistant');
+
+    // Extract key points: first sentence of last 5 assistant messages
+    const lastFive = assistantMessages.slice(-5);
+    for (const msg of lastFive) {
+        const firstSentence = msg.content.split(/[.!?]/)[0]?.trim();
+        if (firstSentence && firstSentence.length > 10 && firstSentence.length < 200) {
+            keyPoints.push(firstSentence);
+        }
+    }
+
+    // Scan all messages for patterns
+    for (const msg of messages) {
+        const content = msg.content;
+        const lines = content.split('\n');
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+
+            // Open loops: TODO, Next, We should
+            if (/^(TODO:|Next:|We should|I'll need to|Let's|We need to)/i.test(trimmed)) {
+                openLoops.push(trimmed.substring(0, 100));
+            }
+
+            // Decisions: Decision, Approved, We will
+            if (/^(Decision:|Approved:|We will|I'll|Confirmed:)/i.test(trimmed)) {
+                decisions.push(trimmed.substring(0, 100));
+            }
+        }
+    }
+
+    return {
+        key_points: [...new Set(keyPoints)].slice(0, 10),
+        open_loops: [...new Set(openLoops)].slice(0, 10),
+        decisions: [...new Set(decisions)].slice(0, 10),
+        preferences: [],
+        entities: {},
+        history_snippet: keyPoints.length > 0 ? keyPoints[0] : null
+    };
+}
+
+// ============================================================================
+// MEMORY MERGING
+// ============================================================================
+
+/**
+ * Merge a session summary into a long-term memory record
+ * @param {Object} currentMemory - Existing user memory
+ * @param {Object} sessionSummary - Summary from ended session
+ * @returns {Object} Merged { history_summary, key_points, open_loops, preferences, entities }
+ */
+function mergeMemory(currentMemory, sessionSummary) {
+    // De-duplicate helper (case-insensitive trim)
+    const dedupe = (arr) => {
+        const seen = new Set();
+        return arr.filter(item => {
+            const normalized = String(item).toLowerCase().trim();
+            if (seen.has(normalized)) return false;
+            seen.add(normalized);
+            return true;
+        });
+    };
+
+    // Merge arrays with de-duplication
+    const mergedKeyPoints = dedupe([
+        ...(currentMemory.key_points || []),
+        ...(sessionSummary.key_points || [])
+    ]).slice(-20); // Keep last 20
+
+    const mergedOpenLoops = dedupe([
+        ...(currentMemory.open_loops || []),
+        ...(sessionSummary.open_loops || [])
+    ]);
+
+    const mergedPreferences = dedupe([
+        ...(currentMemory.preferences || []),
+        ...(sessionSummary.preferences || [])
+    ]);
+
+    // Shallow merge entities (newer wins)
+    const mergedEntities = {
+        ...(currentMemory.entities || {}),
+        ...(sessionSummary.entities || {})
+    };
+
+    // Update history summary (append)
+    const newHistorySummary = sessionSummary.history_snippet
+        ? `${currentMemory.history_summary || ''}\n${sessionSummary.history_snippet}`.trim()
+        : currentMemory.history_summary;
+
+    return {
+        history_summary: newHistorySummary,
+        key_points: mergedKeyPoints,
+        open_loops: mergedOpenLoops,
+        preferences: mergedPreferences,
+        entities: mergedEntities
+    };
+}
+
+// ============================================================================
+// CONTEXT RENDERING
+// ============================================================================
+
+/**
+ * Render a context pack as a bounded instruction block for the model
+ * Long-term memory is rendered first; the transcript fills the remaining
+ * budget with the most recent messages.
+ * @param {Object} contextPack - Result of getContextPack
+ * @param {Object} options - { maxChars, maxItems, maxMessageChars }
+ * @returns {string} Context block ('' when there is nothing to inject)
+ */
+function renderContextBlock(contextPack, options = {}) {
+    const {
+        maxChars = 4000,
+        maxItems = 10,
+        maxMessageChars = 400
+    } = options;
+
+    if (!contextPack || !contextPack.has_context) {
+        return '';
+    }
+
+    const clip = (text, limit) => {
+        const str = String(text).replace(/\s+/g, ' ').trim();
+        return str.length > limit ? `${str.substring(0, limit - 3)}...` : str;
+    };
+    const listSection = (title, items) => {
+        if (!Array.isArray(items) || items.length === 0) return null;
+        return `${title}:\n${items.slice(-maxItems).map(item => `- ${clip(item, maxMessageChars)}`).join('\n')}`;
+    };
+
+    const userMemory = contextPack.user_memory || {};
+    const entities = Object.entries(userMemory.entities || {})
+        .slice(0, maxItems)
+        .map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+
+    const memorySections = [
+        listSection('Key points', userMemory.key_points),
+        listSection('Open loops', userMemory.open_loops),
+        listSection('User preferences', userMemory.preferences),
+        listSection('Known entities', entities)
+    ].filter(Boolean);
+
+    const header = '## MEMORY CONTEXT (from previous sessions - use naturally, do not recite)';
+    let block = [header, ...memorySections].join('\n\n');
+    if (block.length > maxChars) {
+        return `${block.substring(0, maxChars - 3)}...`;
+    }
+
+    // Fill remaining budget with the newest transcript lines, oldest dropped first
+    const transcriptHeader = 'Last session transcript:';
+    let remaining = maxChars - block.length - transcriptHeader.length - 2;
+    const lines = [];
+    const transcript = contextPack.last_session_transcript || [];
+
+    for (let i = transcript.length - 1; i >= 0; i--) {
+        const msg = transcript[i];
+        if (msg.role !== 'user' && msg.role !== 'assistant') continue;
+        const line = `${msg.role === 'user' ? 'User' : 'Assistant'}: ${clip(msg.content, maxMessageChars)}`;
+        if (line.length + 1 > remaining) break;
+        lines.unshift(line);
+        remaining -= line.length + 1;
+    }
+
+    if (lines.length > 0) {
+        block += `\n\n${transcriptHeader}\n${lines.join('\n')}`;
+    }
+
+    return block;
+}
+
+// ============================================================================
+// MEMORY EDITING + EXPORT
+// ============================================================================
+
+const EDITABLE_MEMORY_FIELDS = ['key_points', 'open_loops', 'preferences', 'entities'];
+const MAX_MEMORY_ITEMS = 50;
+const MAX_MEMORY_ITEM_CHARS = 500;
+
+/**
+ * Validate a user-supplied patch of long-term memory fields
+ * Arrays replace the stored list; entities replaces the stored map.
+ * @param {Object} patch - Request body
+ * @returns {{patch: Object|null, error: string|null}}
+ */
+function validateMemoryPatch(patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        return { patch: null, error: 'Body must be a JSON object' };
+    }
+
+    const unknown = Object.keys(patch).filter(key => !EDITABLE_MEMORY_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        return { patch: null, error: `Unknown field(s): ${unknown.join(', ')} (editable: ${EDITABLE_MEMORY_FIELDS.join(', ')})` };
+    }
+    if (Object.keys(patch).length === 0) {
+        return { patch: null, error: `Provide at least one of: ${EDITABLE_MEMORY_FIELDS.join(', ')}` };
+    }
+
+    const clean = {};
+    for (const [field, value] of Object.entries(patch)) {
+        if (field === 'entities') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return { patch: null, error: 'entities must be an object of name -> description' };
+            }
+            const entries = Object.entries(value);
+            if (entries.length > MAX_MEMORY_ITEMS) {
+                return { patch: null, error: `entities may hold at most ${MAX_MEMORY_ITEMS} entries` };
+            }
+            if (entries.some(([, description]) => typeof description !== 'string' || description.length > MAX_MEMORY_ITEM_CHARS)) {
+                return { patch: null, error: `entity descriptions must be strings of at most ${MAX_MEMORY_ITEM_CHARS} characters` };
+            }
+            clean.entities = Object.fromEntries(entries.map(([name, description]) => [name.trim(), description.trim()]));
+            continue;
+        }
+
+        if (!Array.isArray(value)) {
+            return { patch: null, error: `${field} must be an array of strings` };
+        }
+        if (value.length > MAX_MEMORY_ITEMS) {
+            return { patch: null, error: `${field} may hold at most ${MAX_MEMORY_ITEMS} items` };
+        }
+        if (value.some(item => typeof item !== 'string' || item.length > MAX_MEMORY_ITEM_CHARS)) {
+            return { patch: null, error: `${field} items must be strings of at most ${MAX_MEMORY_ITEM_CHARS} characters` };
+        }
+        clean[field] = value.map(item => item.trim()).filter(Boolean);
+    }
+
+    return { patch: clean, error: null };
+}
+
+/**
+ * Serialise session messages as JSONL (same line shape as db/memory exportSessionAsJSONL)
+ * @param {Array} messages - Array of {role, content, created_at, metadata}
+ * @returns {string}
+ */
+function formatJSONL(messages) {
+    return messages.map(m => JSON.stringify({
+        ts: m.created_at,
+        role: m.role,
+        content: m.content,
+        metadata: m.metadata || null
+    })).join('\n');
+}
+
+module.exports = {
+    DEFAULT_PREFERENCES,
+    EDITABLE_MEMORY_FIELDS,
+    emptyUserMemory,
+    classifyContext,
+    mergeMemory,
+    generateSummary,
+    renderContextBlock,
+    validateMemoryPatch,
+    formatJSONL
+};
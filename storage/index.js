@@ -0,0 +1,153 @@
+/**
+ * Memory Storage Orchestrator
+ *
+ * One persistence interface for conversation memory, shared by /chat
+ * (server.js, channel 'text') and the realtime relay (channel 'voice'),
+ * so typed and spoken history end up in the same store.
+ *
+ * Adapters (selected by MEMORY_STORE):
+ * - postgres: db/memory.js (sessions, messages, user_memory)
+ * - mongo:    Conversation history + MemorySession + User.memory
+ * - memory:   in-process Maps (tests only: unbounded, per-process, lost on restart)
+ *
+ * Default: postgres if DATABASE_URL is set, else mongo if MONGODB_URI is set,
+ * else none (memory disabled). The memory adapter is only used when
+ * MEMORY_STORE=memory is set explicitly.
+ *
+ * Adapter interface:
+ *   name, connect(), isReady(), resolveUser(externalId),
+ *   findOpenSession(userId, channel), startSession(userId, channel),
+ *   appendMessage(sessionId, role, content, metadata), endSession(sessionId, summary),
+ *   getSessionMessages(sessionId),
+ *   getLastSessionTranscript(userId, excludeSessionId), getUserMemory(userId),
+ *   mergeUserMemory(userId, summary), getRecentMessages(userId, limit),
+ *   listSessions(userId, {limit, offset}), getSession(userId, sessionId),
+ *   exportSessionAsJSONL(sessionId), deleteSession(userId, sessionId),
+ *   updateUserMemory(userId, patch), forgetUser(userId)
+ */
+
+const { classifyContext, renderContextBlock } = require('./context');
+const summarizer = require('../summarizer');
+
+// Adapters are required lazily so the relay never loads mongoose (or pg) it does not use
+const ADAPTERS = {
+    postgres: () => require('./postgres'),
+    mongo: () => require('./mongo'),
+    memory: () => require('./memory')
+};
+
+// A text session with no activity for this long is closed and summarised on the next /chat
+const TEXT_SESSION_IDLE_MS = parseInt(process.env.TEXT_SESSION_IDLE_MS) || 30 * 60 * 1000;
+
+let activeStore = null;
+
+/**
+ * Resolve the configured adapter name
+ * @returns {string|null} Null when no backend is configured
+ */
+function resolveStoreName() {
+    const configured = process.env.MEMORY_STORE?.trim().toLowerCase();
+    if (configured) {
+        if (!ADAPTERS[configured]) {
+            throw new Error(`Unknown MEMORY_STORE "${configured}" (expected ${Object.keys(ADAPTERS).join(', ')})`);
+        }
+        return configured;
+    }
+    if (process.env.DATABASE_URL) return 'postgres';
+    if (process.env.MONGODB_URI) return 'mongo';
+    return null;
+}
+
+/**
+ * Wrap an adapter with the composite operations callers use
+ * @param {Object} adapter - Storage adapter module
+ * @returns {Object} Store
+ */
+function createStore(adapter) {
+    /**
+     * End a session and merge its summary into long-term memory.
+     * Without a pre-computed summary the session is run through the summarizer
+     * (LLM with deterministic fallback).
+     * @param {Object} options - { summary, logFn(event, data) }
+     * @returns {Promise<Object>} Session summary
+     */
+    async function closeSession(userId, sessionId, options = {}) {
+        const { logFn = () => { } } = options;
+        let summary = options.summary || null;
+
+        if (!summary) {
+            const messages = await adapter.getSessionMessages(sessionId);
+            summary = await summarizer.summarize(messages, logFn);
+        }
+
+        const finalSummary = await adapter.endSession(sessionId, summary);
+        await adapter.mergeUserMemory(userId, finalSummary);
+        return finalSummary;
+    }
+
+    /**
+     * Resume the user's open session on a channel, or start a new one.
+     * An idle open session is closed (summarised) in the background so the
+     * caller does not wait on the summarizer.
+     * @returns {Promise<string>} Session id
+     */
+    async function getOrStartSession(userId, channel, idleMs = TEXT_SESSION_IDLE_MS) {
+        const open = await adapter.findOpenSession(userId, channel);
+
+        if (open) {
+            const idleFor = Date.now() - new Date(open.last_activity_at).getTime();
+            if (idleFor < idleMs) {
+                return open.id;
+            }
+            closeSession(userId, open.id).catch(error => {
+                console.warn(`⚠️  Failed to close idle ${channel} session:`, error.message);
+            });
+        }
+
+        return adapter.startSession(userId, channel);
+    }
+
+    /**
+     * Last session transcript + long-term memory, classified for observability
+     * @returns {Promise<Object>} { last_session_transcript, user_memory, has_context, reason_code }
+     */
+    async function getContextPack(userId, currentSessionId = null) {
+        const [lastSessionTranscript, userMemory] = await Promise.all([
+            adapter.getLastSessionTranscript(userId, currentSessionId),
+            adapter.getUserMemory(userId)
+        ]);
+
+        return {
+            last_session_transcript: lastSessionTranscript,
+            user_memory: userMemory,
+            ...classifyContext(lastSessionTranscript.length, userMemory?.key_points?.length || 0)
+        };
+    }
+
+    return {
+        ...adapter,
+        closeSession,
+        getOrStartSession,
+        getContextPack,
+        renderContextBlock
+    };
+}
+
+/**
+ * Get the process-wide store for the configured adapter
+ * @returns {Object|null} Store, or null when no backend is configured
+ */
+function getStore() {
+    if (!activeStore) {
+        const storeName = resolveStoreName();
+        activeStore = storeName ? createStore(ADAPTERS[storeName]()) : null;
+    }
+    return activeStore;
+}
+
+module.exports = {
+    getStore,
+    createStore,
+    resolveStoreName,
+    TEXT_SESSION_IDLE_MS
+};
@@ -0,0 +1,221 @@
+/**
+ * In-Memory Storage Adapter
+ *
+ * Process-local Maps implementing the storage interface. Nothing survives a
+ * restart - intended for tests and local development without a database.
+ */
+
+const crypto = require('crypto');
+const { emptyUserMemory, mergeMemory, generateSummary, formatJSONL } = require('./context');
+
+const name = 'memory';
+
+let identities = new Map(); // externalId -> userId
+let sessions = new Map();   // sessionId -> { id, user_id, channel, started_at, ended_at, summary }
+let messages = new Map();   // sessionId -> [{ id, role, content, metadata, created_at }]
+let memories = new Map();   // userId -> user memory record
+
+/**
+ * Clear all stored data (test isolation)
+ */
+function reset() {
+    identities = new Map();
+    sessions = new Map();
+    messages = new Map();
+    memories = new Map();
+}
+
+async function connect() {
+    return true;
+}
+
+function isReady() {
+    return true;
+}
+
+async function resolveUser(externalId) {
+    const key = String(externalId);
+    if (!identities.has(key)) {
+        const userId = crypto.randomUUID();
+        identities.set(key, userId);
+        memories.set(userId, emptyUserMemory());
+    }
+    return identities.get(key);
+}
+
+async function findOpenSession(userId, channel) {
+    const open = [...sessions.values()]
+        .filter(s => s.user_id === userId && s.channel === channel && !s.ended_at)
+        .sort((a, b) => b.started_at - a.started_at);
+
+    if (open.length === 0) return null;
+
+    const session = open[0];
+    const sessionMessages = messages.get(session.id);
+    const lastMessage = sessionMessages[sessionMessages.length - 1];
+    return {
+        id: session.id,
+        last_activity_at: lastMessage ? lastMessage.created_at : session.started_at
+    };
+}
+
+async function startSession(userId, channel = 'voice') {
+    const id = crypto.randomUUID();
+    sessions.set(id, {
+        id,
+        user_id: userId,
+        channel,
+        started_at: new Date(),
+        ended_at: null,
+        summary: {}
+    });
+    messages.set(id, []);
+    return id;
+}
+
+async function appendMessage(sessionId, role, content, metadata = null) {
+    const sessionMessages = messages.get(sessionId);
+    if (!sessionMessages) {
+        throw new Error(`Unknown session: ${sessionId}`);
+    }
+    sessionMessages.push({
+        id: crypto.randomUUID(),
+        role,
+        content,
+        metadata,
+        created_at: new Date()
+    });
+    return { success: true, latency_ms: 0 };
+}
+
+async function endSession(sessionId, summary = null) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+        throw new Error(`Unknown session: ${sessionId}`);
+    }
+
+    const finalSummary = summary || generateSummary(messages.get(sessionId));
+    session.ended_at = new Date();
+    session.summary = finalSummary;
+
+    const userMemory = memories.get(session.user_id) || emptyUserMemory();
+    memories.set(session.user_id, { ...userMemory, last_session_id: sessionId });
+
+    return finalSummary;
+}
+
+async function getSessionMessages(sessionId) {
+    return [...(messages.get(sessionId) || [])];
+}
+
+async function getLastSessionTranscript(userId, excludeSessionId = null) {
+    const candidates = [...sessions.values()]
+        .filter(s => s.user_id === userId && s.id !== excludeSessionId)
+        .sort((a, b) => (b.started_at - a.started_at) || b.id.localeCompare(a.id));
+
+    return candidates.length > 0 ? [...messages.get(candidates[0].id)] : [];
+}
+
+async function getUserMemory(userId) {
+    return memories.get(userId) || emptyUserMemory();
+}
+
+async function mergeUserMemory(userId, sessionSummary) {
+    const current = await getUserMemory(userId);
+    memories.set(userId, { ...current, ...mergeMemory(current, sessionSummary) });
+}
+
+async function getRecentMessages(userId, limit = 10) {
+    const userSessionIds = [...sessions.values()]
+        .filter(s => s.user_id === userId)
+        .map(s => s.id);
+
+    return userSessionIds
+        .flatMap(id => messages.get(id).map(m => ({ ...m, channel: sessions.get(id).channel })))
+        .filter(m => m.role === 'user' || m.role === 'assistant')
+        .sort((a, b) => a.created_at - b.created_at)
+        .slice(-limit)
+        .map(m => ({ role: m.role, content: m.content, timestamp: m.created_at, channel: m.channel }));
+}
+
+async function listSessions(userId, { limit = 20, offset = 0 } = {}) {
+    return [...sessions.values()]
+        .filter(s => s.user_id === userId)
+        .sort((a, b) => (b.started_at - a.started_at) || b.id.localeCompare(a.id))
+        .slice(offset, offset + limit)
+        .map(({ user_id, ...s }) => ({ ...s, message_count: messages.get(s.id).length }));
+}
+
+async function getSession(userId, sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session || session.user_id !== userId) return null;
+    const { user_id, ...rest } = session;
+    return rest;
+}
+
+async function exportSessionAsJSONL(sessionId) {
+    return formatJSONL(messages.get(sessionId) || []);
+}
+
+async function deleteSession(userId, sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session || session.user_id !== userId) return false;
+
+    sessions.delete(sessionId);
+    messages.delete(sessionId);
+
+    const userMemory = memories.get(userId);
+    if (userMemory?.last_session_id === sessionId) {
+        memories.set(userId, { ...userMemory, last_session_id: null });
+    }
+    return true;
+}
+
+async function updateUserMemory(userId, patch) {
+    const updated = { ...(await getUserMemory(userId)), ...patch };
+    memories.set(userId, updated);
+    return updated;
+}
+
+async function forgetUser(userId) {
+    let sessionCount = 0;
+    let messageCount = 0;
+
+    for (const session of [...sessions.values()]) {
+        if (session.user_id !== userId) continue;
+        messageCount += messages.get(session.id).length;
+        sessionCount++;
+        sessions.delete(session.id);
+        messages.delete(session.id);
+    }
+
+    memories.delete(userId);
+    for (const [externalId, mappedId] of identities) {
+        if (mappedId === userId) identities.delete(externalId);
+    }
+
+    return { sessions: sessionCount, messages: messageCount };
+}
+
+module.exports = {
+    name,
+    reset,
+    connect,
+    isReady,
+    resolveUser,
+    findOpenSession,
+    startSession,
+    appendMessage,
+    endSession,
+    getSessionMessages,
+    getLastSessionTranscript,
+    getUserMemory,
+    mergeUserMemory,
+    getRecentMessages,
+    listSessions,
+    getSession,
+    exportSessionAsJSONL,
+    deleteSession,
+    updateUserMemory,
+    forgetUser
+};
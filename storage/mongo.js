@@ -0,0 +1,346 @@
+/**
+ * Mongo Storage Adapter
+ *
+ * Maps the storage interface onto the Mongoose models:
+ * - Messages: the user's Conversation history, tagged with session_id + channel.
+ *   Appends go to metadata.conversation_id when given (a /chat thread),
+ *   otherwise to the user's default 'voice' thread.
+ * - Sessions: MemorySession documents
+ * - Long-term memory: User.memory sub-document
+ *
+ * Writes use atomic updates so /chat and the relay can append concurrently.
+ */
+
+const mongoose = require('mongoose');
+const { User, Conversation, ConversationArchive, MemorySession } = require('../models');
+const { scheduleCompaction } = require('./compaction');
+const { emptyUserMemory, mergeMemory, generateSummary, formatJSONL } = require('./context');
+
+const name = 'mongo';
+
+// /chat has always written to the 'voice' conversation; spoken turns join its
+// default thread so a user's typed and spoken history stays together.
+const MEMORY_CONVERSATION_TYPE = 'voice';
+const MAX_HISTORY = 1000; // Matches the ConversationSchema history validator
+
+// Messages land in Conversation threads, so /chat must not write them there a second time
+const storesConversationHistory = true;
+
+/**
+ * Connect mongoose if the host process has not already done so (relay)
+ * @returns {Promise<boolean>}
+ */
+async function connect() {
+    if (mongoose.connection.readyState === 1) return true;
+
+    const mongoUri = process.env.MONGODB_URI?.trim();
+    if (!mongoUri) {
+        throw new Error('MONGODB_URI not set - Mongo storage unavailable');
+    }
+
+    await mongoose.connect(mongoUri, {
+        serverSelectionTimeoutMS: 5000,
+        socketTimeoutMS: 45000,
+    });
+    return true;
+}
+
+/**
+ * @returns {boolean} Whether mongoose is connected
+ */
+function isReady() {
+    return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Mongo identities are User ObjectIds (the JWT userId)
+ * @param {string} externalId - User ObjectId string
+ * @returns {Promise<string>}
+ */
+async function resolveUser(externalId) {
+    if (!mongoose.isValidObjectId(externalId)) {
+        throw new Error('Mongo storage requires a User ObjectId as identity');
+    }
+    return String(externalId);
+}
+
+async function findOpenSession(userId, channel) {
+    const session = await MemorySession.findOne({ user_id: userId, channel, ended_at: null })
+        .sort({ started_at: -1, _id: -1 })
+        .lean();
+
+    return session ? { id: String(session._id), last_activity_at: session.last_activity_at } : null;
+}
+
+async function startSession(userId, channel = 'voice') {
+    const session = await MemorySession.create({ user_id: userId, channel });
+    return String(session._id);
+}
+
+async function appendMessage(sessionId, role, content, metadata = null) {
+    const startTime = Date.now();
+    const now = new Date();
+
+    const session = await MemorySession.findByIdAndUpdate(
+        sessionId,
+        { $set: { last_activity_at: now } },
+        { new: true }
+    ).lean();
+
+    if (!session) {
+        throw new Error(`Unknown session: ${sessionId}`);
+    }
+
+    const conversationId = metadata?.conversation_id
+        || await Conversation.getDefaultId(session.user_id, MEMORY_CONVERSATION_TYPE);
+
+    const result = await Conversation.updateOne(
+        { _id: conversationId, user_id: session.user_id },
+        {
+            $push: {
+                history: {
+                    $each: [{ role, content, timestamp: now, session_id: sessionId, channel: session.channel }],
+                    $slice: -MAX_HISTORY
+                }
+            },
+            $set: { updated_at: now }
+        }
+    );
+
+    if (result.matchedCount === 0) {
+        throw new Error(`Unknown conversation: ${conversationId}`);
+    }
+    scheduleCompaction(conversationId);
+
+    return { success: true, latency_ms: Date.now() - startTime };
+}
+
+/**
+ * Messages across all of a user's threads, oldest first
+ * @param {ObjectId|string} userId - User ObjectId
+ * @param {Object} match - Extra match on history entries (e.g. { 'history.session_id': id })
+ * @param {number} limit - Keep only the newest N (0 = all)
+ * @returns {Promise<Array>} History entries
+ */
+async function aggregateHistory(userId, match = {}, limit = 0) {
+    const pipeline = [
+        { $match: { user_id: new mongoose.Types.ObjectId(String(userId)) } },
+        { $unwind: '$history' },
+        { $match: match },
+        { $sort: { 'history.timestamp': -1 } }
+    ];
+    if (limit > 0) {
+        pipeline.push({ $limit: limit });
+    }
+    pipeline.push({ $replaceRoot: { newRoot: '$history' } });
+
+    const entries = await Conversation.aggregate(pipeline);
+    return entries.reverse();
+}
+
+/**
+ * Messages belonging to one session, oldest first
+ * @param {Object} session - Lean MemorySession
+ * @returns {Promise<Array>}
+ */
+async function getMessagesForSession(session) {
+    const history = await aggregateHistory(session.user_id, { 'history.session_id': String(session._id) });
+    return history.map(m => ({ role: m.role, content: m.content, created_at: m.timestamp }));
+}
+
+async function endSession(sessionId, summary = null) {
+    const session = await MemorySession.findById(sessionId).lean();
+    if (!session) {
+        throw new Error(`Unknown session: ${sessionId}`);
+    }
+
+    const finalSummary = summary || generateSummary(await getMessagesForSession(session));
+
+    await MemorySession.updateOne(
+        { _id: sessionId },
+        { $set: { ended_at: new Date(), summary: finalSummary } }
+    );
+    await User.updateOne(
+        { _id: session.user_id },
+        { $set: { 'memory.last_session_id': String(sessionId), 'memory.updated_at': new Date() } }
+    );
+
+    return finalSummary;
+}
+
+async function getSessionMessages(sessionId) {
+    const session = await MemorySession.findById(sessionId).lean();
+    return session ? getMessagesForSession(session) : [];
+}
+
+async function getLastSessionTranscript(userId, excludeSessionId = null) {
+    const query = { user_id: userId };
+    if (excludeSessionId) {
+        query._id = { $ne: excludeSessionId };
+    }
+
+    const lastSession = await MemorySession.findOne(query).sort({ started_at: -1, _id: -1 }).lean();
+    return lastSession ? getMessagesForSession(lastSession) : [];
+}
+
+async function getUserMemory(userId) {
+    const user = await User.findById(userId).select('memory').lean();
+    return user?.memory ? { ...emptyUserMemory(), ...user.memory } : emptyUserMemory();
+}
+
+async function mergeUserMemory(userId, sessionSummary) {
+    const current = await getUserMemory(userId);
+    const merged = mergeMemory(current, sessionSummary);
+
+    await User.updateOne(
+        { _id: userId },
+        {
+            $set: {
+                'memory.history_summary': merged.history_summary,
+                'memory.key_points': merged.key_points,
+                'memory.open_loops': merged.open_loops,
+                'memory.preferences': merged.preferences,
+                'memory.entities': merged.entities,
+                'memory.updated_at': new Date()
+            }
+        }
+    );
+}
+
+async function getRecentMessages(userId, limit = 10) {
+    const history = await aggregateHistory(userId, { 'history.role': { $in: ['user', 'assistant'] } }, limit);
+
+    return history.map(m => ({
+        role: m.role,
+        content: m.content,
+        timestamp: m.timestamp,
+        channel: m.channel
+    }));
+}
+
+async function listSessions(userId, { limit = 20, offset = 0 } = {}) {
+    const [sessions, conversations] = await Promise.all([
+        MemorySession.find({ user_id: userId })
+            .sort({ started_at: -1, _id: -1 })
+            .skip(offset)
+            .limit(limit)
+            .lean(),
+        Conversation.find({ user_id: userId }).select('history.session_id').lean()
+    ]);
+
+    const counts = new Map();
+    for (const m of conversations.flatMap(c => c.history || [])) {
+        if (m.session_id) counts.set(m.session_id, (counts.get(m.session_id) || 0) + 1);
+    }
+
+    return sessions.map(s => ({
+        id: String(s._id),
+        channel: s.channel,
+        started_at: s.started_at,
+        ended_at: s.ended_at,
+        summary: s.summary,
+        message_count: counts.get(String(s._id)) || 0
+    }));
+}
+
+async function getSession(userId, sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) return null;
+
+    const session = await MemorySession.findOne({ _id: sessionId, user_id: userId }).lean();
+    return session ? {
+        id: String(session._id),
+        channel: session.channel,
+        started_at: session.started_at,
+        ended_at: session.ended_at,
+        summary: session.summary
+    } : null;
+}
+
+async function exportSessionAsJSONL(sessionId) {
+    return formatJSONL(await getSessionMessages(sessionId));
+}
+
+async function deleteSession(userId, sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const result = await MemorySession.deleteOne({ _id: sessionId, user_id: userId });
+    if (result.deletedCount === 0) return false;
+
+    await Conversation.updateMany(
+        { user_id: userId },
+        { $pull: { history: { session_id: String(sessionId) } } }
+    );
+    await ConversationArchive.updateMany(
+        { user_id: userId },
+        { $pull: { messages: { session_id: String(sessionId) } } }
+    );
+    await User.updateOne(
+        { _id: userId, 'memory.last_session_id': String(sessionId) },
+        { $set: { 'memory.last_session_id': null } }
+    );
+    return true;
+}
+
+async function updateUserMemory(userId, patch) {
+    const update = { 'memory.updated_at': new Date() };
+    for (const [field, value] of Object.entries(patch)) {
+        update[`memory.${field}`] = value;
+    }
+
+    await User.updateOne({ _id: userId }, { $set: update });
+    return getUserMemory(userId);
+}
+
+/**
+ * Delete a user's conversation threads (with their rolling summaries) and
+ * archived messages. Also used by server.js when another store is active,
+ * since /chat keeps threads in Mongo regardless.
+ * @param {ObjectId|string} userId - Mongo user ID
+ * @returns {Promise<{conversations: number, messages: number}>}
+ */
+async function forgetConversations(userId) {
+    const conversations = await Conversation.find({ user_id: userId }).select('history._id archived_message_count').lean();
+    const messages = conversations.reduce(
+        (sum, c) => sum + (c.history?.length || 0) + (c.archived_message_count || 0), 0
+    );
+
+    await Conversation.deleteMany({ user_id: userId });
+    await ConversationArchive.deleteMany({ user_id: userId });
+    return { conversations: conversations.length, messages };
+}
+
+/**
+ * Forget a user's memory: sessions, conversation history and User.memory.
+ * The login account itself is kept.
+ */
+async function forgetUser(userId) {
+    const sessionsResult = await MemorySession.deleteMany({ user_id: userId });
+    const threads = await forgetConversations(userId);
+    await User.updateOne({ _id: userId }, { $unset: { memory: '' } });
+
+    return { sessions: sessionsResult.deletedCount, ...threads };
+}
+
+module.exports = {
+    name,
+    storesConversationHistory,
+    connect,
+    isReady,
+    resolveUser,
+    findOpenSession,
+    startSession,
+    appendMessage,
+    endSession,
+    getSessionMessages,
+    getLastSessionTranscript,
+    getUserMemory,
+    mergeUserMemory,
+    getRecentMessages,
+    listSessions,
+    getSession,
+    exportSessionAsJSONL,
+    deleteSession,
+    updateUserMemory,
+    forgetUser,
+    forgetConversations
+};
@@ -0,0 +1,85 @@
+/**
+ * Postgres Storage Adapter
+ *
+ * Thin mapping of the storage interface onto db/memory.js
+ * (users, user_identities, sessions, messages, user_memory).
+ */
+
+const memory = require('../db/memory');
+
+const name = 'postgres';
+
+/**
+ * No-op: pg.Pool connects lazily on first query
+ */
+async function connect() {
+    return true;
+}
+
+/**
+ * @returns {boolean} Whether the store can be used
+ */
+function isReady() {
+    return !!process.env.DATABASE_URL;
+}
+
+/**
+ * Map an external identity (JWT userId, header id) to a Postgres user UUID
+ * @param {string} externalId - External user identifier
+ * @returns {Promise<string>} User UUID
+ */
+async function resolveUser(externalId) {
+    const { user_id } = await memory.getOrCreateUser(String(externalId));
+    return user_id;
+}
+
+/**
+ * Find the newest open session on a channel
+ * @returns {Promise<{id: string, last_activity_at: Date}|null>}
+ */
+async function findOpenSession(userId, channel) {
+    return memory.findOpenSession(userId, channel);
+}
+
+/**
+ * Start a session and return its id
+ */
+async function startSession(userId, channel) {
+    return memory.startSession(userId, channel);
+}
+
+/**
+ * Append a message to a session
+ */
+async function appendMessage(sessionId, role, content, metadata = null) {
+    return memory.appendMessage(sessionId, role, content, metadata);
+}
+
+/**
+ * End a session; returns the stored summary
+ */
+async function endSession(sessionId, summary = null) {
+    return memory.endSession(sessionId, summary);
+}
+
+module.exports = {
+    name,
+    connect,
+    isReady,
+    resolveUser,
+    findOpenSession,
+    startSession,
+    appendMessage,
+    endSession,
+    getSessionMessages: memory.getSessionMessages,
+    getLastSessionTranscript: memory.getLastSessionTranscript,
+    getUserMemory: memory.getUserMemory,
+    mergeUserMemory: memory.mergeUserMemory,
+    getRecentMessages: memory.getRecentUserMessages,
+    listSessions: memory.listSessions,
+    getSession: memory.getSession,
+    exportSessionAsJSONL: memory.exportSessionAsJSONL,
+    deleteSession: memory.deleteSession,
+    updateUserMemory: memory.updateUserMemory,
+    forgetUser: memory.deleteUser
+};
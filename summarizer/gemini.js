@@ -0,0 +1,73 @@
+/**
+ * Gemini Summarizer Provider
+ *
+ * Structured JSON summaries via Gemini's responseSchema mode.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { SUMMARY_SCHEMA, buildPrompt, normalizeSummary } = require('./prompt');
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY?.trim();
+const SUMMARIZER_GEMINI_MODEL = process.env.SUMMARIZER_GEMINI_MODEL || 'gemini-2.5-flash';
+
+let model = null;
+
+/**
+ * Gemini's schema dialect is an OpenAPI subset without additionalProperties
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Gemini response schema
+ */
+function toGeminiSchema(schema) {
+    const { additionalProperties, properties, items, ...rest } = schema;
+    const converted = { ...rest };
+    if (properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+    }
+    if (items) {
+        converted.items = toGeminiSchema(items);
+    }
+    return converted;
+}
+
+/**
+ * @returns {boolean} Whether the provider has credentials
+ */
+function isConfigured() {
+    return !!GEMINI_API_KEY;
+}
+
+/**
+ * Summarise a session transcript
+ * @param {Array} messages - Array of {role, content}
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} Normalised summary
+ * @throws {Error} with status property for HTTP errors
+ */
+async function summarize(messages, { signal } = {}) {
+    if (!GEMINI_API_KEY) {
+        throw new Error('GEMINI_API_KEY not set');
+    }
+
+    if (!model) {
+        model = new GoogleGenerativeAI(GEMINI_API_KEY).getGenerativeModel({
+            model: SUMMARIZER_GEMINI_MODEL,
+            generationConfig: {
+                temperature: 0.2,
+                responseMimeType: 'application/json',
+                responseSchema: toGeminiSchema(SUMMARY_SCHEMA)
+            }
+        });
+    }
+
+    try {
+        const result = await model.generateContent(buildPrompt(messages), { signal });
+        return normalizeSummary(JSON.parse(result.response.text()));
+    } catch (error) {
+        error.provider = 'gemini';
+        throw error;
+    }
+}
+
+module.exports = { summarize, isConfigured };
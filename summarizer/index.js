@@ -0,0 +1,117 @@
+/**
+ * Session Summarizer Orchestrator
+ *
+ * Turns a finished session's messages into the structured summary that is
+ * merged into long-term memory (key_points, open_loops, decisions,
+ * preferences, entities, history_snippet).
+ *
+ * Providers (selected by SUMMARIZER_PROVIDER):
+ * - gemini:        Gemini structured JSON output
+ * - openai:        OpenAI json_schema output
+ * - mock:          offline keyword rules (tests, local development)
+ * - deterministic: storage/context.js generateSummary (no LLM)
+ *
+ * Default: gemini if GEMINI_API_KEY is set, else openai if OPENAI_API_KEY is set, else deterministic.
+ *
+ * Any provider error, timeout, invalid response or open circuit breaker
+ * ("summarizer:<provider>") falls back to the deterministic summary -
+ * summarize() never throws.
+ */
+
+const { getBreaker } = require('../breaker');
+const { generateSummary } = require('../storage/context');
+const geminiProvider = require('./gemini');
+const openaiProvider = require('./openai');
+const mockProvider = require('./mock');
+
+const PROVIDERS = {
+    gemini: geminiProvider,
+    openai: openaiProvider,
+    mock: mockProvider
+};
+
+// Configuration
+const SUMMARIZER_TIMEOUT_MS = parseInt(process.env.SUMMARIZER_TIMEOUT_MS) || 10000;
+const SUMMARIZER_MIN_MESSAGES = parseInt(process.env.SUMMARIZER_MIN_MESSAGES) || 2; // Shorter sessions skip the LLM
+
+/**
+ * Resolve the configured provider name
+ * @returns {string} gemini | openai | mock | deterministic
+ */
+function resolveProviderName() {
+    const configured = process.env.SUMMARIZER_PROVIDER?.trim().toLowerCase();
+    if (configured) {
+        if (configured !== 'deterministic' && !PROVIDERS[configured]) {
+            console.warn(`⚠️  Unknown SUMMARIZER_PROVIDER "${configured}" - using deterministic summaries`);
+            return 'deterministic';
+        }
+        return configured;
+    }
+    if (geminiProvider.isConfigured()) return 'gemini';
+    if (openaiProvider.isConfigured()) return 'openai';
+    return 'deterministic';
+}
+
+/**
+ * Deterministic summary tagged with its source
+ * @param {Array} messages - Array of {role, content}
+ * @returns {Object}
+ */
+function deterministicSummary(messages) {
+    return { ...generateSummary(messages), summary_source: 'deterministic' };
+}
+
+/**
+ * Summarise a session, falling back to the deterministic summary on any failure
+ * @param {Array} messages - Array of {role, content} (oldest first)
+ * @param {Function} logFn - Logging function (event, data)
+ * @returns {Promise<Object>} Summary with summary_source set to the provider used
+ */
+async function summarize(messages, logFn = () => { }) {
+    const providerName = resolveProviderName();
+    const conversational = messages.filter(m => m.role === 'user' || m.role === 'assistant');
+
+    if (providerName === 'deterministic' || conversational.length < SUMMARIZER_MIN_MESSAGES) {
+        return deterministicSummary(messages);
+    }
+
+    const provider = PROVIDERS[providerName];
+    const ticket = getBreaker(`summarizer:${providerName}`).tryAcquire();
+    if (!ticket) {
+        logFn('SUMMARIZER_FALLBACK', { provider: providerName, reason: 'circuit_open' });
+        return deterministicSummary(messages);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SUMMARIZER_TIMEOUT_MS);
+    const startTime = Date.now();
+
+    try {
+        logFn('SUMMARIZER_ATTEMPT', { provider: providerName, messages: conversational.length });
+        const summary = await provider.summarize(conversational, { signal: controller.signal });
+        ticket.succeed();
+        logFn('SUMMARIZER_SUCCESS', {
+            provider: providerName,
+            latency_ms: Date.now() - startTime,
+            key_points: summary.key_points.length
+        });
+        return { ...summary, summary_source: providerName };
+    } catch (error) {
+        ticket.fail(error); // Unparseable output (no status) counts against the provider too
+        logFn('SUMMARIZER_FALLBACK', {
+            provider: providerName,
+            reason: controller.signal.aborted ? 'timeout' : (error.status || 'error'),
+            message: error.message
+        });
+        return deterministicSummary(messages);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    summarize,
+    resolveProviderName,
+    SUMMARIZER_TIMEOUT_MS,
+    SUMMARIZER_MIN_MESSAGES
+};
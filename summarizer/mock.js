@@ -0,0 +1,49 @@
+/**
+ * Mock Summarizer Provider
+ *
+ * Offline stand-in for the LLM providers. Produces a schema-shaped summary
+ * from simple keyword rules so the pipeline (normalisation, merge, context
+ * injection) can be exercised without network access.
+ *
+ * SUMMARIZER_MOCK_FAIL=true makes every call throw, to exercise the fallback.
+ */
+
+const { normalizeSummary } = require('./prompt');
+
+/**
+ * @returns {boolean} Always available
+ */
+function isConfigured() {
+    return true;
+}
+
+/**
+ * Summarise a session transcript
+ * @param {Array} messages - Array of {role, content}
+ * @returns {Promise<Object>} Normalised summary
+ */
+async function summarize(messages) {
+    if (process.env.SUMMARIZER_MOCK_FAIL === 'true') {
+        const error = new Error('Simulated summarizer failure');
+        error.provider = 'mock';
+        throw error;
+    }
+
+    const userLines = messages
+        .filter(m => m.role === 'user')
+        .map(m => String(m.content).trim())
+        .filter(Boolean);
+
+    const raw = {
+        key_points: userLines.slice(-3).map(line => `The user said: ${line}`),
+        open_loops: userLines.filter(line => /\b(remind|todo|later|tomorrow|follow up)\b/i.test(line)),
+        decisions: userLines.filter(line => /\b(let's|we will|decided|go with)\b/i.test(line)),
+        preferences: userLines.filter(line => /\b(i prefer|i like|i don't like|always|never)\b/i.test(line)),
+        entities: [],
+        history_snippet: userLines.length > 0 ? `Mock summary of ${messages.length} messages` : ''
+    };
+
+    return normalizeSummary(raw);
+}
+
+module.exports = { summarize, isConfigured };
@@ -0,0 +1,72 @@
+/**
+ * OpenAI Summarizer Provider
+ *
+ * Structured JSON summaries via Chat Completions json_schema response format.
+ */
+
+const { SUMMARY_INSTRUCTIONS, SUMMARY_SCHEMA, buildTranscript, normalizeSummary } = require('./prompt');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY?.trim();
+const SUMMARIZER_OPENAI_MODEL = process.env.SUMMARIZER_OPENAI_MODEL || 'gpt-4o-mini';
+
+/**
+ * @returns {boolean} Whether the provider has credentials
+ */
+function isConfigured() {
+    return !!OPENAI_API_KEY;
+}
+
+/**
+ * Summarise a session transcript
+ * @param {Array} messages - Array of {role, content}
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} Normalised summary
+ * @throws {Error} with status property for HTTP errors
+ */
+async function summarize(messages, { signal } = {}) {
+    if (!OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY not set');
+    }
+
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${OPENAI_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            model: SUMMARIZER_OPENAI_MODEL,
+            temperature: 0.2,
+            messages: [
+                { role: 'system', content: SUMMARY_INSTRUCTIONS },
+                { role: 'user', content: `Conversation:\n${buildTranscript(messages)}` }
+            ],
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'session_summary', strict: true, schema: SUMMARY_SCHEMA }
+            }
+        }),
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`OpenAI summarizer failed: ${response.status}`);
+        error.status = response.status;
+        error.body = errorText.substring(0, 200);
+        error.provider = 'openai';
+        throw error;
+    }
+
+    const result = await response.json();
+    const content = result.choices?.[0]?.message?.content;
+    if (!content) {
+        const error = new Error('OpenAI summarizer returned no content');
+        error.provider = 'openai';
+        throw error;
+    }
+
+    return normalizeSummary(JSON.parse(content));
+}
+
+module.exports = { summarize, isConfigured };
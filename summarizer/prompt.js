@@ -0,0 +1,135 @@
+/**
+ * Session Summary Prompt + Schema
+ *
+ * Shared by the LLM summarizer providers so Gemini and OpenAI are asked the
+ * same question and their answers are normalised to the same shape.
+ */
+
+// Max transcript characters sent to a provider (newest messages kept)
+const MAX_TRANSCRIPT_CHARS = parseInt(process.env.SUMMARIZER_MAX_INPUT_CHARS) || 12000;
+const MAX_ITEMS = 10;
+const MAX_ITEM_CHARS = 200;
+
+const SUMMARY_INSTRUCTIONS = `You maintain long-term memory for Jarvis, a personal voice assistant.
+Summarise the conversation below into JSON for future sessions.
+
+Rules:
+- key_points: durable facts worth remembering (what the user is working on, facts about the user, outcomes). Not small talk.
+- open_loops: unfinished tasks, follow-ups or questions still open at the end of the session.
+- decisions: things the user decided or agreed to.
+- preferences: stated user preferences about how Jarvis should behave or what they like.
+- entities: named people, projects, places or tools, each with a short description.
+- history_snippet: one sentence describing the session.
+- Only include what the conversation supports. Use empty arrays when nothing applies.
+- Write each item as a short standalone sentence in the third person ("The user ...").`;
+
+/**
+ * JSON schema for structured output.
+ * Entities are an array of {name, description} because both providers'
+ * structured-output modes require fixed object keys; normalizeSummary maps
+ * them back to the { name: description } object used by user memory.
+ */
+const SUMMARY_SCHEMA = {
+    type: 'object',
+    properties: {
+        key_points: { type: 'array', items: { type: 'string' } },
+        open_loops: { type: 'array', items: { type: 'string' } },
+        decisions: { type: 'array', items: { type: 'string' } },
+        preferences: { type: 'array', items: { type: 'string' } },
+        entities: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    description: { type: 'string' }
+                },
+                required: ['name', 'description'],
+                additionalProperties: false
+            }
+        },
+        history_snippet: { type: 'string' }
+    },
+    required: ['key_points', 'open_loops', 'decisions', 'preferences', 'entities', 'history_snippet'],
+    additionalProperties: false
+};
+
+/**
+ * Render messages as a plain transcript, dropping the oldest lines past the budget
+ * @param {Array} messages - Array of {role, content}
+ * @returns {string}
+ */
+function buildTranscript(messages) {
+    const lines = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const msg = messages[i];
+        if (msg.role !== 'user' && msg.role !== 'assistant') continue;
+        const line = `${msg.role === 'user' ? 'User' : 'Assistant'}: ${String(msg.content).trim()}`;
+        if (used + line.length + 1 > MAX_TRANSCRIPT_CHARS) break;
+        lines.unshift(line);
+        used += line.length + 1;
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Full prompt for providers without a separate system role
+ * @param {Array} messages - Array of {role, content}
+ * @returns {string}
+ */
+function buildPrompt(messages) {
+    return `${SUMMARY_INSTRUCTIONS}\n\nConversation:\n${buildTranscript(messages)}`;
+}
+
+/**
+ * Validate and coerce a provider response into the session summary shape
+ * @param {Object} raw - Parsed provider JSON
+ * @returns {Object} Summary with key_points, open_loops, decisions, preferences, entities, history_snippet
+ * @throws {Error} if the response is not an object
+ */
+function normalizeSummary(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Summary response is not a JSON object');
+    }
+
+    const list = (value) => {
+        if (!Array.isArray(value)) return [];
+        const items = value
+            .filter(item => typeof item === 'string')
+            .map(item => item.replace(/\s+/g, ' ').trim().substring(0, MAX_ITEM_CHARS))
+            .filter(Boolean);
+        return [...new Set(items)].slice(0, MAX_ITEMS);
+    };
+
+    const entities = {};
+    const rawEntities = Array.isArray(raw.entities)
+        ? raw.entities
+        : Object.entries(raw.entities || {}).map(([name, description]) => ({ name, description }));
+    for (const entity of rawEntities.slice(0, MAX_ITEMS)) {
+        const name = typeof entity?.name === 'string' ? entity.name.trim() : '';
+        if (!name) continue;
+        entities[name] = String(entity.description ?? '').trim().substring(0, MAX_ITEM_CHARS);
+    }
+
+    const snippet = typeof raw.history_snippet === 'string' ? raw.history_snippet.trim() : '';
+
+    return {
+        key_points: list(raw.key_points),
+        open_loops: list(raw.open_loops),
+        decisions: list(raw.decisions),
+        preferences: list(raw.preferences),
+        entities,
+        history_snippet: snippet ? snippet.substring(0, MAX_ITEM_CHARS) : null
+    };
+}
+
+module.exports = {
+    SUMMARY_INSTRUCTIONS,
+    SUMMARY_SCHEMA,
+    buildTranscript,
+    buildPrompt,
+    normalizeSummary
+};
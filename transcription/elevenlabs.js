@@ -15,10 +15,11 @@ const ELEVENLABS_STT_MODEL = process.env.ELEVENLABS_STT_MODEL || 'scribe_v1';
  * Transcribe audio using ElevenLabs STT API
  * @param {Buffer} audioBuffer - Raw audio data
  * @param {string} format - Audio format (webm, wav, mp3)
+ * @param {Object} options - { signal } aborts the upload (timeouts)
  * @returns {Promise<{text: string, provider: string}>}
  * @throws {Error} with status property for HTTP errors
  */
-async function transcribe(audioBuffer, format) {
+async function transcribe(audioBuffer, format, { signal } = {}) {
     if (!ELEVENLABS_API_KEY) {
         const error = new Error('ElevenLabs API key not configured');
         error.status = 500;
@@ -49,7 +50,8 @@ async function transcribe(audioBuffer, format) {
             'xi-api-key': ELEVENLABS_API_KEY
             // Let fetch set Content-Type with boundary automatically
         },
-        body: form
+        body: form,
+        signal
     });
 
     if (!response.ok) {
@@ -8,10 +8,15 @@
  * Failover triggers:
  * - 429 (rate limit) - always if STT_FAILOVER_ON_429=true
  * - 5xx (server error) - if STT_FAILOVER_ON_5XX=true
+ * - timeout (STT_TIMEOUT_MS) or open circuit breaker - always
  * 
  * Never failover on 401/403 (auth errors).
+ *
+ * Each provider call runs through its circuit breaker (breaker/, keyed
+ * "stt:<provider>"), so during an outage the primary is skipped immediately.
  */
 
+const { getBreaker } = require('../breaker');
 const openaiProvider = require('./openai');
 const elevenlabsProvider = require('./elevenlabs');
 
@@ -19,6 +24,7 @@ const elevenlabsProvider = require('./elevenlabs');
 const STT_FAILOVER_ON_429 = process.env.STT_FAILOVER_ON_429 !== 'false'; // Default true
 const STT_FAILOVER_ON_5XX = process.env.STT_FAILOVER_ON_5XX === 'true';  // Default false
 const STT_FORCE_429_TEST = process.env.STT_FORCE_429_TEST === 'true';    // Deterministic test mode
+const STT_TIMEOUT_MS = parseInt(process.env.STT_TIMEOUT_MS) || 15000;    // Per provider call
 
 /**
  * Check if error status should trigger failover
@@ -44,6 +50,33 @@ function shouldFailover(status) {
     return false;
 }
 
+/**
+ * Call one provider through its circuit breaker with a timeout
+ * @param {string} name - Provider name (openai, elevenlabs)
+ * @param {Object} provider - Provider module
+ * @param {Buffer} audioBuffer - Raw audio data
+ * @param {string} format - Audio format
+ * @returns {Promise<{text: string, provider: string}>}
+ * @throws {Error} provider error, or code CIRCUIT_OPEN / ETIMEDOUT
+ */
+function callProvider(name, provider, audioBuffer, format) {
+    return getBreaker(`stt:${name}`).execute(
+        (signal) => provider.transcribe(audioBuffer, format, { signal }),
+        { timeoutMs: STT_TIMEOUT_MS }
+    );
+}
+
+/**
+ * Failover reason for a primary error, or null if it should not fail over
+ * @param {Error} error - Primary provider error
+ * @returns {string|number|null}
+ */
+function failoverReason(error) {
+    if (error.code === 'CIRCUIT_OPEN') return 'circuit_open';
+    if (error.code === 'ETIMEDOUT') return 'timeout';
+    return shouldFailover(error.status) ? error.status : null;
+}
+
 /**
  * Transcribe audio with automatic failover
  * @param {Buffer} audioBuffer - Raw audio data
@@ -66,7 +99,7 @@ async function transcribe(audioBuffer, format, logFn = () => { }) {
             to: 'elevenlabs'
         });
 
-        const fallbackResult = await elevenlabsProvider.transcribe(audioBuffer, format);
+        const fallbackResult = await callProvider('elevenlabs', elevenlabsProvider, audioBuffer, format);
         return {
             ...fallbackResult,
             failover: true,
@@ -77,30 +110,32 @@ async function transcribe(audioBuffer, format, logFn = () => { }) {
     // Try primary provider (OpenAI)
     try {
         logFn('STT_PROVIDER_ATTEMPT', { provider: 'openai' });
-        const result = await openaiProvider.transcribe(audioBuffer, format);
+        const result = await callProvider('openai', openaiProvider, audioBuffer, format);
         logFn('STT_PROVIDER_SUCCESS', { provider: 'openai', textLength: result.text.length });
         return result;
     } catch (primaryError) {
         logFn('STT_PROVIDER_ERROR', {
             provider: 'openai',
             status: primaryError.status,
+            code: primaryError.code,
             message: primaryError.message
         });
 
         // Check if we should failover
-        if (!shouldFailover(primaryError.status)) {
+        const reason = failoverReason(primaryError);
+        if (reason === null) {
             throw primaryError;
         }
 
         // Failover to ElevenLabs
         logFn('STT_FAILOVER_TRIGGERED', {
-            reason: primaryError.status,
+            reason,
             from: 'openai',
             to: 'elevenlabs'
         });
 
         try {
-            const fallbackResult = await elevenlabsProvider.transcribe(audioBuffer, format);
+            const fallbackResult = await callProvider('elevenlabs', elevenlabsProvider, audioBuffer, format);
             logFn('STT_PROVIDER_SUCCESS', {
                 provider: 'elevenlabs',
                 textLength: fallbackResult.text.length,
@@ -109,18 +144,19 @@ async function transcribe(audioBuffer, format, logFn = () => { }) {
             return {
                 ...fallbackResult,
                 failover: true,
-                failoverReason: primaryError.status
+                failoverReason: reason
             };
         } catch (fallbackError) {
             logFn('STT_FALLBACK_FAILED', {
                 provider: 'elevenlabs',
                 status: fallbackError.status,
+                code: fallbackError.code,
                 message: fallbackError.message
             });
 
             // Create combined error
             const combinedError = new Error(
-                `Both providers failed. OpenAI: ${primaryError.status}, ElevenLabs: ${fallbackError.status}`
+                `Both providers failed. OpenAI: ${reason}, ElevenLabs: ${fallbackError.status || fallbackError.code}`
             );
             combinedError.status = fallbackError.status;
             combinedError.primaryError = primaryError;
@@ -135,5 +171,6 @@ module.exports = {
     shouldFailover,
     STT_FAILOVER_ON_429,
     STT_FAILOVER_ON_5XX,
-    STT_FORCE_429_TEST
+    STT_FORCE_429_TEST,
+    STT_TIMEOUT_MS
 };
@@ -11,10 +11,11 @@ const TRANSCRIPTION_MODEL = process.env.TRANSCRIPTION_MODEL || 'whisper-1';
  * Transcribe audio using OpenAI Whisper API
  * @param {Buffer} audioBuffer - Raw audio data
  * @param {string} format - Audio format (webm, wav, mp3)
+ * @param {Object} options - { signal } aborts the upload (timeouts)
  * @returns {Promise<{text: string, provider: string}>}
  * @throws {Error} with status property for HTTP errors
  */
-async function transcribe(audioBuffer, format) {
+async function transcribe(audioBuffer, format, { signal } = {}) {
     const FORMAT_MIME_MAP = {
         'webm': { ext: 'webm', mime: 'audio/webm' },
         'wav': { ext: 'wav', mime: 'audio/wav' },
@@ -34,7 +35,8 @@ async function transcribe(audioBuffer, format) {
         headers: {
             'Authorization': `Bearer ${OPENAI_API_KEY}`
         },
-        body: form
+        body: form,
+        signal
     });
 
     if (!response.ok) {
@@ -0,0 +1,187 @@
+/**
+ * Filesystem TTS Cache Backend
+ *
+ * One pair of files per entry in TTS_CACHE_DIR:
+ * - <key>.mp3   audio (its mtime is bumped on every hit, for LRU eviction)
+ * - <key>.json  { contentType, provider, chars, created_at }
+ *
+ * An in-memory index (sizes and timestamps) is built from the directory on
+ * first use, so eviction never has to re-scan the disk.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Configuration
+const TTS_CACHE_DIR = process.env.TTS_CACHE_DIR || path.join(os.tmpdir(), 'jarvis-tts-cache');
+
+const name = 'fs';
+
+let indexPromise = null; // Map key -> { bytes, createdAt, lastUsedAt }
+
+const audioPath = key => path.join(TTS_CACHE_DIR, `${key}.mp3`);
+const metaPath = key => path.join(TTS_CACHE_DIR, `${key}.json`);
+
+/**
+ * Load (once) the index of cached entries
+ * @returns {Promise<Map>}
+ */
+function loadIndex() {
+    if (!indexPromise) {
+        indexPromise = (async () => {
+            await fs.mkdir(TTS_CACHE_DIR, { recursive: true });
+            const index = new Map();
+            for (const file of await fs.readdir(TTS_CACHE_DIR)) {
+                if (!file.endsWith('.json')) continue;
+                const key = file.slice(0, -'.json'.length);
+                try {
+                    const meta = JSON.parse(await fs.readFile(metaPath(key), 'utf8'));
+                    const stat = await fs.stat(audioPath(key));
+                    index.set(key, { bytes: stat.size, createdAt: Date.parse(meta.created_at), lastUsedAt: stat.mtimeMs });
+                } catch {
+                    // Half-written or orphaned entry. Not remove(): that awaits
+                    // the index this very promise is still building
+                    await removeFiles(key);
+                }
+            }
+            return index;
+        })().catch(error => {
+            indexPromise = null; // Retry on the next call
+            throw error;
+        });
+    }
+    return indexPromise;
+}
+
+/**
+ * @returns {boolean} Always usable (the directory is created on demand)
+ */
+function isReady() {
+    return true;
+}
+
+/**
+ * Delete an entry's files, leaving the index alone
+ * @param {string} key - Cache key
+ */
+async function removeFiles(key) {
+    await Promise.all([
+        fs.rm(audioPath(key), { force: true }),
+        fs.rm(metaPath(key), { force: true })
+    ]);
+}
+
+/**
+ * Delete an entry's files and drop it from the index
+ * @param {string} key - Cache key
+ */
+async function remove(key) {
+    await removeFiles(key);
+    if (indexPromise) {
+        (await indexPromise).delete(key);
+    }
+}
+
+/**
+ * Read an entry
+ * @param {string} key - Cache key
+ * @returns {Promise<{audio: Buffer, meta: Object}|null>}
+ */
+async function get(key) {
+    const index = await loadIndex();
+    const entry = index.get(key);
+    if (!entry) return null;
+
+    try {
+        const [audio, meta] = await Promise.all([
+            fs.readFile(audioPath(key)),
+            fs.readFile(metaPath(key), 'utf8').then(JSON.parse)
+        ]);
+        const now = new Date();
+        entry.lastUsedAt = now.getTime();
+        fs.utimes(audioPath(key), now, now).catch(() => { });
+        return { audio, meta };
+    } catch {
+        await remove(key);
+        return null;
+    }
+}
+
+/**
+ * Write a file via a temp file renamed into place, so a crash never leaves
+ * it half-written
+ * @param {string} filePath - Destination
+ * @param {Buffer|string} data - Contents
+ */
+async function writeAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Write an entry (audio first, then meta, each renamed into place)
+ * @param {string} key - Cache key
+ * @param {Buffer} audio - Complete audio
+ * @param {Object} meta - { contentType, provider, chars, created_at }
+ */
+async function put(key, audio, meta) {
+    const index = await loadIndex();
+    await writeAtomic(audioPath(key), audio);
+    await writeAtomic(metaPath(key), JSON.stringify(meta));
+
+    const now = Date.now();
+    index.set(key, { bytes: audio.length, createdAt: Date.parse(meta.created_at), lastUsedAt: now });
+}
+
+/**
+ * Drop expired entries, then least recently used ones until under maxBytes
+ * @param {Object} limits - { maxBytes, ttlMs }
+ * @returns {Promise<number>} Entries removed
+ */
+async function sweep({ maxBytes, ttlMs }) {
+    const index = await loadIndex();
+    const cutoff = Date.now() - ttlMs;
+    let removed = 0;
+
+    for (const [key, entry] of index) {
+        if (entry.createdAt < cutoff) {
+            await remove(key);
+            removed++;
+        }
+    }
+
+    let total = [...index.values()].reduce((sum, entry) => sum + entry.bytes, 0);
+    const byLastUse = [...index.entries()].sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+    for (const [key, entry] of byLastUse) {
+        if (total <= maxBytes) break;
+        await remove(key);
+        total -= entry.bytes;
+        removed++;
+    }
+
+    return removed;
+}
+
+/**
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+async function stats() {
+    const index = await loadIndex();
+    return {
+        entries: index.size,
+        bytes: [...index.values()].reduce((sum, entry) => sum + entry.bytes, 0)
+    };
+}
+
+module.exports = {
+    name,
+    isReady,
+    get,
+    put,
+    remove,
+    sweep,
+    stats,
+    TTS_CACHE_DIR
+};
@@ -0,0 +1,124 @@
+/**
+ * Mongo GridFS TTS Cache Backend
+ *
+ * Entries live in the "tts_cache" GridFS bucket, shared by every instance
+ * (and by /chat and the relay) that points at the same MONGODB_URI:
+ * - filename:  cache key
+ * - metadata:  { contentType, provider, chars, created_at, last_used_at }
+ *
+ * Only usable while mongoose is connected; until then the cache is bypassed.
+ */
+
+const mongoose = require('mongoose');
+
+const name = 'gridfs';
+const BUCKET_NAME = 'tts_cache';
+
+const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+const files = () => mongoose.connection.db.collection(`${BUCKET_NAME}.files`);
+
+/**
+ * @returns {boolean} Whether mongoose is connected
+ */
+function isReady() {
+    return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Delete every stored copy of an entry
+ * @param {string} key - Cache key
+ */
+async function remove(key) {
+    const copies = await files().find({ filename: key }, { projection: { _id: 1 } }).toArray();
+    await Promise.all(copies.map(file => bucket().delete(file._id).catch(() => { })));
+}
+
+/**
+ * Read an entry
+ * @param {string} key - Cache key
+ * @returns {Promise<{audio: Buffer, meta: Object}|null>}
+ */
+async function get(key) {
+    const file = await files().findOne({ filename: key });
+    if (!file) return null;
+
+    const chunks = [];
+    for await (const chunk of bucket().openDownloadStream(file._id)) {
+        chunks.push(chunk);
+    }
+    files().updateOne({ _id: file._id }, { $set: { 'metadata.last_used_at': new Date() } }).catch(() => { });
+
+    const { last_used_at: _lastUsedAt, ...meta } = file.metadata || {};
+    return { audio: Buffer.concat(chunks), meta };
+}
+
+/**
+ * Write an entry
+ * @param {string} key - Cache key
+ * @param {Buffer} audio - Complete audio
+ * @param {Object} meta - { contentType, provider, chars, created_at }
+ */
+async function put(key, audio, meta) {
+    if (await files().findOne({ filename: key }, { projection: { _id: 1 } })) return;
+
+    await new Promise((resolve, reject) => {
+        const upload = bucket().openUploadStream(key, {
+            metadata: { ...meta, last_used_at: new Date() }
+        });
+        upload.once('finish', resolve);
+        upload.once('error', reject);
+        upload.end(audio);
+    });
+}
+
+/**
+ * Drop expired entries, then least recently used ones until under maxBytes
+ * @param {Object} limits - { maxBytes, ttlMs }
+ * @returns {Promise<number>} Entries removed
+ */
+async function sweep({ maxBytes, ttlMs }) {
+    let removed = 0;
+
+    const expired = await files()
+        .find({ uploadDate: { $lt: new Date(Date.now() - ttlMs) } }, { projection: { _id: 1 } })
+        .toArray();
+    for (const file of expired) {
+        await bucket().delete(file._id).catch(() => { });
+        removed++;
+    }
+
+    let { bytes: total } = await stats();
+    if (total <= maxBytes) return removed;
+
+    const cursor = files()
+        .find({}, { projection: { _id: 1, length: 1 } })
+        .sort({ 'metadata.last_used_at': 1 });
+    for await (const file of cursor) {
+        if (total <= maxBytes) break;
+        await bucket().delete(file._id).catch(() => { });
+        total -= file.length;
+        removed++;
+    }
+
+    return removed;
+}
+
+/**
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+async function stats() {
+    const [totals] = await files()
+        .aggregate([{ $group: { _id: null, entries: { $sum: 1 }, bytes: { $sum: '$length' } } }])
+        .toArray();
+    return { entries: totals?.entries || 0, bytes: totals?.bytes || 0 };
+}
+
+module.exports = {
+    name,
+    isReady,
+    get,
+    put,
+    remove,
+    sweep,
+    stats
+};
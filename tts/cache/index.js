@@ -0,0 +1,268 @@
+/**
+ * TTS Audio Cache
+ *
+ * Content-addressed cache of synthesised speech, so stock phrases ("Right
+ * away, Sir", greetings, Quick Command answers) are synthesised and billed
+ * once. Keys are a SHA-256 of the speech text (already normalised by
+ * tts/normalize.js) plus everything that changes the audio: primary provider,
+ * voice, model, voice settings and speed.
+ *
+ * Backends (selected by TTS_CACHE):
+ * - fs:     files in TTS_CACHE_DIR (default; per instance)
+ * - gridfs: Mongo GridFS bucket "tts_cache" (shared; needs MONGODB_URI)
+ * - off:    no caching
+ *
+ * - Only texts up to TTS_CACHE_MAX_CHARS are cached (sentence/chunk sized)
+ * - Only complete audio from the primary provider is stored - a failover
+ *   voice must not be replayed under the primary voice's key
+ * - Entries expire after TTS_CACHE_TTL_MS; least recently used entries are
+ *   evicted once the cache exceeds TTS_CACHE_MAX_BYTES
+ * - Cache errors never fail synthesis; they count as misses
+ *
+ * Backend interface:
+ *   name, isReady(), get(key), put(key, audio, meta), remove(key),
+ *   sweep({ maxBytes, ttlMs }), stats()
+ */
+
+const crypto = require('crypto');
+const tts = require('../index');
+
+// Configuration
+const TTS_CACHE = (process.env.TTS_CACHE || 'fs').trim().toLowerCase();
+const TTS_CACHE_MAX_BYTES = parseInt(process.env.TTS_CACHE_MAX_BYTES) || 200 * 1024 * 1024;
+const TTS_CACHE_TTL_MS = parseInt(process.env.TTS_CACHE_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+const TTS_CACHE_MAX_CHARS = parseInt(process.env.TTS_CACHE_MAX_CHARS) || 1000;
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const SERVE_CHUNK_BYTES = 16 * 1024;
+
+// Backends are required lazily so the fs-only relay never loads mongoose for the cache
+const BACKENDS = {
+    fs: () => require('./filesystem'),
+    gridfs: () => require('./gridfs')
+};
+
+let backend;       // undefined until resolved; null when caching is off
+let lastSweep = 0;
+const counters = { hits: 0, misses: 0, stores: 0, errors: 0 };
+
+/**
+ * The configured backend, if it can be used right now
+ * @returns {Object|null}
+ */
+function getBackend() {
+    if (backend === undefined) {
+        backend = BACKENDS[TTS_CACHE] ? BACKENDS[TTS_CACHE]() : null;
+        if (!backend && TTS_CACHE !== 'off') {
+            console.warn(`⚠️  Unknown TTS_CACHE "${TTS_CACHE}" (expected ${Object.keys(BACKENDS).join(', ')} or off) - audio cache disabled`);
+        }
+    }
+    return backend?.isReady() ? backend : null;
+}
+
+/**
+ * Cache key for a text in a given voice
+ * @param {string} text - Speech text
+ * @param {Object} options - Provider options { voiceId, modelId, voiceSettings, speed }
+ * @returns {string} Hex SHA-256
+ */
+function cacheKey(text, { voiceId = null, modelId = null, voiceSettings = null, speed = null } = {}) {
+    const settings = voiceSettings
+        ? Object.fromEntries(Object.entries(voiceSettings).sort(([a], [b]) => a.localeCompare(b)))
+        : null;
+    const provider = tts.getStatus().chain[0] || null;
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([provider, voiceId, modelId, settings, speed, text.trim()]))
+        .digest('hex');
+}
+
+/**
+ * @param {string} text - Speech text
+ * @returns {boolean} Whether the text is eligible for caching right now
+ */
+function isCacheable(text) {
+    return !!getBackend() && text.trim().length > 0 && text.length <= TTS_CACHE_MAX_CHARS;
+}
+
+/**
+ * Serve a cached buffer as a chunked stream, like a provider would
+ * @param {Buffer} audio - Cached audio
+ */
+async function* fromBuffer(audio) {
+    for (let offset = 0; offset < audio.length; offset += SERVE_CHUNK_BYTES) {
+        yield audio.subarray(offset, offset + SERVE_CHUNK_BYTES);
+    }
+}
+
+/**
+ * Evict expired and least recently used entries, at most once a minute
+ * @param {Object} store - Backend
+ */
+function maybeSweep(store) {
+    if (Date.now() - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = Date.now();
+
+    store.sweep({ maxBytes: TTS_CACHE_MAX_BYTES, ttlMs: TTS_CACHE_TTL_MS })
+        .then(removed => {
+            if (removed > 0) console.log(`🧹 TTS cache: evicted ${removed} entries (${store.name})`);
+        })
+        .catch(error => console.warn('⚠️  TTS cache sweep failed:', error.message));
+}
+
+/**
+ * Look a text up in the cache
+ * @param {string} text - Speech text
+ * @param {Object} options - Provider options plus { logFn(event, data) }
+ * @returns {Promise<{audio: Buffer, provider: string, contentType: string}|null>}
+ */
+async function lookup(text, options = {}) {
+    const { logFn = () => { } } = options;
+    if (!isCacheable(text)) return null;
+
+    const store = getBackend();
+    const key = cacheKey(text, options);
+    try {
+        const hit = await store.get(key);
+        if (hit && Date.now() - Date.parse(hit.meta.created_at) < TTS_CACHE_TTL_MS) {
+            counters.hits++;
+            logFn('TTS_CACHE_HIT', { key: key.slice(0, 12), provider: hit.meta.provider, bytes: hit.audio.length });
+            return { audio: hit.audio, provider: hit.meta.provider, contentType: hit.meta.contentType };
+        }
+        if (hit) {
+            store.remove(key).catch(() => { }); // Expired
+        }
+    } catch (error) {
+        counters.errors++;
+        logFn('TTS_CACHE_ERROR', { op: 'get', backend: store.name, message: error.message });
+    }
+
+    counters.misses++;
+    return null;
+}
+
+/**
+ * Write an entry in the background; failures are counted, never thrown
+ * @param {Object} store - Backend
+ * @param {string} key - Cache key
+ * @param {Buffer} audio - Complete audio
+ * @param {Object} meta - Entry metadata
+ */
+function putEntry(store, key, audio, meta) {
+    store.put(key, audio, meta)
+        .then(() => {
+            counters.stores++;
+            maybeSweep(store);
+        })
+        .catch(error => {
+            counters.errors++;
+            console.warn('⚠️  TTS cache write failed:', error.message);
+        });
+}
+
+/**
+ * Pass audio through while collecting it; store it once the stream completes
+ * @param {AsyncIterable<Buffer>} stream - Provider audio
+ * @param {string} key - Cache key
+ * @param {Object} meta - Entry metadata
+ */
+async function* storeWhenComplete(stream, key, meta) {
+    const chunks = [];
+    let complete = false;
+    try {
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+            yield chunk;
+        }
+        complete = true;
+    } finally {
+        // Abandoned or failed streams are never cached
+        const store = complete && getBackend();
+        if (store) {
+            putEntry(store, key, Buffer.concat(chunks), meta);
+        }
+    }
+}
+
+/**
+ * Synthesise via the tts/ orchestrator and cache the result (no lookup)
+ * @param {string} text - Speech text
+ * @param {Object} options - tts.synthesize options
+ * @returns {Promise<Object>} tts.synthesize result plus { cached: false }
+ */
+async function synthesizeAndStore(text, options = {}) {
+    const speech = await tts.synthesize(text, options);
+    if (!isCacheable(text) || speech.failover) {
+        return { ...speech, cached: false };
+    }
+
+    const meta = {
+        contentType: speech.contentType,
+        provider: speech.provider,
+        chars: text.length,
+        created_at: new Date().toISOString()
+    };
+    return { ...speech, stream: storeWhenComplete(speech.stream, cacheKey(text, options), meta), cached: false };
+}
+
+/**
+ * Cache audio synthesised outside the orchestrator (the relay's ElevenLabs
+ * socket). Only the primary provider's audio is kept, as for synthesizeAndStore.
+ * @param {string} text - Speech text
+ * @param {Buffer} audio - Complete audio
+ * @param {Object} options - Provider options plus { provider, contentType }
+ * @returns {boolean} Whether the audio is being stored
+ */
+function store(text, audio, options = {}) {
+    const { provider, contentType = 'audio/mpeg' } = options;
+    if (!isCacheable(text) || audio.length === 0 || provider !== tts.getStatus().chain[0]) {
+        return false;
+    }
+
+    putEntry(getBackend(), cacheKey(text, options), audio, {
+        contentType,
+        provider,
+        chars: text.length,
+        created_at: new Date().toISOString()
+    });
+    return true;
+}
+
+/**
+ * Drop-in replacement for tts.synthesize that serves and fills the cache
+ * @param {string} text - Speech text (normalised)
+ * @param {Object} options - tts.synthesize options
+ * @returns {Promise<{stream: AsyncIterable<Buffer>, provider: string, contentType: string, cached: boolean,
+ *   failover?: boolean, failoverReason?: string|number}>}
+ */
+async function synthesize(text, options = {}) {
+    const hit = await lookup(text, options);
+    if (hit) {
+        return { stream: fromBuffer(hit.audio), provider: hit.provider, contentType: hit.contentType, cached: true };
+    }
+    return synthesizeAndStore(text, options);
+}
+
+/**
+ * Cache summary for /health
+ * @returns {{backend: string, ready: boolean, hits: number, misses: number, stores: number, errors: number}}
+ */
+function getStatus() {
+    const store = getBackend();
+    return {
+        backend: backend ? backend.name : 'off',
+        ready: !!store,
+        ...counters
+    };
+}
+
+module.exports = {
+    synthesize,
+    synthesizeAndStore,
+    store,
+    lookup,
+    cacheKey,
+    getStatus,
+    TTS_CACHE_MAX_BYTES,
+    TTS_CACHE_TTL_MS,
+    TTS_CACHE_MAX_CHARS
+};
@@ -0,0 +1,84 @@
+/**
+ * Sentence Chunker for Streaming TTS
+ *
+ * Buffers streamed LLM text and releases sentence-sized chunks that are
+ * long enough to synthesise naturally but short enough to start audio early.
+ *
+ * Usage:
+ *   const chunker = createSentenceChunker();
+ *   chunker.push(delta).forEach(speak);   // as text streams in
+ *   chunker.flush().forEach(speak);       // when the stream ends
+ */
+
+// Sentence end (., !, ?, …) plus closing quotes/brackets followed by whitespace, or a line break.
+// Requiring trailing whitespace avoids splitting "3.14" or "e.g." mid-stream.
+const SENTENCE_BOUNDARY = /[.!?…]+["')\]]*\s+|\n+/g;
+
+/**
+ * Create a stateful sentence chunker
+ * @param {Object} options - { minChars, maxChars }
+ * @returns {{push: Function, flush: Function}}
+ */
+function createSentenceChunker({ minChars = 40, maxChars = 300 } = {}) {
+    let buffer = '';
+
+    /**
+     * Index just past the first sentence boundary at or beyond minChars, or -1
+     */
+    function findBoundary() {
+        SENTENCE_BOUNDARY.lastIndex = 0;
+        let match;
+        while ((match = SENTENCE_BOUNDARY.exec(buffer)) !== null) {
+            const end = match.index + match[0].length;
+            if (end >= minChars) return end;
+        }
+        return -1;
+    }
+
+    function drain(final) {
+        const chunks = [];
+
+        while (buffer.length > 0) {
+            let cut = findBoundary();
+
+            // Run-on text (no boundary within maxChars): split at the last space before maxChars
+            if ((cut === -1 && buffer.length > maxChars) || cut > maxChars) {
+                const space = buffer.lastIndexOf(' ', maxChars);
+                cut = space > minChars ? space : maxChars;
+            }
+            if (cut === -1) break;
+
+            chunks.push(buffer.slice(0, cut).trim());
+            buffer = buffer.slice(cut);
+        }
+
+        if (final && buffer.trim()) {
+            chunks.push(buffer.trim());
+            buffer = '';
+        }
+
+        return chunks.filter(Boolean);
+    }
+
+    return {
+        /**
+         * Add streamed text
+         * @param {string} delta - New text
+         * @returns {string[]} Chunks ready to synthesise
+         */
+        push(delta) {
+            buffer += delta;
+            return drain(false);
+        },
+
+        /**
+         * End of stream - release whatever is left
+         * @returns {string[]} Remaining chunks
+         */
+        flush() {
+            return drain(true);
+        }
+    };
+}
+
+module.exports = { createSentenceChunker };
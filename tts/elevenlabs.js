@@ -0,0 +1,118 @@
+/**
+ * ElevenLabs TTS Provider
+ *
+ * Primary speech provider: streaming MP3 via the text-to-speech /stream endpoint.
+ * Per-user voice/model/settings arrive as options (tts/voiceSettings.js);
+ * voiceSettings are merged over the defaults below. previousText/nextText
+ * (from tts/stitcher.js) keep intonation continuous across chunked requests.
+ */
+
+const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY?.trim();
+const DEFAULT_VOICE_ID = '5b8aKJE8sNdJ9UbP8jBp'; // J.A.R.V.I.S. voice
+const DEFAULT_MODEL_ID = 'eleven_monolingual_v1';
+const DEFAULT_VOICE_SETTINGS = {
+    stability: 0.5,
+    similarity_boost: 0.5
+};
+
+const VOICES_URL = 'https://api.elevenlabs.io/v1/voices';
+
+/**
+ * @returns {boolean} Whether the provider has credentials
+ */
+function isConfigured() {
+    return !!ELEVENLABS_API_KEY;
+}
+
+/**
+ * Start synthesising speech
+ * @param {string} text - Text to speak
+ * @param {Object} options - { signal, voiceId, modelId, voiceSettings, previousText, nextText }
+ * @returns {Promise<AsyncIterable<Uint8Array>>} MP3 byte stream (resolves once ElevenLabs accepts the request)
+ * @throws {Error} with status property for HTTP errors
+ */
+async function synthesize(text, {
+    signal,
+    voiceId = DEFAULT_VOICE_ID,
+    modelId = DEFAULT_MODEL_ID,
+    voiceSettings = {},
+    previousText,
+    nextText
+} = {}) {
+    if (!ELEVENLABS_API_KEY) {
+        throw new Error('ELEVENLABS_API_KEY not set');
+    }
+
+    const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/stream`, {
+        method: 'POST',
+        headers: {
+            'Accept': 'audio/mpeg',
+            'Content-Type': 'application/json',
+            'xi-api-key': ELEVENLABS_API_KEY
+        },
+        body: JSON.stringify({
+            text,
+            model_id: modelId,
+            voice_settings: { ...DEFAULT_VOICE_SETTINGS, ...voiceSettings },
+            ...(previousText && { previous_text: previousText }),
+            ...(nextText && { next_text: nextText })
+        }),
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`ElevenLabs TTS failed: ${response.status}`);
+        error.status = response.status;
+        error.body = errorText.substring(0, 200);
+        error.provider = 'elevenlabs';
+        throw error;
+    }
+
+    return response.body;
+}
+
+/**
+ * Fetch the voices available to this API key
+ * @param {Object} options - { signal }
+ * @returns {Promise<Array<{voice_id: string, name: string, category: string, labels: Object, preview_url: string}>>}
+ * @throws {Error} with status property for HTTP errors
+ */
+async function listVoices({ signal } = {}) {
+    if (!ELEVENLABS_API_KEY) {
+        throw new Error('ELEVENLABS_API_KEY not set');
+    }
+
+    const response = await fetch(VOICES_URL, {
+        headers: { 'xi-api-key': ELEVENLABS_API_KEY },
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`ElevenLabs voice list failed: ${response.status}`);
+        error.status = response.status;
+        error.body = errorText.substring(0, 200);
+        error.provider = 'elevenlabs';
+        throw error;
+    }
+
+    const { voices = [] } = await response.json();
+    return voices.map(voice => ({
+        voice_id: voice.voice_id,
+        name: voice.name,
+        category: voice.category || null,
+        labels: voice.labels || {},
+        preview_url: voice.preview_url || null
+    }));
+}
+
+module.exports = {
+    name: 'elevenlabs',
+    contentType: 'audio/mpeg',
+    DEFAULT_VOICE_ID,
+    DEFAULT_MODEL_ID,
+    isConfigured,
+    synthesize,
+    listVoices
+};
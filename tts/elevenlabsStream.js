@@ -0,0 +1,477 @@
+/**
+ * ElevenLabs Multi-Context Stream Manager
+ *
+ * One per relay connection. Owns an ElevenLabs multi-context input-streaming
+ * WebSocket (multi-stream-input) and gives every response its own synthesis
+ * context, so text handed to it is either spoken or handed back - never
+ * dropped - and always attributed to the right response:
+ * - Each response gets a context_id; audio is routed back by context, so
+ *   every chunk carries the response it belongs to
+ * - cancel(responseId) closes just that context; audio already in flight for
+ *   it is dropped here, and later text for it is ignored. The socket stays up
+ * - Text sent while the socket is connecting (or reconnecting) is queued per
+ *   context and replayed in order once it opens
+ * - An unexpected close reconnects with exponential backoff; text sent on the
+ *   lost socket is replayed if none of its audio had arrived yet
+ * - ElevenLabs closes idle sockets (inactivity_timeout); that is not an error -
+ *   the socket is re-dialled when there is something to say
+ * - The socket is pinged (heartbeat/); one that stops answering is terminated
+ *   and handled like any other unexpected close
+ * - When it gives up (no API key, open circuit, reconnects exhausted) a
+ *   response's text goes to onUnavailable at flush time, for the fallback chain
+ *
+ * Usage:
+ *   const stream = createElevenLabsStream({ apiKey, getUrl, getContextInit, onStart, onAudio, onFinal, onError, onUnavailable, log });
+ *   stream.connect();                 // pre-warm
+ *   stream.send(responseId, text);    // per speech delta
+ *   stream.flush(responseId);         // end of response
+ *   stream.cancel(responseId);        // barge-in (cancelAll() for every response)
+ *   stream.close();                   // client gone
+ */
+
+const WebSocket = require('ws');
+const { getBreaker } = require('../breaker');
+const { startHeartbeat } = require('../heartbeat');
+
+// Configuration
+const ELEVENLABS_WS_CONNECT_TIMEOUT_MS = parseInt(process.env.ELEVENLABS_WS_CONNECT_TIMEOUT_MS) || 5000;
+const ELEVENLABS_WS_RECONNECT_ATTEMPTS = parseInt(process.env.ELEVENLABS_WS_RECONNECT_ATTEMPTS ?? '3');
+const ELEVENLABS_WS_RECONNECT_BASE_MS = parseInt(process.env.ELEVENLABS_WS_RECONNECT_BASE_MS) || 250;
+const ELEVENLABS_INACTIVITY_TIMEOUT_S = Math.min(parseInt(process.env.ELEVENLABS_INACTIVITY_TIMEOUT_S) || 180, 180);
+
+const RECONNECT_MAX_DELAY_MS = 4000;
+const CANCELLED_MEMORY = 20; // Recently cancelled responses whose late text is ignored
+
+/**
+ * HTTP status of a failed WebSocket upgrade, from the ws error message
+ * @param {Error} error - ws 'error' event
+ * @returns {number|undefined}
+ */
+function upgradeStatus(error) {
+    const match = /Unexpected server response: (\d{3})/.exec(error?.message || '');
+    return match ? parseInt(match[1]) : undefined;
+}
+
+/**
+ * Create a stream manager
+ * @param {Object} options
+ * @param {string} options.apiKey - ElevenLabs API key (no key: always unavailable)
+ * @param {Function} options.getUrl - () => multi-stream-input URL for the current voice
+ * @param {Function} options.getContextInit - () => fields for a context's first message (voice_settings, generation_config)
+ * @param {Function} [options.onStart] - (responseId) first audio of a response
+ * @param {Function} options.onAudio - (responseId, base64Mp3)
+ * @param {Function} options.onFinal - (responseId) the response's audio is complete
+ * @param {Function} options.onError - (responseId, { code, message }) audio was lost
+ * @param {Function} options.onUnavailable - (responseId, text) speech the socket could not take
+ * @param {Function} [options.log] - (level, event, data)
+ * @param {string} [options.breakerName] - Circuit breaker key
+ * @returns {Object} { connect, send, flush, cancel, cancelAll, close, getState }
+ */
+function createElevenLabsStream(options) {
+    const {
+        apiKey,
+        getUrl,
+        getContextInit,
+        onStart = () => { },
+        onAudio,
+        onFinal,
+        onError,
+        onUnavailable,
+        log = () => { },
+        breakerName = 'tts:elevenlabs-ws'
+    } = options;
+
+    // idle -> connecting -> open -> idle (inactivity close); failures go through
+    // reconnecting to unavailable; closed is terminal
+    let state = 'idle';
+    let ws = null;
+    let attempts = 0;          // Consecutive failed connects / closes before any audio
+    let reconnectTimer = null;
+    let nextContext = 0;
+
+    // responseId -> { responseId, contextId, queue, flushQueued, inFlight, initialised, ended, started, audioReceived }
+    const contexts = new Map();
+    const byContextId = new Map();
+    const cancelled = [];      // Response ids, oldest first
+
+    const isOpen = () => state === 'open' && ws?.readyState === WebSocket.OPEN;
+    const hasWork = () => contexts.size > 0;
+
+    /**
+     * The synthesis context for a response, created on first use
+     * @param {string} responseId - Response the text belongs to
+     * @returns {Object}
+     */
+    function contextFor(responseId) {
+        let context = contexts.get(responseId);
+        if (!context) {
+            context = {
+                responseId,
+                contextId: `ctx_${++nextContext}`,
+                queue: [],            // Text not yet sent on an open socket
+                flushQueued: false,   // End of input requested while not open
+                inFlight: '',         // Text sent on the current socket
+                initialised: false,   // Context opened on the current socket
+                ended: false,         // End of input sent
+                started: false,       // onStart delivered
+                audioReceived: false  // Some of inFlight has been voiced
+            };
+            contexts.set(responseId, context);
+            byContextId.set(context.contextId, context);
+        }
+        return context;
+    }
+
+    /**
+     * Forget a context (its remaining audio, if any, is dropped on arrival)
+     * @param {Object} context
+     */
+    function dropContext(context) {
+        contexts.delete(context.responseId);
+        byContextId.delete(context.contextId);
+    }
+
+    /**
+     * Hand a response's queued speech to the fallback chain and forget it
+     * @param {Object} context
+     */
+    function releaseToFallback(context) {
+        dropContext(context);
+        const text = context.queue.join('');
+        if (text.trim()) {
+            log('info', 'ELEVENLABS_WS_HANDOFF', { response_id: context.responseId, chars: text.length });
+            onUnavailable(context.responseId, text);
+        }
+    }
+
+    /**
+     * Stop trying; responses go to the fallback as they finish
+     * @param {string} reason - Why the socket is unavailable
+     */
+    function giveUp(reason) {
+        state = 'unavailable';
+        attempts = 0;
+        log('warn', 'ELEVENLABS_WS_UNAVAILABLE', { reason, pendingResponses: contexts.size });
+        for (const context of [...contexts.values()]) {
+            if (context.flushQueued) {
+                releaseToFallback(context);
+            }
+        }
+        if (!hasWork()) {
+            state = 'idle'; // Next response tries again
+        }
+    }
+
+    /**
+     * Retry after a failure, or give up once the attempts are used
+     * @param {string} reason - Failure
+     */
+    function scheduleReconnect(reason) {
+        if (attempts >= ELEVENLABS_WS_RECONNECT_ATTEMPTS) {
+            giveUp(reason);
+            return;
+        }
+        const delay = Math.min(ELEVENLABS_WS_RECONNECT_BASE_MS * 2 ** attempts, RECONNECT_MAX_DELAY_MS);
+        attempts++;
+        state = 'reconnecting';
+        log('warn', 'ELEVENLABS_WS_RECONNECT', { attempt: attempts, delayMs: delay, reason });
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            open();
+        }, delay);
+    }
+
+    /**
+     * @param {Object} context
+     * @param {string} text - Speech text for the open socket
+     */
+    function write(context, text) {
+        if (!context.initialised) {
+            context.initialised = true;
+            ws.send(JSON.stringify({ text: ' ', ...getContextInit(), context_id: context.contextId }));
+        }
+        context.inFlight += text;
+        ws.send(JSON.stringify({ text, context_id: context.contextId }));
+    }
+
+    /**
+     * End a context's input: generate what is buffered, then close it
+     * @param {Object} context
+     */
+    function end(context) {
+        context.ended = true;
+        ws.send(JSON.stringify({ context_id: context.contextId, flush: true }));
+        ws.send(JSON.stringify({ context_id: context.contextId, close_context: true }));
+    }
+
+    /**
+     * Send everything queued while the socket was down, response by response
+     */
+    function replay() {
+        for (const context of contexts.values()) {
+            if (context.queue.length > 0) {
+                log('info', 'ELEVENLABS_WS_REPLAY', { response_id: context.responseId, chunks: context.queue.length });
+            }
+            const pending = context.queue;
+            context.queue = [];
+            pending.forEach(text => write(context, text));
+            if (context.flushQueued) {
+                context.flushQueued = false;
+                end(context);
+            }
+        }
+    }
+
+    /**
+     * Route one server message to its response
+     * @param {Object} message - Parsed server message
+     */
+    function handleMessage(message) {
+        const context = byContextId.get(message.contextId || message.context_id);
+        if (!context) {
+            return; // Cancelled or finished - late audio is dropped
+        }
+
+        if (message.audio) {
+            attempts = 0; // Healthy - not a socket that accepts and then drops
+            context.audioReceived = true;
+            if (!context.started) {
+                context.started = true;
+                onStart(context.responseId);
+            }
+            onAudio(context.responseId, message.audio);
+        }
+        if (message.isFinal || message.is_final) {
+            dropContext(context);
+            onFinal(context.responseId);
+        }
+        if (message.error) {
+            log('warn', 'ELEVENLABS_WS_SERVER_ERROR', { response_id: context.responseId, error: message.error, message: message.message });
+        }
+    }
+
+    /**
+     * Contexts on a lost socket: replay what was never voiced, report what was cut off
+     */
+    function recoverContexts() {
+        for (const context of [...contexts.values()]) {
+            context.initialised = false;
+            if (context.inFlight && !context.audioReceived) {
+                context.queue.unshift(context.inFlight);
+                context.flushQueued = context.flushQueued || context.ended;
+                context.ended = false;
+            } else if (context.inFlight) {
+                onError(context.responseId, {
+                    code: 'stream_interrupted',
+                    message: 'Voice stream was interrupted - part of the response was not spoken'
+                });
+                if (context.ended) {
+                    dropContext(context); // Nothing left to send for it
+                }
+            }
+            context.inFlight = '';
+            context.audioReceived = false;
+        }
+    }
+
+    /**
+     * Dial a new socket
+     */
+    function open() {
+        if (state === 'closed') return;
+        if (!apiKey) {
+            giveUp('no_api_key');
+            return;
+        }
+
+        const ticket = getBreaker(breakerName).tryAcquire();
+        if (!ticket) {
+            giveUp('circuit_open');
+            return;
+        }
+
+        state = 'connecting';
+        const url = new URL(getUrl());
+        url.searchParams.set('inactivity_timeout', String(ELEVENLABS_INACTIVITY_TIMEOUT_S));
+        const socket = new WebSocket(url.toString(), { headers: { 'xi-api-key': apiKey } });
+        ws = socket;
+        let opened = false;
+        startHeartbeat(socket, { onDead: () => log('warn', 'ELEVENLABS_WS_HEARTBEAT_TIMEOUT', { pendingResponses: contexts.size }) });
+
+        const connectTimer = setTimeout(() => {
+            log('warn', 'ELEVENLABS_WS_CONNECT_TIMEOUT', { timeoutMs: ELEVENLABS_WS_CONNECT_TIMEOUT_MS });
+            socket.terminate(); // Lands in 'close' as a failed connect
+        }, ELEVENLABS_WS_CONNECT_TIMEOUT_MS);
+
+        socket.on('open', () => {
+            clearTimeout(connectTimer);
+            if (ws !== socket) return;
+            ticket.succeed();
+            opened = true;
+            state = 'open';
+            log('info', 'ELEVENLABS_WS_OPEN', { pendingResponses: contexts.size });
+            replay();
+        });
+
+        socket.on('message', (data) => {
+            if (ws !== socket) return;
+            try {
+                handleMessage(JSON.parse(data.toString()));
+            } catch (error) {
+                log('warn', 'ELEVENLABS_WS_BAD_MESSAGE', { message: error.message });
+            }
+        });
+
+        socket.on('error', (error) => {
+            if (ws !== socket) {
+                ticket.release();
+                return;
+            }
+            const status = upgradeStatus(error);
+            if (status) error.status = status;
+            ticket.fail(error); // No-op once the socket has opened
+            log('error', 'ELEVENLABS_WS_ERROR', { status, message: error.message });
+        });
+
+        socket.on('close', (code, reason) => {
+            clearTimeout(connectTimer);
+            ticket.release(); // Settles nothing if open/error already did
+            if (ws !== socket) return; // The manager was closed
+            ws = null;
+
+            log('info', 'ELEVENLABS_WS_CLOSE', { code, reason: reason?.toString() || '', opened, pendingResponses: contexts.size });
+
+            if (!opened) {
+                scheduleReconnect('connect_failed');
+                return;
+            }
+
+            recoverContexts();
+            if (!hasWork()) {
+                // Inactivity timeout: reconnect when there is something to say
+                state = 'idle';
+                return;
+            }
+            scheduleReconnect('unexpected_close');
+        });
+    }
+
+    /**
+     * Open the socket ahead of the first response (no-op if already up or dialling)
+     */
+    function connect() {
+        if (state === 'idle') {
+            open();
+        }
+    }
+
+    /**
+     * Speak text as part of a response
+     * @param {string} responseId - Response the text belongs to
+     * @param {string} text - Speech text (already normalised)
+     */
+    function send(responseId, text) {
+        if (!text || state === 'closed' || cancelled.includes(responseId)) return;
+        const context = contextFor(responseId);
+        if (context.ended) return; // Input already closed
+
+        if (isOpen()) {
+            write(context, text);
+            return;
+        }
+        context.queue.push(text);
+        if (state === 'idle') {
+            open();
+        }
+    }
+
+    /**
+     * End a response's input. If the socket cannot take it, the response's
+     * queued text goes to onUnavailable.
+     * @param {string} responseId - Response that finished
+     */
+    function flush(responseId) {
+        const context = contexts.get(responseId);
+        if (!context || context.ended || state === 'closed') return;
+
+        if (isOpen()) {
+            if (context.initialised) {
+                end(context);
+            } else {
+                dropContext(context); // Nothing was said
+            }
+            return;
+        }
+        if (state === 'unavailable') {
+            releaseToFallback(context);
+            if (!hasWork()) state = 'idle';
+            return;
+        }
+        if (context.queue.length > 0) {
+            context.flushQueued = true; // Replayed with the text once the socket opens
+        } else {
+            dropContext(context);
+        }
+    }
+
+    /**
+     * Stop a response's speech (tts.stop). Its pending text and any audio
+     * still arriving are dropped; other responses and the socket are untouched.
+     * @param {string} responseId - Response to cancel
+     * @returns {boolean} Whether the response had speech in progress
+     */
+    function cancel(responseId) {
+        if (!cancelled.includes(responseId)) {
+            cancelled.push(responseId);
+            if (cancelled.length > CANCELLED_MEMORY) cancelled.shift();
+        }
+
+        const context = contexts.get(responseId);
+        if (!context) return false;
+        dropContext(context);
+        if (context.initialised && isOpen()) {
+            ws.send(JSON.stringify({ context_id: context.contextId, close_context: true }));
+        }
+        log('info', 'ELEVENLABS_WS_CANCEL', { response_id: responseId, context_id: context.contextId });
+        return true;
+    }
+
+    /**
+     * Cancel every response with speech in progress
+     */
+    function cancelAll() {
+        [...contexts.keys()].forEach(cancel);
+    }
+
+    /**
+     * Close for good (client disconnected)
+     */
+    function close() {
+        state = 'closed';
+        clearTimeout(reconnectTimer);
+        contexts.clear();
+        byContextId.clear();
+        const previous = ws;
+        ws = null;
+        if (previous?.readyState === WebSocket.OPEN) {
+            previous.send(JSON.stringify({ close_socket: true }));
+        }
+        previous?.close();
+    }
+
+    return {
+        connect,
+        send,
+        flush,
+        cancel,
+        cancelAll,
+        close,
+        getState: () => state
+    };
+}
+
+module.exports = {
+    createElevenLabsStream,
+    ELEVENLABS_WS_RECONNECT_ATTEMPTS,
+    ELEVENLABS_INACTIVITY_TIMEOUT_S
+};
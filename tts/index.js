@@ -0,0 +1,213 @@
+/**
+ * TTS Provider Orchestrator
+ *
+ * Manages failover between speech providers, mirroring transcription/index.js.
+ * Primary: ElevenLabs
+ * Secondary: OpenAI TTS
+ * Mock: silent MP3 (only when listed in TTS_PROVIDER_CHAIN)
+ *
+ * TTS_PROVIDER_CHAIN sets the order (default "elevenlabs,openai");
+ * providers without credentials are skipped.
+ *
+ * Failover triggers:
+ * - 429 (rate limit) - if TTS_FAILOVER_ON_429 (default true)
+ * - 5xx (server error) - if TTS_FAILOVER_ON_5XX (default true)
+ * - timeout / network error - always
+ * - open circuit breaker (breaker/, keyed "tts:<provider>") - always, without calling the provider
+ *
+ * Never failover on 401/403 (auth errors). Failover only happens before the
+ * first audio byte - once a provider is streaming, its errors surface as-is.
+ */
+
+const { getBreaker } = require('../breaker');
+const elevenlabsProvider = require('./elevenlabs');
+const openaiProvider = require('./openai');
+const mockProvider = require('./mock');
+
+const PROVIDERS = {
+    elevenlabs: elevenlabsProvider,
+    openai: openaiProvider,
+    mock: mockProvider
+};
+
+// Configuration
+const TTS_PROVIDER_CHAIN = (process.env.TTS_PROVIDER_CHAIN || 'elevenlabs,openai')
+    .split(',').map(name => name.trim().toLowerCase()).filter(name => PROVIDERS[name]);
+const TTS_FAILOVER_ON_429 = process.env.TTS_FAILOVER_ON_429 !== 'false'; // Default true
+const TTS_FAILOVER_ON_5XX = process.env.TTS_FAILOVER_ON_5XX !== 'false'; // Default true
+const TTS_TIMEOUT_MS = parseInt(process.env.TTS_TIMEOUT_MS) || 15000;    // Until the provider starts streaming
+
+/**
+ * Check if error status should trigger failover
+ * @param {number} status - HTTP status code (undefined for timeouts and network errors)
+ * @returns {boolean}
+ */
+function shouldFailover(status) {
+    // Timeouts and network errors
+    if (!status) {
+        return true;
+    }
+
+    // Never failover on auth errors
+    if (status === 401 || status === 403) {
+        return false;
+    }
+
+    // Failover on 429 if enabled
+    if (status === 429 && TTS_FAILOVER_ON_429) {
+        return true;
+    }
+
+    // Failover on 5xx if enabled
+    if (status >= 500 && status < 600 && TTS_FAILOVER_ON_5XX) {
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Providers that will be tried, in order
+ * @returns {string[]}
+ */
+function getChain() {
+    return TTS_PROVIDER_CHAIN.filter(name => PROVIDERS[name].isConfigured());
+}
+
+/**
+ * @returns {boolean} Whether any speech provider is configured
+ */
+function isAvailable() {
+    return getChain().length > 0;
+}
+
+/**
+ * Wrap a provider stream as Buffers, unlinking the caller's signal when it ends
+ * @param {AsyncIterable} body - Provider byte stream
+ * @param {Function} cleanup - Called once the stream is finished or abandoned
+ */
+async function* toBufferStream(body, cleanup) {
+    try {
+        for await (const chunk of body) {
+            yield Buffer.from(chunk);
+        }
+    } finally {
+        cleanup();
+    }
+}
+
+/**
+ * Synthesise speech with automatic failover
+ * @param {string} text - Text to speak
+ * @param {Object} options - { signal, logFn(event, data), voiceId, modelId, voiceSettings }
+ * @returns {Promise<{stream: AsyncIterable<Buffer>, provider: string, contentType: string, failover?: boolean, failoverReason?: string|number}>}
+ * @throws {Error} with status property (last provider's status when every provider failed)
+ */
+async function synthesize(text, options = {}) {
+    const { signal, logFn = () => { }, ...providerOptions } = options;
+    const chain = getChain();
+
+    if (chain.length === 0) {
+        const error = new Error('No TTS provider is configured');
+        error.status = 503;
+        throw error;
+    }
+
+    const errors = [];
+
+    for (let i = 0; i < chain.length; i++) {
+        const providerName = chain[i];
+        const provider = PROVIDERS[providerName];
+        const next = chain[i + 1];
+
+        const breaker = getBreaker(`tts:${providerName}`);
+        const ticket = breaker.tryAcquire();
+        if (!ticket) {
+            const openError = breaker.openError();
+            errors.push({ provider: providerName, status: openError.status, reason: 'circuit_open', error: openError });
+            logFn('TTS_CIRCUIT_OPEN', { provider: providerName, retry_after_ms: openError.retryAfterMs });
+            if (next) {
+                logFn('TTS_FAILOVER_TRIGGERED', { reason: 'circuit_open', from: providerName, to: next });
+            }
+            continue;
+        }
+
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        signal?.addEventListener('abort', abort);
+        const unlink = () => signal?.removeEventListener('abort', abort);
+        const timer = setTimeout(abort, TTS_TIMEOUT_MS);
+
+        try {
+            logFn('TTS_PROVIDER_ATTEMPT', { provider: providerName, chars: text.length });
+            const body = await provider.synthesize(text, { ...providerOptions, signal: controller.signal });
+            clearTimeout(timer);
+            ticket.succeed();
+
+            logFn('TTS_PROVIDER_SUCCESS', { provider: providerName, failover: i > 0 });
+            const failoverReason = i > 0 ? errors[errors.length - 1].reason : undefined;
+            return {
+                stream: toBufferStream(body, unlink),
+                provider: providerName,
+                contentType: provider.contentType,
+                ...(i > 0 && { failover: true, failoverReason })
+            };
+        } catch (error) {
+            clearTimeout(timer);
+            unlink();
+
+            if (signal?.aborted) {
+                ticket.release();
+                throw error; // Caller gave up - no point trying the next provider
+            }
+
+            const timedOut = controller.signal.aborted;
+            ticket.fail(error); // Timeouts surface as status-less abort errors, which count as failures
+            const reason = timedOut ? 'timeout' : (error.status || 'network_error');
+            errors.push({ provider: providerName, status: error.status, reason, error });
+
+            logFn('TTS_PROVIDER_ERROR', {
+                provider: providerName,
+                status: error.status,
+                reason,
+                message: error.message
+            });
+
+            if (!next || !shouldFailover(timedOut ? undefined : error.status)) {
+                break;
+            }
+
+            logFn('TTS_FAILOVER_TRIGGERED', { reason, from: providerName, to: next });
+        }
+    }
+
+    if (errors.length === 1) {
+        throw errors[0].error;
+    }
+
+    // Create combined error
+    const combinedError = new Error(
+        `All TTS providers failed. ${errors.map(e => `${e.provider}: ${e.reason}`).join(', ')}`
+    );
+    combinedError.status = errors[errors.length - 1].status;
+    combinedError.errors = errors.map(e => e.error);
+    throw combinedError;
+}
+
+/**
+ * Provider chain summary for /health
+ * @returns {{available: boolean, chain: string[]}}
+ */
+function getStatus() {
+    return { available: isAvailable(), chain: getChain() };
+}
+
+module.exports = {
+    synthesize,
+    shouldFailover,
+    isAvailable,
+    getStatus,
+    TTS_FAILOVER_ON_429,
+    TTS_FAILOVER_ON_5XX,
+    TTS_TIMEOUT_MS
+};
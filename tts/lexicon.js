@@ -0,0 +1,90 @@
+/**
+ * Pronunciation Lexicon
+ *
+ * Per-user list of { term, say } replacements applied to speech text before
+ * synthesis (tts/normalize.js), e.g. { term: "Nginx", say: "engine x" }.
+ * Stored in User.settings.lexicon, edited via /api/users/me/lexicon.
+ *
+ * Terms match whole words, case-insensitively; longer terms win over
+ * shorter ones they contain.
+ */
+
+// Configuration
+const MAX_LEXICON_ENTRIES = parseInt(process.env.MAX_LEXICON_ENTRIES) || 100;
+
+const MAX_TERM_CHARS = 50;
+const MAX_SAY_CHARS = 100;
+
+/**
+ * Validate a full replacement lexicon
+ * @param {Array} entries - [{ term, say }]
+ * @returns {{lexicon: Array|null, error: string|null}}
+ */
+function validateLexicon(entries) {
+    if (!Array.isArray(entries)) {
+        return { lexicon: null, error: '"lexicon" must be an array of { term, say } entries' };
+    }
+    if (entries.length > MAX_LEXICON_ENTRIES) {
+        return { lexicon: null, error: `A lexicon can have at most ${MAX_LEXICON_ENTRIES} entries` };
+    }
+
+    const clean = [];
+    const seen = new Set();
+    for (const [index, entry] of entries.entries()) {
+        const term = typeof entry?.term === 'string' ? entry.term.trim() : '';
+        const say = typeof entry?.say === 'string' ? entry.say.trim() : '';
+
+        if (!term || term.length > MAX_TERM_CHARS) {
+            return { lexicon: null, error: `Entry ${index}: "term" must be a non-empty string of at most ${MAX_TERM_CHARS} characters` };
+        }
+        if (!say || say.length > MAX_SAY_CHARS) {
+            return { lexicon: null, error: `Entry ${index}: "say" must be a non-empty string of at most ${MAX_SAY_CHARS} characters` };
+        }
+        if (seen.has(term.toLowerCase())) {
+            return { lexicon: null, error: `Entry ${index}: duplicate term "${term}"` };
+        }
+
+        seen.add(term.toLowerCase());
+        clean.push({ term, say });
+    }
+
+    return { lexicon: clean, error: null };
+}
+
+/**
+ * Public view of a lexicon
+ * @param {Array|null} lexicon - User.settings.lexicon
+ * @returns {Array<{term: string, say: string}>}
+ */
+function serializeLexicon(lexicon) {
+    return (lexicon || []).map(({ term, say }) => ({ term, say }));
+}
+
+/**
+ * Compile a lexicon into a single replacer
+ * @param {Array|null} lexicon - [{ term, say }]
+ * @returns {{apply: Function, pattern: RegExp|null, maxTermWords: number}} apply(text) returns the text with terms replaced
+ */
+function compileLexicon(lexicon) {
+    const entries = serializeLexicon(lexicon).sort((a, b) => b.term.length - a.term.length);
+    if (entries.length === 0) {
+        return { apply: text => text, pattern: null, maxTermWords: 1 };
+    }
+
+    const sayByTerm = new Map(entries.map(entry => [entry.term.toLowerCase(), entry.say]));
+    const alternatives = entries.map(entry => entry.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+    return {
+        apply: text => text.replace(pattern, match => sayByTerm.get(match.toLowerCase()) ?? match),
+        pattern,
+        maxTermWords: Math.max(...entries.map(entry => entry.term.split(/\s+/).length))
+    };
+}
+
+module.exports = {
+    MAX_LEXICON_ENTRIES,
+    validateLexicon,
+    serializeLexicon,
+    compileLexicon
+};
@@ -0,0 +1,58 @@
+/**
+ * Mock TTS Provider
+ *
+ * Offline stand-in for the speech providers. Emits silent MP3 frames
+ * (roughly as long as the text would take to say) so playback, streaming
+ * and failover can be exercised without network access or API keys.
+ *
+ * TTS_MOCK_FAIL=<status> (e.g. 429, 503) makes every call throw with that status.
+ */
+
+// One MPEG-1 Layer III frame: 128 kbps, 44.1 kHz, mono; zeroed side info decodes as silence
+const FRAME_BYTES = 417;
+const SILENT_FRAME = Buffer.alloc(FRAME_BYTES);
+Buffer.from([0xFF, 0xFB, 0x90, 0xC0]).copy(SILENT_FRAME);
+
+const FRAMES_PER_CHAR = 2; // ~26ms per frame, ~15 spoken characters per second
+const FRAMES_PER_CHUNK = 10;
+const MAX_FRAMES = 2000;
+
+/**
+ * @returns {boolean} Always available
+ */
+function isConfigured() {
+    return true;
+}
+
+/**
+ * Yield silent frames in chunks
+ * @param {number} frameCount - Frames to emit
+ * @param {AbortSignal} signal - Stops the stream early
+ */
+async function* silentFrames(frameCount, signal) {
+    for (let emitted = 0; emitted < frameCount && !signal?.aborted; emitted += FRAMES_PER_CHUNK) {
+        const frames = Math.min(FRAMES_PER_CHUNK, frameCount - emitted);
+        yield Buffer.concat(Array(frames).fill(SILENT_FRAME));
+    }
+}
+
+/**
+ * Start synthesising speech
+ * @param {string} text - Text to speak
+ * @param {Object} options - { signal }
+ * @returns {Promise<AsyncIterable<Buffer>>} MP3 byte stream
+ * @throws {Error} with status property when TTS_MOCK_FAIL is set
+ */
+async function synthesize(text, { signal } = {}) {
+    const failStatus = parseInt(process.env.TTS_MOCK_FAIL);
+    if (failStatus) {
+        const error = new Error(`Simulated TTS failure: ${failStatus}`);
+        error.status = failStatus;
+        error.provider = 'mock';
+        throw error;
+    }
+
+    return silentFrames(Math.min(MAX_FRAMES, Math.max(1, text.length * FRAMES_PER_CHAR)), signal);
+}
+
+module.exports = { name: 'mock', contentType: 'audio/mpeg', isConfigured, synthesize };
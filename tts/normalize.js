@@ -0,0 +1,432 @@
+/**
+ * Speech Text Normalisation
+ *
+ * LLM responses are written for the screen: markdown, bullet lists, code
+ * blocks, URLs, emoji, "5 km", "e.g.". TTS providers read all of that
+ * literally. This rewrites text for the ear before synthesis; the text shown
+ * to the user is never changed.
+ *
+ * Pipeline (in order):
+ * 1. Code blocks      -> "Code shown on your HUD."
+ * 2. Markdown         -> headings, emphasis, bullets, tables, links stripped to their words
+ * 3. URLs             -> "a link to example.com"
+ * 4. Emoji            -> removed
+ * 5. Lexicon          -> the user's pronunciation entries (tts/lexicon.js)
+ * 6. Abbreviations    -> "e.g." -> "for example"
+ * 7. Numbers & units  -> "$2.5M" -> "two point five million dollars", "5 km" -> "five kilometers"
+ *
+ * Usage:
+ *   normalizeForSpeech(text, { lexicon })          // a complete response
+ *
+ *   const normalizer = createSpeechNormalizer({ lexicon });
+ *   speak(normalizer.push(delta));                 // as text streams in
+ *   speak(normalizer.flush());                     // when the stream ends
+ *
+ * The streaming normalizer only releases text up to a point where no
+ * construct can still change meaning: a word boundary outside any open code
+ * block, inline code, link or table row, and not right after a number (a unit
+ * may follow).
+ */
+
+const { compileLexicon } = require('./lexicon');
+
+const CODE_BLOCK_SPEECH = 'Code shown on your HUD.';
+const INLINE_CODE_MAX_CHARS = 30; // Longer inline code is summarised like a block
+
+const FENCE = '```';
+
+// ==================== NUMBERS ====================
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+const IRREGULAR_ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+/**
+ * @param {number} n - Non-negative integer below 1e15
+ * @returns {string} e.g. 1234 -> "one thousand two hundred thirty-four"
+ */
+function integerToWords(n) {
+    if (n < 20) return ONES[n];
+    if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+    if (n < 1000) return `${ONES[Math.floor(n / 100)]} hundred` + (n % 100 ? ` ${integerToWords(n % 100)}` : '');
+
+    for (const [size, name] of SCALES) {
+        if (n >= size) {
+            const rest = n % size;
+            return `${integerToWords(Math.floor(n / size))} ${name}` + (rest ? ` ${integerToWords(rest)}` : '');
+        }
+    }
+    return String(n);
+}
+
+/**
+ * @param {number} n - Year between 1100 and 2099
+ * @returns {string} e.g. 1999 -> "nineteen ninety-nine", 2005 -> "two thousand five"
+ */
+function yearToWords(n) {
+    if (n >= 2000 && n < 2010) return integerToWords(n);
+    const century = Math.floor(n / 100);
+    const rest = n % 100;
+    if (rest === 0) return `${integerToWords(century)} hundred`;
+    return `${integerToWords(century)} ${rest < 10 ? `oh ${ONES[rest]}` : integerToWords(rest)}`;
+}
+
+/**
+ * @param {number} n - Non-negative integer
+ * @returns {string} e.g. 21 -> "twenty-first"
+ */
+function ordinalToWords(n) {
+    return integerToWords(n).replace(/([a-z]+)$/, (last) => {
+        if (IRREGULAR_ORDINALS[last]) return IRREGULAR_ORDINALS[last];
+        if (last.endsWith('y')) return `${last.slice(0, -1)}ieth`;
+        return `${last}th`;
+    });
+}
+
+/**
+ * Read a written number
+ * @param {string} integer - Digits, optionally with thousands commas
+ * @param {string|undefined} fraction - Digits after the decimal point
+ * @param {Object} options - { year } reads plain 4-digit integers as years
+ * @returns {string|null} Words, or null when too large to read naturally
+ */
+function numberToWords(integer, fraction, { year = false } = {}) {
+    const digits = integer.replace(/,/g, '');
+    if (digits.length > 15) return null;
+
+    const value = Number(digits);
+    let words = year && !fraction && !integer.includes(',') && digits.length === 4 && value >= 1100 && value < 2100
+        ? yearToWords(value)
+        : integerToWords(value);
+    if (fraction) {
+        words += ` point ${fraction.split('').map(digit => ONES[digit]).join(' ')}`;
+    }
+    return words;
+}
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d+))?';
+
+// Currency symbol -> [singular, plural, minor singular, minor plural]
+const CURRENCIES = {
+    '$': ['dollar', 'dollars', 'cent', 'cents'],
+    '€': ['euro', 'euros', 'cent', 'cents'],
+    '£': ['pound', 'pounds', 'penny', 'pence']
+};
+
+const MAGNITUDES = { k: 'thousand', K: 'thousand', M: 'million', B: 'billion', bn: 'billion' };
+
+// Unit -> [singular, plural]
+const UNITS = {
+    '%': ['percent', 'percent'],
+    '°C': ['degree Celsius', 'degrees Celsius'],
+    '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+    '°': ['degree', 'degrees'],
+    'km/h': ['kilometer per hour', 'kilometers per hour'],
+    kph: ['kilometer per hour', 'kilometers per hour'],
+    mph: ['mile per hour', 'miles per hour'],
+    km: ['kilometer', 'kilometers'],
+    cm: ['centimeter', 'centimeters'],
+    mm: ['millimeter', 'millimeters'],
+    kg: ['kilogram', 'kilograms'],
+    mg: ['milligram', 'milligrams'],
+    lbs: ['pound', 'pounds'],
+    lb: ['pound', 'pounds'],
+    oz: ['ounce', 'ounces'],
+    ml: ['milliliter', 'milliliters'],
+    mL: ['milliliter', 'milliliters'],
+    ft: ['foot', 'feet'],
+    ms: ['millisecond', 'milliseconds'],
+    secs: ['second', 'seconds'],
+    sec: ['second', 'seconds'],
+    mins: ['minute', 'minutes'],
+    min: ['minute', 'minutes'],
+    hrs: ['hour', 'hours'],
+    hr: ['hour', 'hours'],
+    KB: ['kilobyte', 'kilobytes'],
+    kB: ['kilobyte', 'kilobytes'],
+    MB: ['megabyte', 'megabytes'],
+    GB: ['gigabyte', 'gigabytes'],
+    TB: ['terabyte', 'terabytes'],
+    Hz: ['hertz', 'hertz'],
+    kHz: ['kilohertz', 'kilohertz'],
+    MHz: ['megahertz', 'megahertz'],
+    GHz: ['gigahertz', 'gigahertz'],
+    kWh: ['kilowatt hour', 'kilowatt hours'],
+    kW: ['kilowatt', 'kilowatts'],
+    mAh: ['milliamp hour', 'milliamp hours']
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const UNIT_PATTERN = Object.keys(UNITS).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+
+// A number must stand alone: not part of a word, version, time, date or path
+const NOT_AFTER = '(?<![\\p{L}\\p{N}_.:/\\-])';
+const NOT_BEFORE = '(?![\\p{L}\\p{N}_:/\\-]|\\.\\d)';
+
+const CURRENCY_RE = new RegExp(`([$€£])${NUMBER}(?:\\s?(k|K|M|B|bn)(?!\\p{L})|\\s(thousand|million|billion|trillion))?${NOT_BEFORE}`, 'gu');
+const RANGE_RE = new RegExp(`${NOT_AFTER}(\\d+)[-–](\\d+)(?![\\p{L}\\p{N}_:/\\-–]|\\.\\d)`, 'gu');
+const NEGATIVE_RE = /(?<=^|[\s(])-(?=\d)/g;
+const ORDINAL_RE = new RegExp(`${NOT_AFTER}(\\d+)(st|nd|rd|th)(?![\\p{L}\\p{N}])`, 'gu');
+const NUMBER_RE = new RegExp(`${NOT_AFTER}${NUMBER}(?:(k|K|M|B|bn)(?!\\p{L})|\\s?(${UNIT_PATTERN}))?${NOT_BEFORE}`, 'gu');
+
+/**
+ * Expand currency, ranges, ordinals, numbers and units into words
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function verbaliseNumbers(text) {
+    return text
+        .replace(CURRENCY_RE, (match, symbol, integer, fraction, shortScale, longScale) => {
+            const [one, many, minorOne, minorMany] = CURRENCIES[symbol];
+            const scale = MAGNITUDES[shortScale] || longScale;
+            if (scale) {
+                const amount = numberToWords(integer, fraction);
+                return amount ? `${amount} ${scale} ${many}` : match;
+            }
+
+            const major = numberToWords(integer);
+            if (!major) return match;
+            const unit = integer === '1' ? one : many;
+            if (fraction && fraction.length === 2) {
+                const minor = Number(fraction);
+                if (minor === 0) return `${major} ${unit}`;
+                return `${major} ${unit} and ${integerToWords(minor)} ${minor === 1 ? minorOne : minorMany}`;
+            }
+            return `${numberToWords(integer, fraction)} ${unit}`;
+        })
+        // "5-10" is a range; "555-1234" (a phone number) is left alone
+        .replace(RANGE_RE, (match, from, to) => (
+            Number(to) > Number(from) && (to.length === from.length || to.length <= 2) ? `${from} to ${to}` : match
+        ))
+        .replace(NEGATIVE_RE, 'minus ')
+        .replace(ORDINAL_RE, (match, digits) => (digits.length > 15 ? match : ordinalToWords(Number(digits))))
+        .replace(NUMBER_RE, (match, integer, fraction, magnitude, unit) => {
+            const words = numberToWords(integer, fraction, { year: !magnitude && !unit });
+            if (!words) return match;
+            if (magnitude) return `${words} ${MAGNITUDES[magnitude]}`;
+            if (unit) return `${words} ${UNITS[unit][integer === '1' && !fraction ? 0 : 1]}`;
+            return words;
+        });
+}
+
+// ==================== ABBREVIATIONS ====================
+
+const ABBREVIATIONS = [
+    [/(?<![\p{L}.])e\.g\.(?=[\s,:;)]|$)/giu, 'for example'],
+    [/(?<![\p{L}.])i\.e\.(?=[\s,:;)]|$)/giu, 'that is'],
+    [/(?<![\p{L}.])etc\.(?=[\s,:;)]|$)/gu, 'et cetera'],
+    [/(?<![\p{L}.])vs\.?(?=\s)/gu, 'versus'],
+    [/(?<![\p{L}.])approx\.(?=\s)/gu, 'approximately'],
+    [/(?<![\p{L}.])Dr\.(?=\s+\p{Lu})/gu, 'Doctor'],
+    [/(?<![\p{L}.])Mr\.(?=\s+\p{Lu})/gu, 'Mister'],
+    [/(?<![\p{L}.])Mrs\.(?=\s+\p{Lu})/gu, 'Missus'],
+    [/(?<![\p{L}.])No\.(?=\s*\d)/gu, 'number'],
+    [/(?<=\s|^)w\/(?=\s)/gu, 'with'],
+    [/(?<=\s)&(?=\s)/gu, 'and']
+];
+
+// ==================== MARKDOWN ====================
+
+const EMOJI_RE = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u{FE0F}\u{200D}\u{20E3}]/gu;
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>()]*[^\s<>().,;:!?'"]/gi;
+
+/**
+ * Describe a URL by its host
+ * @param {string} url - URL as written
+ * @returns {string}
+ */
+function describeUrl(url) {
+    try {
+        const host = new URL(/^https?:/i.test(url) ? url : `https://${url}`).hostname.replace(/^www\./, '');
+        return `a link to ${host}`;
+    } catch {
+        return 'a link';
+    }
+}
+
+/**
+ * Strip markdown to the words a listener needs
+ * @param {string} text - Text with no open code fence
+ * @param {boolean} lineStart - Whether text begins at the start of a line
+ * @returns {string}
+ */
+function stripMarkdown(text, lineStart) {
+    // Line-level rules anchor on "\n"; a leading one stands in for "start of line"
+    let result = (lineStart ? '\n' : '') + text;
+
+    result = result
+        .replace(/```[^\n]*\n?[\s\S]*?```/g, `\n${CODE_BLOCK_SPEECH}\n`)
+        .replace(/```[\s\S]*$/, `\n${CODE_BLOCK_SPEECH}\n`) // Unclosed at end of response
+        .replace(/`([^`\n]+)`/g, (match, code) => (code.length > INLINE_CODE_MAX_CHARS ? 'the code on your HUD' : code))
+        .replace(/`/g, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(URL_RE, describeUrl)
+        .replace(/<\/?[a-z][^>]*>/gi, '')
+        .replace(/\n[ \t]*#{1,6}[ \t]+/g, '\n')
+        .replace(/\n[ \t]*>+[ \t]?/g, '\n')
+        .replace(/\n[ \t]*(?:[-*_][ \t]*){3,}(?=\n|$)/g, '\n')
+        .replace(/\n[ \t]*\|?(?:[ \t]*:?-{3,}:?[ \t]*\|?)+[ \t]*(?=\n|$)/g, '')
+        .replace(/\n[ \t]*\|[ \t]*/g, '\n')
+        .replace(/[ \t]*\|[ \t]*(?=\n|$)/g, '')
+        .replace(/[ \t]*\|[ \t]*/g, ', ')
+        .replace(/\n[ \t]*[-*+•][ \t]+(?:\[[ xX]\][ \t]+)?/g, '\n')
+        .replace(/\*\*|__|~~/g, '')
+        .replace(/(?<![\p{L}\p{N}])[*_](?=\S)|(?<=\S)[*_](?![\p{L}\p{N}])/gu, '')
+        .replace(EMOJI_RE, '')
+        // A line that ends without punctuation (list item, heading) still needs a pause
+        .replace(/([\p{L}\p{N})"'])[ \t]*\n/gu, '$1.\n');
+
+    return lineStart ? result.slice(1) : result;
+}
+
+// ==================== PIPELINE ====================
+
+/**
+ * Normalise one segment of text
+ * @param {string} text - Segment (no open code fence, link or inline code)
+ * @param {Object} options - { lexicon: compiled lexicon, lineStart }
+ * @returns {string}
+ */
+function normalizeSegment(text, { lexicon, lineStart }) {
+    let result = lexicon.apply(stripMarkdown(text, lineStart));
+    for (const [pattern, replacement] of ABBREVIATIONS) {
+        result = result.replace(pattern, replacement);
+    }
+    return verbaliseNumbers(result)
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/[ \t]+([,.!?;:])/g, '$1')
+        .replace(/([.!?]),/g, '$1');
+}
+
+/**
+ * Normalise a complete response for speech
+ * @param {string} text - Response text as displayed
+ * @param {Object} options - { lexicon } user pronunciation entries
+ * @returns {string}
+ */
+function normalizeForSpeech(text, { lexicon = null } = {}) {
+    return normalizeSegment(text || '', { lexicon: compileLexicon(lexicon), lineStart: true }).trim();
+}
+
+// Words read differently depending on what follows: a number ("5 km"), a
+// bullet or heading marker, "&", or an abbreviation such as "Dr."
+const NEEDS_NEXT_WORD = /(?:[\d$€£]|(?:^|\s)(?:[^\p{L}\p{N}\s]+|Dr\.|Mrs?\.|No\.|vs\.?|w\/))$/u;
+
+/**
+ * Index up to which streamed text can be normalised without seeing more
+ * Cuts fall just before whitespace, so every later segment starts with it.
+ * @param {string} buffer - Unreleased text
+ * @param {Object} lexicon - Compiled lexicon (multi-word terms must not be split)
+ * @returns {number} 0 when nothing is safe yet
+ */
+function findSafeCut(buffer, lexicon) {
+    // Word boundaries, newest first
+    const boundaries = [];
+    const whitespace = /\s+/g;
+    let match;
+    while ((match = whitespace.exec(buffer)) !== null) {
+        boundaries.push(match.index);
+    }
+    boundaries.reverse();
+
+    // Hold the last words back when they could start a multi-word lexicon term,
+    // or when the word only reads right once the next one is known
+    let cutIndex = lexicon.maxTermWords - 1;
+    while (boundaries[cutIndex] !== undefined && NEEDS_NEXT_WORD.test(buffer.slice(0, boundaries[cutIndex]))) {
+        cutIndex++;
+    }
+    let cut = boundaries[cutIndex] ?? 0;
+
+    if (lexicon.pattern && cut > 0) {
+        for (const term of buffer.slice(0, boundaries[0]).matchAll(lexicon.pattern)) {
+            if (term.index < cut && term.index + term[0].length > cut) cut = term.index;
+        }
+    }
+
+    // Never release part of a code block, inline code span, markdown link or table row
+    const fenceOpen = (buffer.slice(0, cut).split(FENCE).length - 1) % 2 === 1;
+    if (fenceOpen) {
+        cut = buffer.lastIndexOf(FENCE, cut);
+    }
+    if (((buffer.slice(0, cut).split(FENCE).join('').match(/`/g) || []).length) % 2 === 1) {
+        cut = buffer.lastIndexOf('`', cut - 1);
+    }
+    const open = buffer.lastIndexOf('[', cut - 1);
+    if (open !== -1) {
+        const tail = buffer.slice(open, cut);
+        if (!tail.includes(']') || (tail.includes('](') && !/\]\([^)]*\)/.test(tail))) {
+            cut = open;
+        }
+    }
+    const lineStart = buffer.lastIndexOf('\n', cut - 1);
+    if (/^\s*\|/.test(buffer.slice(lineStart + 1, cut))) {
+        cut = Math.max(lineStart, 0);
+    }
+
+    // Keep the whitespace before a held construct with it
+    cut = Math.max(cut, 0);
+    while (cut > 0 && /\s/.test(buffer[cut - 1])) cut--;
+    return cut;
+}
+
+/**
+ * Create a stateful normalizer for streamed text
+ * @param {Object} options - { lexicon } user pronunciation entries
+ * @returns {{push: Function, flush: Function}}
+ */
+function createSpeechNormalizer({ lexicon = null } = {}) {
+    const compiled = compileLexicon(lexicon);
+    let buffer = '';
+    let lineStart = true; // Only the first segment begins a line; later ones begin with whitespace
+    let lastSpoken = '';
+
+    function release(text) {
+        if (!text) return '';
+        let spoken = normalizeSegment(text, { lexicon: compiled, lineStart });
+        lineStart = false;
+        if (!spoken.trim()) return ''; // e.g. an emoji; the next segment brings its own whitespace
+
+        // The pause a line break needs, when its line ended in the previous segment
+        if (/^[ \t]*\n/.test(spoken) && /[\p{L}\p{N})"'][ \t]*$/u.test(lastSpoken)) {
+            spoken = spoken.replace(/^[ \t]*/, '.');
+        }
+        lastSpoken = spoken;
+        return spoken;
+    }
+
+    return {
+        /**
+         * Add streamed text
+         * @param {string} delta - New text
+         * @returns {string} Speech text ready to synthesise ('' if none yet)
+         */
+        push(delta) {
+            buffer += delta;
+            const cut = findSafeCut(buffer, compiled);
+            if (cut === 0) return '';
+
+            const ready = buffer.slice(0, cut);
+            buffer = buffer.slice(cut);
+            return release(ready);
+        },
+
+        /**
+         * End of stream - release whatever is left
+         * @returns {string} Remaining speech text
+         */
+        flush() {
+            const rest = buffer;
+            buffer = '';
+            return release(rest);
+        }
+    };
+}
+
+module.exports = {
+    normalizeForSpeech,
+    createSpeechNormalizer,
+    CODE_BLOCK_SPEECH
+};
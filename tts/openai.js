@@ -0,0 +1,58 @@
+/**
+ * OpenAI TTS Provider
+ *
+ * Secondary speech provider: MP3 via the audio/speech endpoint.
+ */
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY?.trim();
+const OPENAI_TTS_MODEL = process.env.OPENAI_TTS_MODEL || 'tts-1';
+const OPENAI_TTS_VOICE = process.env.OPENAI_TTS_VOICE || 'fable';
+
+/**
+ * @returns {boolean} Whether the provider has credentials
+ */
+function isConfigured() {
+    return !!OPENAI_API_KEY;
+}
+
+/**
+ * Start synthesising speech
+ * @param {string} text - Text to speak
+ * @param {Object} options - { signal, speed }
+ * @returns {Promise<AsyncIterable<Uint8Array>>} MP3 byte stream (resolves once OpenAI accepts the request)
+ * @throws {Error} with status property for HTTP errors
+ */
+async function synthesize(text, { signal, speed } = {}) {
+    if (!OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY not set');
+    }
+
+    const response = await fetch('https://api.openai.com/v1/audio/speech', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${OPENAI_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            model: OPENAI_TTS_MODEL,
+            voice: OPENAI_TTS_VOICE,
+            input: text,
+            response_format: 'mp3',
+            ...(speed && { speed })
+        }),
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`OpenAI TTS failed: ${response.status}`);
+        error.status = response.status;
+        error.body = errorText.substring(0, 200);
+        error.provider = 'openai';
+        throw error;
+    }
+
+    return response.body;
+}
+
+module.exports = { name: 'openai', contentType: 'audio/mpeg', isConfigured, synthesize };
@@ -0,0 +1,261 @@
+/**
+ * Long-Response Synthesis
+ *
+ * One TTS request per response breaks down on long answers: provider
+ * character limits, timeouts, and a single failure loses all of the audio.
+ * This splits the text into sentence-aware chunks (tts/chunker.js), has up to
+ * TTS_CHUNK_CONCURRENCY of them synthesising at once through the tts/
+ * orchestrator, and stitches the results back together as one MP3 stream.
+ *
+ * - Audio is yielded in text order; the head chunk streams live while later
+ *   chunks buffer in memory until their turn
+ * - A chunk that fails before any audio retries on its own (TTS_CHUNK_RETRIES);
+ *   one that still fails is skipped rather than failing the reply
+ * - ElevenLabs gets the neighbouring text of each chunk (previous_text /
+ *   next_text) so intonation carries across the seams
+ * - Chunks found in the audio cache (tts/cache/) are served from it and take
+ *   no synthesis slot; synthesised chunks are added to it
+ *
+ * Usage:
+ *   const speech = await synthesizeLong(text, { ...voiceOptions, signal, logFn });
+ *   pipeline(Readable.from(speech.stream), res, ...);
+ */
+
+const ttsCache = require('./cache');
+const { createSentenceChunker } = require('./chunker');
+
+// Configuration
+const TTS_CHUNK_MIN_CHARS = parseInt(process.env.TTS_CHUNK_MIN_CHARS) || 200;
+const TTS_CHUNK_MAX_CHARS = parseInt(process.env.TTS_CHUNK_MAX_CHARS) || 800;
+const TTS_CHUNK_CONCURRENCY = parseInt(process.env.TTS_CHUNK_CONCURRENCY) || 3;
+const TTS_CHUNK_RETRIES = parseInt(process.env.TTS_CHUNK_RETRIES ?? '2');
+const TTS_CHUNK_RETRY_DELAY_MS = parseInt(process.env.TTS_CHUNK_RETRY_DELAY_MS) || 500;
+
+const CONTEXT_CHARS = 300; // Neighbouring text sent with each chunk
+
+/**
+ * Split text into synthesis-sized chunks at sentence boundaries
+ * @param {string} text - Speech text
+ * @returns {string[]}
+ */
+function splitForSynthesis(text) {
+    const chunker = createSentenceChunker({ minChars: TTS_CHUNK_MIN_CHARS, maxChars: TTS_CHUNK_MAX_CHARS });
+    return [...chunker.push(text), ...chunker.flush()];
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Cancels the wait
+ */
+function delay(ms, signal) {
+    return new Promise(resolve => {
+        if (signal.aborted) return resolve();
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+/**
+ * Synthesise one chunk, with retries, buffering its audio as it arrives
+ * @param {string} text - Chunk text
+ * @param {number} index - Position in the response
+ * @param {Object} options - tts.synthesize options (signal is the stitcher's own)
+ * @returns {Object} Job: { buffers, done, error, speech, started, finished, wait() }
+ */
+function startChunk(text, index, options) {
+    const { signal, logFn } = options;
+    let wake = null;
+    let resolveStarted;
+
+    const job = {
+        buffers: [],
+        done: false,
+        error: null,
+        speech: null, // { provider, contentType, failover, failoverReason } once audio starts
+        started: new Promise(resolve => { resolveStarted = resolve; }),
+        wait: () => new Promise(resolve => { wake = resolve; })
+    };
+    const notify = () => {
+        const resolve = wake;
+        wake = null;
+        resolve?.();
+    };
+
+    job.finished = (async () => {
+        for (let attempt = 0; ; attempt++) {
+            let received = 0;
+            try {
+                const speech = await ttsCache.synthesizeAndStore(text, options);
+                job.speech = {
+                    provider: speech.provider,
+                    contentType: speech.contentType,
+                    failover: !!speech.failover,
+                    failoverReason: speech.failoverReason
+                };
+                resolveStarted(true);
+
+                for await (const chunk of speech.stream) {
+                    received++;
+                    job.buffers.push(chunk);
+                    notify();
+                }
+                break;
+            } catch (error) {
+                // Audio already sent can't be taken back, so only clean failures retry
+                if (signal.aborted || received > 0 || attempt >= TTS_CHUNK_RETRIES) {
+                    job.error = error;
+                    if (!signal.aborted) {
+                        logFn('TTS_CHUNK_FAILED', { chunk: index, attempts: attempt + 1, partial: received > 0, message: error.message });
+                    }
+                    break;
+                }
+                logFn('TTS_CHUNK_RETRY', { chunk: index, attempt: attempt + 1, status: error.status, message: error.message });
+                await delay(TTS_CHUNK_RETRY_DELAY_MS * (attempt + 1), signal);
+            }
+        }
+
+        job.done = true;
+        resolveStarted(!!job.speech);
+        notify();
+    })();
+
+    return job;
+}
+
+/**
+ * A chunk served from the audio cache
+ * @param {Object} hit - ttsCache.lookup result
+ * @returns {Object} Job, already finished
+ */
+function cachedChunk(hit) {
+    return {
+        buffers: [hit.audio],
+        done: true,
+        error: null,
+        speech: { provider: hit.provider, contentType: hit.contentType, failover: false },
+        started: Promise.resolve(true),
+        finished: Promise.resolve(),
+        wait: () => Promise.resolve()
+    };
+}
+
+/**
+ * Synthesise a response of any length as one continuous audio stream
+ * @param {string} text - Speech text (already normalised)
+ * @param {Object} options - { signal, logFn(event, data), ...provider options (voiceId, modelId, voiceSettings, speed) }
+ * @returns {Promise<{stream: AsyncIterable<Buffer>, provider: string, contentType: string, chunks: number,
+ *   cache: 'hit'|'partial'|'miss'|'off', failover?: boolean, failoverReason?: string|number}>}
+ *   Resolves once the first audible chunk starts
+ * @throws {Error} with status property when no chunk could be synthesised
+ */
+async function synthesizeLong(text, options = {}) {
+    const { signal, logFn = () => { }, ...providerOptions } = options;
+    const parts = splitForSynthesis(text);
+    if (parts.length === 0) {
+        const error = new Error('Nothing to synthesise');
+        error.status = 400;
+        throw error;
+    }
+
+    // One controller for every chunk: the caller's signal, or the consumer walking away
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+
+    // Cached chunks are ready immediately; the rest queue for synthesis slots
+    const cacheReady = ttsCache.getStatus().ready; // Disabled or unreachable: report 'off', not 'miss'
+    const hits = await Promise.all(parts.map(part => ttsCache.lookup(part, { ...providerOptions, logFn })));
+    const jobs = hits.map(hit => (hit ? cachedChunk(hit) : null));
+    const hitCount = hits.filter(Boolean).length;
+    const missCount = parts.length - hitCount;
+
+    let nextIndex = 0;
+    let latest = null; // Most recently started synthesis
+    const startNext = () => {
+        while (nextIndex < parts.length && jobs[nextIndex]) nextIndex++;
+        if (nextIndex >= parts.length || controller.signal.aborted) return;
+        const index = nextIndex++;
+        const job = startChunk(parts[index], index, {
+            ...providerOptions,
+            ...(index > 0 && { previousText: parts[index - 1].slice(-CONTEXT_CHARS) }),
+            ...(index < parts.length - 1 && { nextText: parts[index + 1].slice(0, CONTEXT_CHARS) }),
+            signal: controller.signal,
+            logFn
+        });
+        jobs[index] = job;
+        latest = job;
+        job.finished.then(startNext);
+    };
+    for (let i = 0; i < Math.min(TTS_CHUNK_CONCURRENCY, missCount); i++) {
+        startNext();
+    }
+    if (parts.length > 1) {
+        logFn('TTS_CHUNKED', { chunks: parts.length, cached: hitCount, chars: text.length, concurrency: TTS_CHUNK_CONCURRENCY });
+    }
+
+    // A chunk not started yet waits for a slot to free up (null once aborted)
+    const jobAt = async (index) => {
+        while (!jobs[index] && !controller.signal.aborted) {
+            await latest.finished;
+        }
+        return jobs[index] || null;
+    };
+
+    const cleanup = () => {
+        controller.abort();
+        signal?.removeEventListener('abort', abort);
+    };
+
+    // Headers need a provider: wait for the first chunk that produces audio
+    let head = null;
+    for (let index = 0; index < parts.length && !head; index++) {
+        const job = await jobAt(index);
+        if (!job) break;
+        if (await job.started) head = job;
+    }
+    if (!head) {
+        cleanup();
+        throw jobs.find(job => job?.error)?.error || new Error('Speech synthesis was aborted');
+    }
+
+    async function* stitched() {
+        try {
+            for (let index = 0; index < parts.length; index++) {
+                const job = await jobAt(index);
+                if (!job) return;
+
+                for (let read = 0; ; ) {
+                    while (read < job.buffers.length) {
+                        const chunk = job.buffers[read];
+                        job.buffers[read++] = null; // Release as soon as it's sent
+                        yield chunk;
+                    }
+                    if (job.done) break;
+                    await job.wait();
+                }
+            }
+        } finally {
+            cleanup(); // Also stops unfinished chunks when the client disconnects
+        }
+    }
+
+    return {
+        stream: stitched(),
+        provider: head.speech.provider,
+        contentType: head.speech.contentType,
+        chunks: parts.length,
+        cache: !cacheReady ? 'off' : (hitCount === parts.length ? 'hit' : (hitCount > 0 ? 'partial' : 'miss')),
+        ...(head.speech.failover && { failover: true, failoverReason: head.speech.failoverReason })
+    };
+}
+
+module.exports = {
+    synthesizeLong,
+    splitForSynthesis,
+    TTS_CHUNK_CONCURRENCY,
+    TTS_CHUNK_RETRIES
+};
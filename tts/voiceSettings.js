@@ -0,0 +1,142 @@
+/**
+ * Per-user Voice Settings
+ *
+ * Users pick their voice in User.settings (Mongo), edited via
+ * /api/users/me/settings. Both speech paths honour the choice:
+ * - /chat:  tts.synthesize(text, toSynthesisOptions(settings))
+ * - relay:  the ElevenLabs stream-input URL and init message
+ *
+ * Every field is optional; an unset (null) field keeps the path's own default
+ * (e.g. the relay's low-latency turbo model). An unset voice_id falls back to
+ * the active persona's voice (personas/).
+ *
+ * Fields:
+ * - voice_id:         ElevenLabs voice (see GET /api/voices)
+ * - model_id:         ElevenLabs model, e.g. eleven_turbo_v2
+ * - stability:        0-1
+ * - similarity_boost: 0-1
+ * - style:            0-1 (style exaggeration)
+ * - speaking_rate:    0.7-1.2 (ElevenLabs speed; also sent to OpenAI TTS)
+ */
+
+const VOICE_SETTING_FIELDS = ['voice_id', 'model_id', 'stability', 'similarity_boost', 'style', 'speaking_rate'];
+
+const NUMERIC_RANGES = {
+    stability: [0, 1],
+    similarity_boost: [0, 1],
+    style: [0, 1],
+    speaking_rate: [0.7, 1.2]
+};
+
+const ID_PATTERNS = {
+    voice_id: /^[A-Za-z0-9]{1,64}$/,
+    model_id: /^[a-z0-9_]{1,64}$/
+};
+
+/**
+ * Validate a user-supplied patch of voice settings
+ * null resets a field to the default.
+ * @param {Object} patch - Request body
+ * @returns {{patch: Object|null, error: string|null}}
+ */
+function validateVoiceSettingsPatch(patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        return { patch: null, error: 'Body must be a JSON object' };
+    }
+
+    const unknown = Object.keys(patch).filter(key => !VOICE_SETTING_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        return { patch: null, error: `Unknown field(s): ${unknown.join(', ')} (editable: ${VOICE_SETTING_FIELDS.join(', ')})` };
+    }
+    if (Object.keys(patch).length === 0) {
+        return { patch: null, error: `Provide at least one of: ${VOICE_SETTING_FIELDS.join(', ')}` };
+    }
+
+    const clean = {};
+    for (const [field, value] of Object.entries(patch)) {
+        if (value === null) {
+            clean[field] = null;
+            continue;
+        }
+
+        if (ID_PATTERNS[field]) {
+            if (typeof value !== 'string' || !ID_PATTERNS[field].test(value.trim())) {
+                return { patch: null, error: `${field} must be an ElevenLabs ${field === 'voice_id' ? 'voice' : 'model'} ID` };
+            }
+            clean[field] = value.trim();
+            continue;
+        }
+
+        const [min, max] = NUMERIC_RANGES[field];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            return { patch: null, error: `${field} must be a number between ${min} and ${max}` };
+        }
+        clean[field] = value;
+    }
+
+    return { patch: clean, error: null };
+}
+
+/**
+ * Public view of a user's settings (unset fields as null)
+ * @param {Object|null} settings - User.settings sub-document
+ * @returns {Object}
+ */
+function serializeVoiceSettings(settings) {
+    return {
+        ...Object.fromEntries(VOICE_SETTING_FIELDS.map(field => [field, settings?.[field] ?? null])),
+        updated_at: settings?.updated_at || null
+    };
+}
+
+/**
+ * Map a user's settings to tts.synthesize provider options
+ * Only set fields are included, so providers keep their defaults for the rest.
+ * @param {Object|null} settings - User.settings sub-document
+ * @param {Object} options - { defaultVoiceId } used when no voice_id is set (the persona's voice)
+ * @returns {{voiceId?: string, modelId?: string, voiceSettings?: Object, speed?: number}}
+ */
+function toSynthesisOptions(settings, { defaultVoiceId = null } = {}) {
+    const voiceId = settings?.voice_id || defaultVoiceId;
+    if (!settings) return voiceId ? { voiceId } : {};
+
+    const voiceSettings = {};
+    for (const field of ['stability', 'similarity_boost', 'style']) {
+        if (settings[field] != null) voiceSettings[field] = settings[field];
+    }
+    if (settings.speaking_rate != null) voiceSettings.speed = settings.speaking_rate;
+
+    return {
+        ...(voiceId && { voiceId }),
+        ...(settings.model_id && { modelId: settings.model_id }),
+        ...(Object.keys(voiceSettings).length > 0 && { voiceSettings }),
+        ...(settings.speaking_rate != null && { speed: settings.speaking_rate })
+    };
+}
+
+/**
+ * Read a user's saved settings
+ * Returns null (defaults) unless mongoose is connected - the relay only
+ * connects it when MONGODB_URI is set.
+ * @param {string} userId - User ObjectId (JWT userId)
+ * @returns {Promise<Object|null>}
+ */
+async function loadUserVoiceSettings(userId) {
+    if (!userId || !process.env.MONGODB_URI) return null;
+
+    // Required lazily so importing this module never loads mongoose on its own
+    const mongoose = require('mongoose');
+    if (mongoose.connection.readyState !== 1 || !mongoose.isValidObjectId(userId)) return null;
+
+    const { User } = require('../models');
+    const user = await User.findById(userId).select('settings').lean();
+    return user?.settings || null;
+}
+
+module.exports = {
+    VOICE_SETTING_FIELDS,
+    validateVoiceSettingsPatch,
+    serializeVoiceSettings,
+    toSynthesisOptions,
+    loadUserVoiceSettings
+};
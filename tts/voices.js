@@ -0,0 +1,72 @@
+/**
+ * ElevenLabs Voice Catalogue
+ *
+ * Cached proxy of the ElevenLabs voice list for GET /api/voices, so the
+ * settings UI can offer voice choices without hitting ElevenLabs per request.
+ *
+ * - Cached for VOICES_CACHE_TTL_MS (default 1 hour), shared by all users
+ * - Concurrent misses share one upstream request
+ * - Upstream failures serve the stale list when there is one
+ * - Calls go through the "tts:elevenlabs" circuit breaker
+ */
+
+const { getBreaker } = require('../breaker');
+const elevenlabsProvider = require('./elevenlabs');
+const { TTS_TIMEOUT_MS } = require('./index');
+
+// Configuration
+const VOICES_CACHE_TTL_MS = parseInt(process.env.VOICES_CACHE_TTL_MS) || 60 * 60 * 1000;
+
+let cache = null;      // { voices, fetchedAt }
+let inFlight = null;   // Pending upstream fetch
+
+/**
+ * Fetch the voice list from ElevenLabs and refresh the cache
+ * @returns {Promise<{voices: Array, fetchedAt: number}>}
+ */
+function refreshCatalogue() {
+    if (!inFlight) {
+        inFlight = getBreaker('tts:elevenlabs')
+            .execute(signal => elevenlabsProvider.listVoices({ signal }), { timeoutMs: TTS_TIMEOUT_MS })
+            .then(voices => {
+                cache = { voices, fetchedAt: Date.now() };
+                console.log(`🎙️ Voice catalogue refreshed: ${voices.length} voices`);
+                return cache;
+            })
+            .finally(() => { inFlight = null; });
+    }
+    return inFlight;
+}
+
+/**
+ * Get the voice catalogue
+ * @param {Object} options - { refresh } bypasses a fresh cache
+ * @returns {Promise<{voices: Array, fetched_at: string, cached: boolean, stale: boolean}>}
+ * @throws {Error} with status property (503 unconfigured, else the upstream error) when nothing is cached
+ */
+async function getVoiceCatalogue({ refresh = false } = {}) {
+    if (!elevenlabsProvider.isConfigured()) {
+        const error = new Error('ElevenLabs is not configured');
+        error.status = 503;
+        throw error;
+    }
+
+    const isFresh = cache && Date.now() - cache.fetchedAt < VOICES_CACHE_TTL_MS;
+    if (isFresh && !refresh) {
+        return { voices: cache.voices, fetched_at: new Date(cache.fetchedAt).toISOString(), cached: true, stale: false };
+    }
+
+    try {
+        const fresh = await refreshCatalogue();
+        return { voices: fresh.voices, fetched_at: new Date(fresh.fetchedAt).toISOString(), cached: false, stale: false };
+    } catch (error) {
+        if (!cache) throw error;
+        console.warn(`⚠️  Voice catalogue refresh failed, serving cached list: ${error.message}`);
+        return { voices: cache.voices, fetched_at: new Date(cache.fetchedAt).toISOString(), cached: true, stale: true };
+    }
+}
+
+module.exports = {
+    getVoiceCatalogue,
+    VOICES_CACHE_TTL_MS
+};